@@ -0,0 +1,21 @@
+-- 图片领袖数据表：内容模组可以通过 UpdateDatabase 添加行来注册图片领袖，不需要 UIScript
+-- shell scope 写入前端配置数据库，game scope 写入游戏数据库，两边都需要加载
+
+-- 图片领袖（每行注册一个领袖）
+-- ModID: 提供该领袖的模组ID（模组在 shell 中被禁用后，共享存储中的注册信息会被清理）
+-- Config: 可选，JSON 格式的其他注册字段（如 displayOverrides、layers、animations、voTiming），与 registerImageLeader 的配置对象相同
+CREATE TABLE IF NOT EXISTS ImageLeaders (
+	LeaderType TEXT NOT NULL,
+	ImagePath TEXT NOT NULL,
+	ModID TEXT NOT NULL,
+	Config TEXT,
+	PRIMARY KEY (LeaderType)
+);
+
+-- 图片领袖的外交状态立绘（对应 diplomacyStates）
+CREATE TABLE IF NOT EXISTS ImageLeaderStates (
+	LeaderType TEXT NOT NULL,
+	State TEXT NOT NULL,
+	ImagePath TEXT NOT NULL,
+	PRIMARY KEY (LeaderType, State)
+);
@@ -4,84 +4,44 @@
  */
 
 // ============================================================================
-// 配置系统（在game scope中独立实现，不依赖shell scope的CustomLeaderConfig）
+// 配置系统（在game scope中独立实现，不依赖shell scope的CustomLeaderConfig，领袖数据只来自共享注册表）
 // ============================================================================
 
-// 共享存储键：与 shell scope 保持一致，用于读取已注册的领袖
-const SHARED_REGISTRY_STORAGE_KEY = "LeaderOverlayImageRegistryV1";
+// 解析器要求的API版本（见 ui/shell/leader-select/leader-portrait-resolver.js）
+const REQUIRED_RESOLVER_API_VERSION = 1;
 
 /**
- * 自动立绘后缀模板配置（与 shell scope 保持一致）
- * 当mod没有明确配置diplomacyStates时，系统会自动根据基础图片路径尝试这些后缀
+ * 获取共享立绘解析器（状态回退链、自动后缀模板与 shell scope 共用同一份实现）
+ * @returns {object|null} 解析器对象，未加载或版本不兼容时返回null
  */
-const AUTO_PORTRAIT_SUFFIX_TEMPLATES = {
-	"declaring_war": ["_angry", "_hostile", "_war", "_declaring_war"],
-	"hostile": ["_angry", "_hostile"],
-	"friendly": ["_happy", "_friendly", "_smile"],
-	"defeated": ["_defeated", "_sad", "_lose"],
-	"accepting_peace": ["_peace", "_happy", "_friendly"],
-	"rejecting_peace": ["_angry", "_hostile", "_reject"],
-	"response_positive": ["_happy", "_friendly", "_positive"],
-	"response_negative": ["_angry", "_hostile", "_negative"],
-	"meeting": ["_meeting", "_neutral"],
-	"neutral": []
-};
-
-// 已验证存在的自动推断路径缓存
-const AUTO_INFERRED_PATH_CACHE = {};
-
-// 测试配置：使用现有领袖和图片进行测试
-const DIPLOMACY_TEST_IMAGE_LEADERS = {
-	"LEADER_YUNI": {
-		imagePath: "fs://game/leader-fallback/texture/LEADER_YUNI_NEUTRAL.png"
-	}
-};
-
-// 将共享注册表（localStorage / shell 注册）合并到本地表
-function loadSharedRegistryIntoLocal() {
-	let merged = false;
-	// 1) 尝试读取 localStorage（shell scope 持久化的注册表）
-	try {
-		if (typeof localStorage !== "undefined") {
-			const raw = localStorage.getItem(SHARED_REGISTRY_STORAGE_KEY);
-			if (raw) {
-				const parsed = JSON.parse(raw);
-				if (parsed && typeof parsed === "object") {
-					for (const leaderID of Object.keys(parsed)) {
-						if (!DIPLOMACY_TEST_IMAGE_LEADERS.hasOwnProperty(leaderID)) {
-							DIPLOMACY_TEST_IMAGE_LEADERS[leaderID] = parsed[leaderID];
-							merged = true;
-						}
-					}
-				}
-			}
-		}
-	} catch (error) {
-		console.error("[Diplomacy Config] Failed to load shared registry from storage:", error);
+function getPortraitResolver() {
+	const resolver = window.LeaderPortraitResolver;
+	if (!resolver || resolver.API_VERSION !== REQUIRED_RESOLVER_API_VERSION) {
+		return null;
 	}
+	return resolver;
+}
 
-	// 2) 尝试从 shell scope 的 CustomLeaderConfig 直接合并（如果同窗口可访问）
+/**
+ * 从共享注册表读取领袖配置（shell scope 通过 registerImageLeader 持久化到 localStorage）
+ * 每次查询都重新读取，移除注册或被清理的领袖不会残留在 game scope 中
+ * @param {string} leaderID - 领袖ID
+ * @returns {object|null} 领袖配置，未注册时返回null
+ */
+function getSharedLeaderConfig(leaderID) {
 	try {
-		if (window.CustomLeaderConfig && window.CustomLeaderConfig.REGISTERED_IMAGE_LEADERS) {
-			const shared = window.CustomLeaderConfig.REGISTERED_IMAGE_LEADERS;
-			for (const leaderID of Object.keys(shared)) {
-				if (!DIPLOMACY_TEST_IMAGE_LEADERS.hasOwnProperty(leaderID)) {
-					DIPLOMACY_TEST_IMAGE_LEADERS[leaderID] = shared[leaderID];
-					merged = true;
-				}
-			}
+		const registry = getPortraitResolver()?.readSharedRegistry();
+		if (registry && Object.prototype.hasOwnProperty.call(registry, leaderID)) {
+			return registry[leaderID];
 		}
 	} catch (error) {
-		console.error("[Diplomacy Config] Failed to merge registry from CustomLeaderConfig:", error);
-	}
-
-	if (merged) {
-		console.error("[Diplomacy Config] Shared registry merged into game scope. Total leaders:", Object.keys(DIPLOMACY_TEST_IMAGE_LEADERS).length);
+		console.error("[Diplomacy Config] Failed to read shared registry:", error);
 	}
+	return null;
 }
 
-// 初始化时加载共享注册表（确保新游戏时能复用 shell 注册的数据）
-loadSharedRegistryIntoLocal();
+// 预热所有领袖的状态立绘探测，避免外交界面首次打开时显示不存在的立绘
+getPortraitResolver()?.prewarmRegistry(getPortraitResolver().readSharedRegistry());
 
 /**
  * 判断是否为图片领袖（game scope独立实现）
@@ -98,8 +58,8 @@ function diplomacyIsImageLeader(leaderID) {
 		return window.CustomLeaderConfig.isImageLeader(leaderID);
 	}
 
-	// 否则使用本地配置
-	return DIPLOMACY_TEST_IMAGE_LEADERS.hasOwnProperty(leaderID);
+	// 否则读取共享注册表
+	return getSharedLeaderConfig(leaderID) !== null;
 }
 
 /**
@@ -121,105 +81,18 @@ function diplomacyGetImagePath(leaderID, state = null) {
 		if (path) return path;
 	}
 
-	// 否则使用本地配置（带回退机制 + 自动推断）
-	const config = DIPLOMACY_TEST_IMAGE_LEADERS[leaderID];
+	// 否则读取共享注册表（带回退机制 + 自动推断）
+	const config = getSharedLeaderConfig(leaderID);
 	if (!config) {
 		return null;
 	}
 
-	const basePath = config.imagePath || null;
-
-	// 如果没有提供 state，直接返回基础图片
-	if (!state) {
-		return basePath;
-	}
-
-	// 定义状态回退链
-	const stateFallbackChains = {
-		"declaring_war": ["declaring_war", "hostile", "neutral"],
-		"defeated": ["defeated", "hostile", "neutral"],
-		"accepting_peace": ["accepting_peace", "friendly", "neutral"],
-		"rejecting_peace": ["rejecting_peace", "hostile", "neutral"],
-		"response_positive": ["response_positive", "friendly", "neutral"],
-		"response_negative": ["response_negative", "hostile", "neutral"],
-		"meeting": ["meeting", "neutral"],
-		"friendly": ["friendly", "neutral"],
-		"hostile": ["hostile", "neutral"],
-		"neutral": ["neutral"]
-	};
-
-	// 获取回退链
-	const fallbackChain = stateFallbackChains[state] || [state, "neutral"];
-
-	// 按顺序查找可用的状态图片
-	for (const fallbackState of fallbackChain) {
-		// 1. 首先检查是否有明确配置的 diplomacyStates
-		if (config.diplomacyStates && config.diplomacyStates[fallbackState]) {
-			return config.diplomacyStates[fallbackState];
-		}
-
-		// 2. 尝试自动推断路径
-		const inferredPath = diplomacyTryInferStatePath(leaderID, basePath, fallbackState, config);
-		if (inferredPath) {
-			return inferredPath;
-		}
+	const resolver = getPortraitResolver();
+	if (!resolver) {
+		console.error("[Diplomacy Config] LeaderPortraitResolver unavailable, using base image path");
+		return config.imagePath || null;
 	}
-
-	// 最后回退到基础图片路径
-	return basePath;
-}
-
-/**
- * 尝试根据基础路径和状态自动推断状态立绘路径（game scope版本）
- * @param {string} leaderID - 领袖ID
- * @param {string} basePath - 基础图片路径
- * @param {string} state - 目标状态
- * @param {object} config - 领袖配置
- * @returns {string|null} 推断出的路径，如果无法推断则返回null
- */
-function diplomacyTryInferStatePath(leaderID, basePath, state, config) {
-	if (!basePath || !state) {
-		return null;
-	}
-
-	// 检查是否禁用了自动推断（默认启用）
-	if (config && config.autoInferPaths === false) {
-		return null;
-	}
-
-	// 检查缓存
-	const cacheKey = `${leaderID}_${state}`;
-	if (AUTO_INFERRED_PATH_CACHE[cacheKey] !== undefined) {
-		return AUTO_INFERRED_PATH_CACHE[cacheKey];
-	}
-
-	// 获取该状态的后缀模板
-	const suffixTemplates = AUTO_PORTRAIT_SUFFIX_TEMPLATES[state];
-	if (!suffixTemplates || suffixTemplates.length === 0) {
-		return null;
-	}
-
-	// 解析基础路径
-	const lastSlashIndex = basePath.lastIndexOf('/');
-	const lastDotIndex = basePath.lastIndexOf('.');
-	
-	if (lastSlashIndex === -1 || lastDotIndex === -1 || lastDotIndex <= lastSlashIndex) {
-		return null;
-	}
-
-	const directory = basePath.substring(0, lastSlashIndex + 1);
-	const fileName = basePath.substring(lastSlashIndex + 1, lastDotIndex);
-	const extension = basePath.substring(lastDotIndex);
-
-	// 返回第一个候选路径
-	const inferredPath = `${directory}${fileName}${suffixTemplates[0]}${extension}`;
-	
-	// 缓存结果
-	AUTO_INFERRED_PATH_CACHE[cacheKey] = inferredPath;
-	
-	console.log(`[Diplomacy Config] Auto-inferred path for ${leaderID}/${state}: ${inferredPath}`);
-	
-	return inferredPath;
+	return resolver.resolveImagePath(leaderID, config, state);
 }
 
 // 等待配置系统加载（现在主要用于等待LeaderOverlayImage）
@@ -312,6 +185,12 @@ function getLeaderStringIDFromPlayerID(playerID) {
 		const leaderStringID = leader.LeaderType.toString();
 		console.log(`[Diplomacy Model Override] Leader string ID: ${leaderStringID}`);
 
+		// 记录该领袖的文明，用于解析 civVariants
+		const civ = GameInfo.Civilizations?.lookup(player.civilizationType);
+		if (civ && civ.CivilizationType) {
+			getPortraitResolver()?.setLeaderCivilization(leaderStringID, civ.CivilizationType.toString());
+		}
+
 		// 返回字符串ID（如 "LEADER_YUNI"）
 		return leaderStringID;
 	} catch (error) {
@@ -321,13 +200,15 @@ function getLeaderStringIDFromPlayerID(playerID) {
 }
 
 // 检查是否为图片领袖（使用本地实现）
+// 联机时远程玩家的领袖在本机既未注册也没有3D模型时，同样按图片领袖处理，由覆盖层显示领袖卡片
 function isImageLeader(leaderID) {
 	if (!leaderID) {
 		console.error(`[Diplomacy Model Override] isImageLeader: leaderID is null/undefined`);
 		return false;
 	}
 
-	const result = diplomacyIsImageLeader(leaderID);
+	const result = diplomacyIsImageLeader(leaderID) ||
+		window.CustomLeaderConfig?.getRemoteLeaderFallback?.(leaderID)?.reason === "unregistered";
 	console.log(`[Diplomacy Model Override] isImageLeader(${leaderID}) = ${result}`);
 	return result;
 }
@@ -338,7 +219,7 @@ function isImageLeader(leaderID) {
  * @param {string} sequenceType - 序列类型 ("MEET", "WAR", "ACCEPT_PEACE", "REJECT_PEACE", "DEFEAT", "ACKNOWLEDGE_PLAYER", "ACKNOWLEDGE_HOSTILE_PLAYER", "ACKNOWLEDGE_OTHER_POSITIVE", "ACKNOWLEDGE_OTHER_NEGATIVE", "ACKNOWLEDGE_OTHER")
  * @param {string} position - 位置 ("left" 或 "right")
  * @param {object} context - LeaderModelManager 上下文
- * @returns {string} 状态字符串 ("neutral", "friendly", "hostile", "response_positive", "response_negative")
+ * @returns {string} 状态字符串 ("neutral", "friendly", "hostile", "response_positive", "response_negative"，或 registerSequenceStateMapping 映射的自定义状态)
  */
 function getLeaderStateFromSequence(playerID, sequenceType, position, context) {
 	if (!playerID || !sequenceType) {
@@ -346,6 +227,12 @@ function getLeaderStateFromSequence(playerID, sequenceType, position, context) {
 	}
 
 	try {
+		// 优先使用 mod 通过 registerSequenceStateMapping 注册的映射
+		const mappedState = getPortraitResolver()?.mapSequenceToState(sequenceType, playerID, position, context);
+		if (mappedState) {
+			return mappedState;
+		}
+
 		// 检查变体状态（玩家选择后的反应）
 		if (sequenceType === "ACKNOWLEDGE_PLAYER") {
 			return "response_positive"; // 玩家友好选择
@@ -458,6 +345,5 @@ window.DiplomacyConfig = {
 	getLeaderStringIDFromPlayerID,
 	getLeaderStateFromSequence,
 	waitForConfig,
-	diagnoseSystemHealth,
-	DIPLOMACY_TEST_IMAGE_LEADERS
+	diagnoseSystemHealth
 };
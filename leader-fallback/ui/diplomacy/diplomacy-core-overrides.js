@@ -91,15 +91,28 @@ function safeGetLeaderStateFromSequence(playerID, sequenceType, position, contex
  * @param {object} context - LeaderModelManager 上下文
  * @param {string} state - 可选的状态参数（预留接口，用于将来的状态映射）
  * @param {boolean} skipCleanup - 是否跳过清理步骤（用于首次见面场景）
+ * @param {string} sequenceType - 可选，序列类型（如 "MEET", "WAR"），用于选择覆盖层的进场和退场过渡
  * @returns {boolean} 是否成功处理
  */
-function handleImageLeaderDisplay(leaderID, position, context, state = null, skipCleanup = false) {
+function handleImageLeaderDisplay(leaderID, position, context, state = null, skipCleanup = false, sequenceType = null) {
 	try {
 		// 配置系统可能尚未就绪，这里使用安全包装函数
 		if (!leaderID || !safeIsImageLeader(leaderID)) {
 			return false;
 		}
 
+		// 外交面板切换玩家时的原地替换（由 leader-overlay-diplomacy.js 设置标记）
+		// 右侧覆盖层已经替换为新领袖的立绘，这里只同步状态，不移除也不重新播放入场动画
+		const swap = context ? context._imageLeaderSwap : null;
+		if (swap && position === "right") {
+			context._imageLeaderSwap = null;
+			if (swap.leaderID === leaderID && window.LeaderOverlayImage &&
+				typeof window.LeaderOverlayImage.trySwapDiplomacyImageOverlay === "function" &&
+				window.LeaderOverlayImage.trySwapDiplomacyImageOverlay(leaderID, "right", state || swap.state || "neutral")) {
+				return true;
+			}
+		}
+
 		// 先立即移除指定位置的旧覆盖层（带安全检查）
 		if (window.LeaderOverlayImage && typeof window.LeaderOverlayImage.tryRemoveDiplomacyImageOverlay === "function") {
 			try {
@@ -176,7 +189,7 @@ function handleImageLeaderDisplay(leaderID, position, context, state = null, ski
 						}
 						
 						console.error(`[Diplomacy Core] Creating overlay for ${leaderID} at ${position} with state: ${finalState}`);
-						window.LeaderOverlayImage.tryCreateDiplomacyImageOverlay(leaderID, position, 0, finalState);
+						window.LeaderOverlayImage.tryCreateDiplomacyImageOverlay(leaderID, position, 0, finalState, sequenceType);
 					} catch (createError) {
 						console.error(`[Diplomacy Core] Failed to create overlay for leader ${leaderID}:`, createError);
 						// 不抛出异常，让其他领袖可以正常显示
@@ -432,8 +445,18 @@ function overrideClear() {
 
 	window.LeaderModelManagerClass.prototype.clear = function() {
 		try {
-			// 清理图片领袖VO自动完成定时器（如果存在）
-			if (this._imageLeaderVoTimeoutId) {
+			// 场景已清理，注册表变化时不再重放之前的场景
+			this._imageLeaderSceneReplay = null;
+
+			// 虚拟相机回到静止姿态，下一个场景的相机动画重新开始
+			if (window.LeaderOverlayImage && typeof window.LeaderOverlayImage.resetVirtualCamera === "function") {
+				window.LeaderOverlayImage.resetVirtualCamera();
+			}
+
+			// 清理图片领袖VO自动完成定时器、说话帧定时器、点击推进监听和音频提示（如果存在）
+			if (window.DiplomacySequenceHandlers && typeof window.DiplomacySequenceHandlers.clearImageLeaderVoAutoComplete === "function") {
+				window.DiplomacySequenceHandlers.clearImageLeaderVoAutoComplete(this);
+			} else if (this._imageLeaderVoTimeoutId) {
 				clearTimeout(this._imageLeaderVoTimeoutId);
 				this._imageLeaderVoTimeoutId = null;
 			}
@@ -452,7 +475,12 @@ function overrideClear() {
 					// 立即移除图片覆盖层（不延迟，不等待动画）
 					if (window.LeaderOverlayImage && typeof window.LeaderOverlayImage.tryRemoveDiplomacyImageOverlay === "function") {
 						try {
-							window.LeaderOverlayImage.tryRemoveDiplomacyImageOverlay(null, "center", 0);
+							if (this._imageLeaderSwap) {
+								// 外交面板切换玩家：保留右侧覆盖层用于原地替换，只移除左侧
+								window.LeaderOverlayImage.tryRemoveDiplomacyImageOverlay(this._imageLeaderSwap.leaderID, "left", 0);
+							} else {
+								window.LeaderOverlayImage.tryRemoveDiplomacyImageOverlay(null, "center", 0);
+							}
 						} catch (removeError) {
 							console.error(`[Diplomacy Core] Failed to remove diplomacy overlay during clear:`, removeError);
 						}
@@ -493,8 +521,10 @@ function overrideExitSimpleDiplomacyScene() {
 	const originalExitSimpleDiplomacyScene = window.LeaderModelManagerClass.prototype.exitSimpleDiplomacyScene;
 
 	window.LeaderModelManagerClass.prototype.exitSimpleDiplomacyScene = function() {
-		// 清理图片领袖VO自动完成定时器（如果存在）
-		if (this._imageLeaderVoTimeoutId) {
+		// 清理图片领袖VO自动完成定时器、说话帧定时器、点击推进监听和音频提示（如果存在）
+		if (window.DiplomacySequenceHandlers && typeof window.DiplomacySequenceHandlers.clearImageLeaderVoAutoComplete === "function") {
+			window.DiplomacySequenceHandlers.clearImageLeaderVoAutoComplete(this);
+		} else if (this._imageLeaderVoTimeoutId) {
 			clearTimeout(this._imageLeaderVoTimeoutId);
 			this._imageLeaderVoTimeoutId = null;
 		}
@@ -518,6 +548,38 @@ function overrideExitSimpleDiplomacyScene() {
 	return true;
 }
 
+// 重写 simpleLeaderPopUpCameraAnimation 函数，3D相机弹入时同步播放图片领袖的虚拟相机
+function overrideSimpleLeaderPopUpCameraAnimation() {
+	if (!window.LeaderModelManagerClass || typeof window.LeaderModelManagerClass.prototype.simpleLeaderPopUpCameraAnimation !== "function") {
+		return false;
+	}
+
+	if (window.LeaderModelManagerClass.prototype.simpleLeaderPopUpCameraAnimation._isOverridden) {
+		return true;
+	}
+
+	const originalSimpleLeaderPopUpCameraAnimation = window.LeaderModelManagerClass.prototype.simpleLeaderPopUpCameraAnimation;
+
+	window.LeaderModelManagerClass.prototype.simpleLeaderPopUpCameraAnimation = function(...args) {
+		const result = originalSimpleLeaderPopUpCameraAnimation.apply(this, args);
+
+		// 第二个参数是相机动画的延迟（秒）
+		if (window.LeaderOverlayImage && typeof window.LeaderOverlayImage.startVirtualCamera === "function") {
+			try {
+				window.LeaderOverlayImage.startVirtualCamera("pop-up", (Number(args[1]) || 0) * 1000);
+			} catch (cameraError) {
+				console.error(`[Diplomacy Core] Failed to start virtual camera for image leaders:`, cameraError);
+			}
+		}
+
+		return result;
+	};
+
+	window.LeaderModelManagerClass.prototype.simpleLeaderPopUpCameraAnimation._isOverridden = true;
+
+	return true;
+}
+
 // 导出核心重写函数
 window.DiplomacyCoreOverrides = {
 	handleImageLeaderDisplay,
@@ -525,5 +587,6 @@ window.DiplomacyCoreOverrides = {
 	overrideShowLeftLeaderModel,
 	overrideShowLeaderModels,
 	overrideClear,
-	overrideExitSimpleDiplomacyScene
+	overrideExitSimpleDiplomacyScene,
+	overrideSimpleLeaderPopUpCameraAnimation
 };
@@ -101,6 +101,11 @@ function applyAllOverrides(instance, classRef) {
 			} catch (error) {
 			}
 
+			try {
+				window.DiplomacySequenceHandlers.overrideShowRightIndLeaderModel(instance, classRef);
+			} catch (error) {
+			}
+
 			// 应用玩家选择后的状态变化处理
 			try {
 				window.DiplomacySequenceHandlers.overrideBeginAcknowledgePlayerSequence(instance, classRef);
@@ -139,6 +144,11 @@ function applyAllOverrides(instance, classRef) {
 				window.DiplomacyCoreOverrides.overrideExitSimpleDiplomacyScene();
 			} catch (error) {
 			}
+
+			try {
+				window.DiplomacyCoreOverrides.overrideSimpleLeaderPopUpCameraAnimation();
+			} catch (error) {
+			}
 		}
 	} catch (error) {
 	}
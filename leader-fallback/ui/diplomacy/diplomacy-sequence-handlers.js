@@ -61,14 +61,15 @@ function safeGetLeaderStringIDFromPlayerID(playerID) {
 /**
  * 安全调用：图片领袖显示处理
  * - 调用 `window.DiplomacyCoreOverrides.handleImageLeaderDisplay`
+ * - sequenceType 用于选择覆盖层的进场和退场过渡
  * - 不存在时直接返回 false，不抛异常
  */
-function safeHandleImageLeaderDisplay(leaderID, position, context, state = null, skipCleanup = false) {
+function safeHandleImageLeaderDisplay(leaderID, position, context, state = null, skipCleanup = false, sequenceType = null) {
 	try {
 		if (typeof window !== "undefined" &&
 			window.DiplomacyCoreOverrides &&
 			typeof window.DiplomacyCoreOverrides.handleImageLeaderDisplay === "function") {
-			return window.DiplomacyCoreOverrides.handleImageLeaderDisplay(leaderID, position, context, state, skipCleanup);
+			return window.DiplomacyCoreOverrides.handleImageLeaderDisplay(leaderID, position, context, state, skipCleanup, sequenceType);
 		}
 	} catch (error) {
 		console.error("[Diplomacy Sequence] safeHandleImageLeaderDisplay failed:", error);
@@ -94,53 +95,43 @@ function immediatelyRemoveImageOverlay(position = "center") {
 }
 
 /**
- * 为图片覆盖层应用缩放效果（用于宣战序列的相机拉近效果）
- * @param {string|Array<string>} positions - 位置 ("left", "right", "center" 或数组)
- * @param {number} scale - 缩放比例（默认1.1）
- * @param {number} duration - 动画持续时间（秒，默认1.1）
+ * 启动图片领袖的虚拟相机轨道，与原版外交相机动画同步（作用于所有外交覆盖层）
+ * @param {string} trackName - 轨道名称 ("pop-up", "first-meet", "declare-war", "defeat")
+ * @param {number} delay - 延迟（毫秒）
  */
-function zoomImageOverlays(positions, scale = 1.1, duration = 1) {
+function startImageLeaderCamera(trackName, delay = 0) {
 	try {
-		// 确保positions是数组
-		const positionArray = Array.isArray(positions) ? positions : [positions];
-		
-		// 获取外交容器
-		const container = window.LeaderOverlayImage && typeof window.LeaderOverlayImage.getDiplomacyContainer === "function"
-			? window.LeaderOverlayImage.getDiplomacyContainer()
-			: document.querySelector(".diplomacy-dialog-content") || document.querySelector(".panel-diplomacy-hub");
-		
-		if (!container) {
-			console.warn(`[Diplomacy Sequence] Cannot find diplomacy container for zoom effect`);
-			return;
+		if (window.LeaderOverlayImage && typeof window.LeaderOverlayImage.startVirtualCamera === "function") {
+			window.LeaderOverlayImage.startVirtualCamera(trackName, delay);
 		}
-		
-		// 为每个位置应用缩放
-		positionArray.forEach(position => {
-			let overlayClassName = "";
-			if (position === "left") {
-				overlayClassName = "leader-overlay-image-block-diplomacy-left";
-			} else if (position === "right") {
-				overlayClassName = "leader-overlay-image-block-diplomacy-right";
-			} else if (position === "center") {
-				overlayClassName = "leader-overlay-image-block-diplomacy";
-			}
-			
-			if (!overlayClassName) {
-				return;
-			}
-			
-			// 查找覆盖层元素
-			const overlayElement = container.querySelector(`.${overlayClassName}`);
-			if (overlayElement) {
-				// 应用缩放效果
-				overlayElement.style.transition = `transform ${duration}s ease-in-out`;
-				overlayElement.style.transform = `scale(${scale})`;
-				console.log(`[Diplomacy Sequence] Applied zoom effect to ${position} overlay (scale: ${scale})`);
+	} catch (error) {
+		console.error(`[Diplomacy Sequence] Failed to start virtual camera track ${trackName}:`, error);
+	}
+}
+
+/**
+ * 获取外交序列使用的立绘状态
+ * mod 可通过 CustomLeaderConfig.registerSequenceStateMapping 把序列映射到自定义状态，没有映射时使用默认状态
+ * @param {string} sequenceType - 序列类型（如 "WAR", "ACKNOWLEDGE_PLAYER"）
+ * @param {string} defaultState - 默认状态
+ * @param {number} playerID - 可选，玩家ID
+ * @param {string} position - 可选，位置 ("left", "right")
+ * @param {object} context - 可选，外交模型管理器上下文
+ * @returns {string} 立绘状态
+ */
+function getSequencePortraitState(sequenceType, defaultState, playerID = null, position = null, context = null) {
+	try {
+		const resolver = window.LeaderPortraitResolver;
+		if (resolver && typeof resolver.mapSequenceToState === "function") {
+			const mappedState = resolver.mapSequenceToState(sequenceType, playerID, position, context);
+			if (mappedState) {
+				return mappedState;
 			}
-		});
+		}
 	} catch (error) {
-		console.error(`[Diplomacy Sequence] Failed to apply zoom effect to image overlays:`, error);
+		console.warn(`[Diplomacy Sequence] Failed to map sequence ${sequenceType} to portrait state:`, error);
 	}
+	return defaultState;
 }
 
 /**
@@ -162,58 +153,26 @@ function updateImageLeaderPortrait(leaderID, position, state) {
 		// 获取新状态的图片路径
 		let newImagePath = null;
 		
-		// 定义状态回退链
-		const stateFallbackChains = {
-			"declaring_war": ["declaring_war", "hostile", "neutral"],
-			"defeated": ["defeated", "hostile", "neutral"],
-			"accepting_peace": ["accepting_peace", "friendly", "neutral"],
-			"rejecting_peace": ["rejecting_peace", "hostile", "neutral"],
-			"response_positive": ["response_positive", "friendly", "neutral"],
-			"response_negative": ["response_negative", "hostile", "neutral"],
-			"meeting": ["meeting", "neutral"],
-			"friendly": ["friendly", "neutral"],
-			"hostile": ["hostile", "neutral"],
-			"neutral": ["neutral"]
-		};
-		
-		const fallbackChain = stateFallbackChains[state] || [state, "neutral"];
-
 		// 方法1: 尝试使用 CustomLeaderConfig
 		if (!newImagePath && window.CustomLeaderConfig && window.CustomLeaderConfig.getImagePath) {
 			newImagePath = window.CustomLeaderConfig.getImagePath(leaderID, state);
 			console.error(`[Diplomacy Sequence] CustomLeaderConfig.getImagePath returned: ${newImagePath}`);
 		}
+
+		// 方法2: 尝试使用 game scope 的 DiplomacyConfig
+		if (!newImagePath && window.DiplomacyConfig && window.DiplomacyConfig.diplomacyGetImagePath) {
+			newImagePath = window.DiplomacyConfig.diplomacyGetImagePath(leaderID, state);
+			console.error(`[Diplomacy Sequence] DiplomacyConfig.diplomacyGetImagePath returned: ${newImagePath}`);
+		}
 		
-		// 方法2: 直接从 localStorage 读取配置
-		if (!newImagePath) {
-			try {
-				const storageKey = "LeaderOverlayImageRegistryV1";
-				const raw = localStorage.getItem(storageKey);
-				console.error(`[Diplomacy Sequence] localStorage raw: ${raw ? raw.substring(0, 200) + '...' : 'null'}`);
-				if (raw) {
-					const registry = JSON.parse(raw);
-					const config = registry[leaderID];
-					console.error(`[Diplomacy Sequence] Config for ${leaderID}:`, JSON.stringify(config));
-					if (config) {
-						// 按回退链查找图片
-						if (config.diplomacyStates) {
-							for (const fallbackState of fallbackChain) {
-								if (config.diplomacyStates[fallbackState]) {
-									newImagePath = config.diplomacyStates[fallbackState];
-									console.error(`[Diplomacy Sequence] Found image for state ${fallbackState}: ${newImagePath}`);
-									break;
-								}
-							}
-						}
-						// 最后回退到基础图片
-						if (!newImagePath) {
-							newImagePath = config.imagePath;
-							console.error(`[Diplomacy Sequence] Falling back to base imagePath: ${newImagePath}`);
-						}
-					}
-				}
-			} catch (storageError) {
-				console.error(`[Diplomacy Sequence] Failed to read from localStorage:`, storageError);
+		// 方法3: 直接用共享解析器解析 localStorage 中的配置
+		if (!newImagePath && window.LeaderPortraitResolver) {
+			const resolver = window.LeaderPortraitResolver;
+			const config = resolver.readSharedRegistry()?.[leaderID];
+			console.error(`[Diplomacy Sequence] Config for ${leaderID}:`, JSON.stringify(config));
+			if (config) {
+				newImagePath = resolver.resolveImagePath(leaderID, config, state);
+				console.error(`[Diplomacy Sequence] LeaderPortraitResolver.resolveImagePath returned: ${newImagePath}`);
 			}
 		}
 
@@ -230,6 +189,25 @@ function updateImageLeaderPortrait(leaderID, position, state) {
 		console.error(`[Diplomacy Sequence] Looking for overlay with class: ${overlayClassName}, found: ${overlayBlock ? 'yes' : 'no'}`);
 		
 		if (overlayBlock) {
+			overlayBlock._portraitState = state;
+
+			// 帧动画：新状态有动画时切换动画，否则停止播放并继续更新静态立绘
+			if (window.LeaderOverlayImage && typeof window.LeaderOverlayImage.updatePortraitAnimation === "function" &&
+				window.LeaderOverlayImage.updatePortraitAnimation(overlayBlock, leaderID, state)) {
+				console.log(`[Diplomacy Sequence] SUCCESS! Updated animation for ${leaderID} at ${position} to state ${state}`);
+				return;
+			}
+
+			// 分层立绘：只切换表情层和特效层
+			if (overlayBlock._portraitLayers && window.LeaderOverlayImage &&
+				typeof window.LeaderOverlayImage.updatePortraitExpressionLayers === "function") {
+				const layers = window.LeaderOverlayImage.getPortraitLayers(leaderID, state);
+				if (layers && window.LeaderOverlayImage.updatePortraitExpressionLayers(overlayBlock, layers)) {
+					console.log(`[Diplomacy Sequence] SUCCESS! Updated expression layer for ${leaderID} at ${position}: ${layers.expression}`);
+					return;
+				}
+			}
+
 			// 更新背景图片
 			const oldImage = overlayBlock.style.backgroundImage;
 			overlayBlock.style.backgroundImage = `url("${newImagePath}")`;
@@ -245,25 +223,307 @@ function updateImageLeaderPortrait(leaderID, position, state) {
 }
 
 /**
- * 为图片领袖设置自动VO完成定时器
- * 当右侧或两侧都是图片领袖时，由于没有3D模型动画，需要手动触发VO完成事件
+ * 图片领袖VO计时的默认参数（图片领袖没有配音，按台词长度估算字幕显示和阅读时间）
+ * 可被 IMAGE_LEADER_SEQUENCE_VO_TIMING 中的序列配置和领袖注册配置中的 voTiming 覆盖
+ */
+const IMAGE_LEADER_VO_TIMING_DEFAULTS = {
+	charsPerSecond: 30,      // 字幕逐字显示和阅读速度（字符/秒，中日韩文字按2个字符计算）
+	holdMs: 1500,            // 字幕显示完后的停留时间
+	minMs: 2000,             // VO完成时间下限
+	maxMs: 12000,            // VO完成时间上限
+	defaultMs: 3000,         // 取不到台词时的VO完成时间
+	durationMs: null,        // 设置后忽略台词长度，使用固定的VO完成时间
+	advanceOnClick: false    // 玩家点击时立即完成VO
+};
+
+// 各序列类型的默认VO计时（首次见面取不到台词时使用5秒）
+const IMAGE_LEADER_SEQUENCE_VO_TIMING = {
+	"MEET": { defaultMs: 5000 }
+};
+
+// 中日韩文字（阅读速度按字符计约为拼音文字的一半）
+const WIDE_CHARACTER_PATTERN = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uff00-\uffef]/g;
+
+// 说话帧在覆盖层显示之后开始（各序列在约300ms后显示图片领袖覆盖层）
+const IMAGE_LEADER_TALKING_START_DELAY_MS = 500;
+
+// 各序列类型查找状态音频时使用的立绘状态（未列出的序列使用右侧覆盖层当前的状态）
+const IMAGE_LEADER_SEQUENCE_AUDIO_STATES = {
+	"MEET": "meeting",
+	"WAR": "declaring_war",
+	"ACCEPT_PEACE": "accepting_peace",
+	"REJECT_PEACE": "rejecting_peace",
+	"DEFEAT": "defeated"
+};
+
+/**
+ * 获取当前外交对话的台词文本（已本地化，去除图标和样式标记）
+ * @returns {string} 台词文本，取不到时返回空字符串
+ */
+function getImageLeaderDialogueText() {
+	try {
+		if (typeof DiplomacyManager === "undefined" || !DiplomacyManager.currentDiplomacyDialogData) {
+			return "";
+		}
+		const message = DiplomacyManager.currentDiplomacyDialogData.Message;
+		if (!message || typeof message !== "string") {
+			return "";
+		}
+		const text = (typeof Locale !== "undefined" && typeof Locale.compose === "function") ? Locale.compose(message) : message;
+		return String(text).replace(/\[[^\]]*\]/g, "").replace(/<[^>]*>/g, "").trim();
+	} catch (error) {
+		console.warn("[Diplomacy Sequence] Failed to get dialogue text for image leader:", error);
+		return "";
+	}
+}
+
+/**
+ * 获取图片领袖的VO计时配置
+ * 合并顺序：默认参数 → 序列默认配置 → 领袖 voTiming → 领袖 voTiming.sequences[序列类型]
+ * @param {string} leaderID - 可选，右侧图片领袖ID
+ * @param {string} sequenceType - 可选，序列类型（如 "MEET", "WAR", "ACCEPT_PEACE"）
+ * @returns {object} VO计时配置（字段见 IMAGE_LEADER_VO_TIMING_DEFAULTS）
+ */
+function getImageLeaderVoTiming(leaderID = null, sequenceType = null) {
+	let leaderTiming = null;
+	try {
+		if (leaderID && window.CustomLeaderConfig && typeof window.CustomLeaderConfig.getVoTiming === "function") {
+			leaderTiming = window.CustomLeaderConfig.getVoTiming(leaderID);
+		} else if (leaderID && window.LeaderPortraitResolver) {
+			// 配置系统不可用时，直接读取共享存储中的注册配置
+			leaderTiming = window.LeaderPortraitResolver.readSharedRegistry()?.[leaderID]?.voTiming || null;
+		}
+	} catch (error) {
+		console.warn(`[Diplomacy Sequence] Failed to get VO timing for leader ${leaderID}:`, error);
+	}
+
+	const { sequences: leaderSequenceTimings, ...leaderBaseTiming } = leaderTiming || {};
+	return {
+		...IMAGE_LEADER_VO_TIMING_DEFAULTS,
+		...(sequenceType && IMAGE_LEADER_SEQUENCE_VO_TIMING[sequenceType]),
+		...leaderBaseTiming,
+		...(sequenceType && leaderSequenceTimings?.[sequenceType])
+	};
+}
+
+/**
+ * 获取图片领袖在外交序列中播放的音频提示
+ * @param {string} leaderID - 右侧图片领袖ID
+ * @param {string} sequenceType - 可选，序列类型（如 "MEET", "WAR"）
+ * @param {string} state - 可选，立绘状态（未提供时按序列类型或右侧覆盖层当前状态确定）
+ * @returns {object|null} 音频提示 { event, group, stopEvent, durationMs }，没有配置时返回null
+ */
+function getImageLeaderAudioCue(leaderID, sequenceType = null, state = null) {
+	if (!leaderID) {
+		return null;
+	}
+	try {
+		if (!state) {
+			state = sequenceType && IMAGE_LEADER_SEQUENCE_AUDIO_STATES[sequenceType];
+		}
+		if (!state) {
+			const overlayBlocks = document.body.querySelectorAll(".leader-overlay-image-block-diplomacy-right");
+			state = Array.from(overlayBlocks).find(block => !block._isBeingRemoved && block._leaderID === leaderID)?._portraitState || null;
+		}
+		if (window.CustomLeaderConfig && typeof window.CustomLeaderConfig.getAudioCue === "function") {
+			return window.CustomLeaderConfig.getAudioCue(leaderID, sequenceType, state);
+		}
+		const resolver = window.LeaderPortraitResolver;
+		if (resolver && typeof resolver.resolveAudioCue === "function") {
+			// 配置系统不可用时，直接读取共享存储中的注册配置
+			const config = resolver.readSharedRegistry()?.[leaderID];
+			return config ? resolver.resolveAudioCue(leaderID, config, sequenceType, state) : null;
+		}
+	} catch (error) {
+		console.warn(`[Diplomacy Sequence] Failed to get audio cue for leader ${leaderID}:`, error);
+	}
+	return null;
+}
+
+/**
+ * 通过游戏 UI 音频接口发送音频事件
+ * @param {string} event - 音频事件名
+ * @param {string} group - 可选，音频分组（提供时使用 Audio.playSound）
+ * @returns {boolean} 是否成功发送
+ */
+function sendImageLeaderAudioEvent(event, group = null) {
+	try {
+		if (group && typeof Audio !== "undefined" && typeof Audio.playSound === "function") {
+			Audio.playSound(event, group);
+			return true;
+		}
+		if (typeof UI !== "undefined" && typeof UI.sendAudioEvent === "function") {
+			UI.sendAudioEvent(event);
+			return true;
+		}
+		console.warn(`[Diplomacy Sequence] UI audio API not available, cannot play ${event}`);
+	} catch (error) {
+		console.error(`[Diplomacy Sequence] Failed to play audio event ${event}:`, error);
+	}
+	return false;
+}
+
+/**
+ * 在图片领袖覆盖层出现时播放音频提示（与说话帧同时开始）
  * @param {object} context - LeaderModelManager 实例
- * @param {boolean} isImg2 - 右侧是否为图片领袖
- * @param {boolean} isFirstMeet - 是否为首次见面场景（使用5秒延迟，否则3秒）
+ * @param {object} cue - 音频提示（getImageLeaderAudioCue 的返回值）
+ */
+function startImageLeaderAudio(context, cue) {
+	context._imageLeaderAudioTimeoutId = setTimeout(() => {
+		context._imageLeaderAudioTimeoutId = null;
+		if (!context.isLeaderShowing) {
+			return;
+		}
+		if (sendImageLeaderAudioEvent(cue.event, cue.group)) {
+			context._imageLeaderAudioCue = cue;
+		}
+	}, IMAGE_LEADER_TALKING_START_DELAY_MS);
+}
+
+/**
+ * 根据台词长度估算说话时长和VO完成时间
+ * @param {string} dialogueText - 台词文本（已本地化）
+ * @param {object} timing - VO计时配置（getImageLeaderVoTiming 的返回值）
+ * @returns {object} { talkingMs, voMs }：说话帧播放时长（字幕逐字显示的时间）和VO完成时间
+ */
+function estimateImageLeaderDialogueTiming(dialogueText, timing) {
+	if (timing.durationMs > 0) {
+		return { talkingMs: Math.max(0, timing.durationMs - timing.holdMs), voMs: timing.durationMs };
+	}
+	if (!dialogueText) {
+		return { talkingMs: Math.max(0, timing.defaultMs - timing.holdMs), voMs: timing.defaultMs };
+	}
+
+	// 中日韩文字信息量更大，按2个字符计算阅读长度
+	const wideCharacterCount = (dialogueText.match(WIDE_CHARACTER_PATTERN) || []).length;
+	const readingLength = dialogueText.length + wideCharacterCount;
+	const revealMs = (readingLength / timing.charsPerSecond) * 1000;
+	const voMs = Math.min(timing.maxMs, Math.max(timing.minMs, revealMs + timing.holdMs));
+	return { talkingMs: Math.min(revealMs, voMs), voMs };
+}
+
+/**
+ * 在右侧图片领袖覆盖层上播放说话帧（领袖没有配置 talkingFrames 时不做任何事）
+ * 覆盖层在序列开始后才显示，这里等待覆盖层出现后再开始，并扣除已经过去的时间
+ * @param {object} context - LeaderModelManager 实例
+ * @param {number} talkingMs - 说话帧播放时长（从调用时开始计算）
  */
-function setupImageLeaderVoAutoComplete(context, isImg2, isFirstMeet = false) {
-	if (!isImg2 || !context) {
+function startImageLeaderTalking(context, talkingMs) {
+	if (context._imageLeaderTalkingTimeoutId) {
+		clearTimeout(context._imageLeaderTalkingTimeoutId);
+		context._imageLeaderTalkingTimeoutId = null;
+	}
+	if (!window.LeaderOverlayImage || typeof window.LeaderOverlayImage.startPortraitTalking !== "function") {
 		return;
 	}
 
-	// 清理之前的定时器（如果存在）
+	const startTime = Date.now();
+	const tryStartTalking = (attempt = 0) => {
+		context._imageLeaderTalkingTimeoutId = null;
+		const remainingMs = talkingMs - (Date.now() - startTime);
+		if (remainingMs <= 0 || !context.isLeaderShowing) {
+			return;
+		}
+
+		const overlayBlocks = document.body.querySelectorAll(".leader-overlay-image-block-diplomacy-right");
+		const overlayBlock = Array.from(overlayBlocks).find(block => !block._isBeingRemoved && block._leaderID);
+		if (overlayBlock) {
+			window.LeaderOverlayImage.startPortraitTalking(overlayBlock, remainingMs);
+			return;
+		}
+		if (attempt < 10) {
+			context._imageLeaderTalkingTimeoutId = setTimeout(() => tryStartTalking(attempt + 1), 100);
+		}
+	};
+
+	context._imageLeaderTalkingTimeoutId = setTimeout(() => tryStartTalking(0), IMAGE_LEADER_TALKING_START_DELAY_MS);
+}
+
+// 点击推进VO时忽略的元素：外交回应按钮等可交互控件、提示框（点击这些元素不应跳过配音）
+const IMAGE_LEADER_VO_CLICK_IGNORE_SELECTOR = "fxs-button, fxs-hero-button, fxs-activatable, fxs-chooser-item, fxs-dropdown, fxs-checkbox, fxs-slider, button, input, select, [role='button'], .tooltip";
+
+/**
+ * 判断点击是否应推进图片领袖VO（点击落在可交互控件或提示框内时不推进）
+ * @param {Event} event - 点击事件
+ * @returns {boolean} 是否推进VO
+ */
+function shouldImageLeaderVoAdvanceOnClick(event) {
+	const target = event && event.target;
+	if (!target || typeof target.closest !== "function") {
+		return true;
+	}
+	return !target.closest(IMAGE_LEADER_VO_CLICK_IGNORE_SELECTOR);
+}
+
+/**
+ * 清理图片领袖VO自动完成定时器、说话帧定时器和点击推进监听，并停止仍在播放的音频提示
+ * @param {object} context - LeaderModelManager 实例
+ */
+function clearImageLeaderVoAutoComplete(context) {
+	if (!context) {
+		return;
+	}
 	if (context._imageLeaderVoTimeoutId) {
 		clearTimeout(context._imageLeaderVoTimeoutId);
 		context._imageLeaderVoTimeoutId = null;
 	}
+	if (context._imageLeaderTalkingTimeoutId) {
+		clearTimeout(context._imageLeaderTalkingTimeoutId);
+		context._imageLeaderTalkingTimeoutId = null;
+	}
+	if (context._imageLeaderVoClickHandler) {
+		window.removeEventListener("click", context._imageLeaderVoClickHandler, true);
+		context._imageLeaderVoClickHandler = null;
+	}
+	if (context._imageLeaderAudioTimeoutId) {
+		clearTimeout(context._imageLeaderAudioTimeoutId);
+		context._imageLeaderAudioTimeoutId = null;
+	}
+	// 序列被打断（或点击推进）时停止仍在播放的音频
+	if (context._imageLeaderAudioCue) {
+		const cue = context._imageLeaderAudioCue;
+		context._imageLeaderAudioCue = null;
+		if (cue.stopEvent) {
+			sendImageLeaderAudioEvent(cue.stopEvent, cue.group);
+		}
+	}
+}
+
+/**
+ * 为图片领袖设置自动VO完成定时器
+ * 当右侧或两侧都是图片领袖时，由于没有3D模型动画，需要手动触发VO完成事件
+ * 完成时间按本地化台词长度和阅读速度估算（可通过 voTiming 按领袖和序列类型配置），台词逐字显示期间播放说话帧
+ * 领袖配置了 audioCues 时播放对应的音频，说话帧和VO完成都以音频的 durationMs 为准（不再按台词长度估算）
+ * @param {object} context - LeaderModelManager 实例
+ * @param {boolean} isImg2 - 右侧是否为图片领袖
+ * @param {boolean} isFirstMeet - 是否为首次见面场景（未提供序列类型时视为 "MEET"）
+ * @param {object} options - 可选参数
+ *   - leaderID: {string} 右侧图片领袖ID（用于读取领袖的 voTiming）
+ *   - sequenceType: {string} 序列类型（如 "MEET", "WAR", "ACCEPT_PEACE", "REJECT_PEACE", "DEFEAT", "DIALOGUE"）
+ *   - state: {string} 右侧领袖的立绘状态（用于查找状态音频，未提供时按序列类型确定）
+ */
+function setupImageLeaderVoAutoComplete(context, isImg2, isFirstMeet = false, options = {}) {
+	// 注册表变化后重放场景时，对话的VO已经完成过
+	if (!isImg2 || !context || context._imageLeaderSceneReplaying) {
+		return;
+	}
+
+	// 清理之前的定时器和点击监听（如果存在）
+	clearImageLeaderVoAutoComplete(context);
 
-	// 首次见面使用5秒延迟，其它场景使用3秒
-	const delayMs = isFirstMeet ? 5000 : 3000;
+	// 按台词长度估算VO完成时间，并在字幕显示期间播放说话帧
+	const sequenceType = options.sequenceType || (isFirstMeet ? "MEET" : null);
+	const timing = getImageLeaderVoTiming(options.leaderID, sequenceType);
+	let { talkingMs, voMs: delayMs } = estimateImageLeaderDialogueTiming(getImageLeaderDialogueText(), timing);
+
+	// 播放领袖的音频提示：说话帧和VO完成都以音频结束为准（注册时已要求 durationMs）
+	const audioCue = getImageLeaderAudioCue(options.leaderID, sequenceType, options.state);
+	if (audioCue) {
+		startImageLeaderAudio(context, audioCue);
+		talkingMs = IMAGE_LEADER_TALKING_START_DELAY_MS + audioCue.durationMs;
+		delayMs = talkingMs;
+	}
+	startImageLeaderTalking(context, talkingMs);
 
 	// 设置VO队列标记，表示有VO需要完成
 	if (context.leaderSequenceGate) {
@@ -274,11 +534,16 @@ function setupImageLeaderVoAutoComplete(context, isImg2, isFirstMeet = false) {
 		}
 	}
 
-	// 设置定时器，在延迟后触发VO完成事件
-	context._imageLeaderVoTimeoutId = setTimeout(() => {
+	// 触发VO完成事件（定时器到期或玩家点击时调用，只执行一次）
+	const completeVo = (skipped = false) => {
+		// 定时器到期时不打断仍在播放的音频，玩家点击跳过时才停止
+		if (!skipped) {
+			context._imageLeaderAudioCue = null;
+		}
+		clearImageLeaderVoAutoComplete(context);
+
 		// 安全检查：确保外交场景仍然活跃
 		if (!context.isLeaderShowing) {
-			context._imageLeaderVoTimeoutId = null;
 			return;
 		}
 
@@ -298,10 +563,60 @@ function setupImageLeaderVoAutoComplete(context, isImg2, isFirstMeet = false) {
 			} catch (eventError) {
 				console.error("[Diplomacy Sequence] Failed to dispatch diplomacy-animation-finished event:", eventError);
 			}
-		} finally {
-			context._imageLeaderVoTimeoutId = null;
 		}
-	}, delayMs);
+	};
+
+	// 设置定时器，在延迟后触发VO完成事件
+	context._imageLeaderVoTimeoutId = setTimeout(() => completeVo(false), delayMs);
+
+	// 点击推进：玩家点击时立即完成VO（与3D领袖跳过配音的行为一致），点击外交回应按钮等控件时不推进
+	if (timing.advanceOnClick) {
+		context._imageLeaderVoClickHandler = (event) => {
+			if (shouldImageLeaderVoAdvanceOnClick(event)) {
+				completeVo(true);
+			}
+		};
+		window.addEventListener("click", context._imageLeaderVoClickHandler, true);
+	}
+}
+
+/**
+ * 记录当前显示的外交场景，供注册表变化时重新显示（见 leader-overlay-diplomacy.js）
+ * clear() 会清除记录，因此只有方法执行完成后仍在显示的场景会被记录，已结束的序列不会被重放
+ * @param {object} instance - LeaderModelManager 实例
+ * @param {string} methodName - 场景显示方法名（"showLeaderModels", "showLeftLeaderModel", "showRightLeaderModel", "showRightIndLeaderModel"）
+ */
+function trackReplayableScene(instance, methodName) {
+	const showMethod = instance[methodName];
+	instance[methodName] = function(...args) {
+		const result = showMethod.apply(this, args);
+		this._imageLeaderSceneReplay = { methodName, args };
+		return result;
+	};
+	instance[methodName]._isOverridden = true;
+}
+
+/**
+ * 重新显示当前外交场景（领袖在图片领袖与3D领袖之间切换后调用）
+ * 重放期间不重新设置VO自动完成，避免再次推进已经完成的对话
+ * @param {object} context - LeaderModelManager 实例
+ * @returns {object|null} 重放的场景记录 { methodName, args }，没有可重放的场景时返回null
+ */
+function replayImageLeaderScene(context) {
+	const sceneReplay = context ? context._imageLeaderSceneReplay : null;
+	if (!sceneReplay || typeof context[sceneReplay.methodName] !== "function") {
+		return null;
+	}
+
+	context._imageLeaderSceneReplaying = true;
+	try {
+		context[sceneReplay.methodName](...sceneReplay.args);
+	} catch (error) {
+		console.error(`[Diplomacy Sequence] Failed to replay ${sceneReplay.methodName}:`, error);
+	} finally {
+		context._imageLeaderSceneReplaying = false;
+	}
+	return sceneReplay;
 }
 
 /**
@@ -586,24 +901,26 @@ function overrideShowLeadersFirstMeet(instance, classRef) {
 		// 相机动画在 FIRST_MEET_DELAY 秒后开始，旗帜也在此时开始动画
 		// 图片领袖应该在相机动画开始后 433ms 显示，与其他场景保持一致
 		const firstMeetDelay = this.FIRST_MEET_DELAY || 0.3;
+		// 首次见面的相机在弹入后继续缓慢推近
+		startImageLeaderCamera("first-meet", firstMeetDelay * 1000);
 		const imageLeaderDelay = (firstMeetDelay * 1000) + 433;
 		if (isImg1) {
 			setTimeout(() => {
-				safeHandleImageLeaderDisplay(leaderID1, "left", this, null, true);
+				safeHandleImageLeaderDisplay(leaderID1, "left", this, getSequencePortraitState("MEET", null, playerID1, "left", this), true, "MEET");
 			}, imageLeaderDelay);
 		}
 		if (isImg2) {
 			setTimeout(() => {
-				safeHandleImageLeaderDisplay(leaderID2, "right", this, null, true);
+				safeHandleImageLeaderDisplay(leaderID2, "right", this, getSequencePortraitState("MEET", null, playerID2, "right", this), true, "MEET");
 			}, imageLeaderDelay);
 		}
 
 		this.beginFirstMeetSequence();
 		this.isLeaderShowing = true;
 
-		// 如果右侧是图片领袖，设置自动VO完成定时器（首次见面使用5秒延迟）
+		// 如果右侧是图片领袖，设置自动VO完成定时器（按台词长度计时，取不到台词时首次见面使用5秒）
 		if (isImg2) {
-			setupImageLeaderVoAutoComplete(this, isImg2, true);
+			setupImageLeaderVoAutoComplete(this, isImg2, true, { leaderID: leaderID2, sequenceType: "MEET" });
 		}
 	};
 
@@ -832,12 +1149,12 @@ function overrideShowLeadersDeclareWar(instance, classRef) {
 		// 宣战场景：直接使用 "declaring_war" 状态显示立绘
 		if (isImg1) {
 			setTimeout(() => {
-				safeHandleImageLeaderDisplay(leaderID1, "left", this, "declaring_war", true);
+				safeHandleImageLeaderDisplay(leaderID1, "left", this, getSequencePortraitState("WAR", "declaring_war", playerID1, "left", this), true, "WAR");
 			}, 300);
 		}
 		if (isImg2) {
 			setTimeout(() => {
-				safeHandleImageLeaderDisplay(leaderID2, "right", this, "declaring_war", true);
+				safeHandleImageLeaderDisplay(leaderID2, "right", this, getSequencePortraitState("WAR", "declaring_war", playerID2, "right", this), true, "WAR");
 			}, 300);
 		}
 
@@ -855,10 +1172,10 @@ function overrideShowLeadersDeclareWar(instance, classRef) {
 		this.beginDeclareWarPlayerSequence = function() {
 			// 宣战时切换图片领袖的立绘到 "declaring_war" 状态
 			if (savedIsImg1 && savedLeaderID1) {
-				updateImageLeaderPortrait(savedLeaderID1, "left", "declaring_war");
+				updateImageLeaderPortrait(savedLeaderID1, "left", getSequencePortraitState("WAR", "declaring_war", playerID1, "left", this));
 			}
 			if (savedIsImg2 && savedLeaderID2) {
-				updateImageLeaderPortrait(savedLeaderID2, "right", "declaring_war");
+				updateImageLeaderPortrait(savedLeaderID2, "right", getSequencePortraitState("WAR", "declaring_war", playerID2, "right", this));
 			}
 
 			// 检查哪些侧有3D模型
@@ -869,44 +1186,21 @@ function overrideShowLeadersDeclareWar(instance, classRef) {
 			const savedHasLeft3D = hasLeft3D;
 			const savedHasRight3D = hasRight3D;
 			
-			// 重写 startDWCameraAnimations 以在调用时同时缩放图片覆盖层，并在缩放开始时启动图片领袖VO定时器
+			// 重写 startDWCameraAnimations 以在调用时同时推近虚拟相机，并在推近开始时启动图片领袖VO定时器
 			const originalStartDWCameraAnimations = this.startDWCameraAnimations.bind(this);
 			this.startDWCameraAnimations = function() {
 				originalStartDWCameraAnimations();
-				// 确定哪些位置需要缩放
-				const positionsToZoom = [];
-				if (savedIsImg1 && !savedHasLeft3D) {
-					positionsToZoom.push("left");
-				}
-				if (savedIsImg2 && !savedHasRight3D) {
-					positionsToZoom.push("right");
-				}
-				if (positionsToZoom.length > 0) {
-					zoomImageOverlays(positionsToZoom, 1.1, 1.1);
+				if (savedIsImg1 || savedIsImg2) {
+					startImageLeaderCamera("declare-war");
 				}
 
-				// 右侧（或两侧）为图片领袖：从缩放开始计时3秒后触发VO完成
+				// 右侧（或两侧）为图片领袖：从缩放开始按台词长度计时后触发VO完成
 				if (!savedHasRight3D) {
-					// 清理旧定时器
-					if (this._imageLeaderVoTimeoutId) {
-						clearTimeout(this._imageLeaderVoTimeoutId);
-						this._imageLeaderVoTimeoutId = null;
-					}
-					// 设置VO队列标记
-					if (this.leaderSequenceGate) {
-						if (typeof this.leaderSequenceGate.setVOQueued === "function") {
-							this.leaderSequenceGate.setVOQueued();
-						} else {
-							this.leaderSequenceGate.voQueued = true;
-						}
-					}
-					// 3秒后触发VO完成事件
-					this._imageLeaderVoTimeoutId = setTimeout(() => {
-						if (this.isLeaderShowing) {
-							this.doSequenceSharedAdvance();
-						}
-						this._imageLeaderVoTimeoutId = null;
-					}, 3000);
+					setupImageLeaderVoAutoComplete(this, true, false, {
+						leaderID: savedLeaderID2,
+						sequenceType: "WAR",
+						state: getSequencePortraitState("WAR", "declaring_war", playerID2, "right", this)
+					});
 				}
 			};
 			
@@ -946,9 +1240,7 @@ function overrideShowLeadersDeclareWar(instance, classRef) {
 								const elapsedTime = Date.now() - declareWarStartTime;
 								const remainingTime = Math.max(0, 3670 - elapsedTime);
 								setTimeout(() => {
-									// 直接触发图片覆盖层的缩放动画
-									zoomImageOverlays(["left", "right"], 1.1, 1.1);
-									// 触发拉近动画效果
+									// 触发拉近动画效果（内部会推近虚拟相机）
 									this.startDWCameraAnimations();
 									this.doSequenceSharedAdvance();
 									this.leaderSequenceStepID = 0;
@@ -1010,9 +1302,7 @@ function overrideShowLeadersDeclareWar(instance, classRef) {
 								const elapsedTime = Date.now() - declareWarStartTime;
 								const remainingTime = Math.max(0, 3670 - elapsedTime);
 								setTimeout(() => {
-									// 直接触发图片覆盖层的缩放动画
-									zoomImageOverlays(["left", "right"], 1.1, 1.1);
-									// 触发拉近动画效果（内部会启动VO定时器）
+									// 触发拉近动画效果（内部会推近虚拟相机并启动VO定时器）
 									this.startDWCameraAnimations();
 									this.leaderSequenceStepID = 0;
 								}, remainingTime);
@@ -1271,21 +1561,21 @@ function overrideShowLeadersAcceptPeace(instance, classRef) {
 		// 对图片领袖延迟显示覆盖层
 		if (isImg1) {
 			setTimeout(() => {
-				safeHandleImageLeaderDisplay(leaderID1, "left", this, null, true);
+				safeHandleImageLeaderDisplay(leaderID1, "left", this, getSequencePortraitState("ACCEPT_PEACE", null, playerID1, "left", this), true, "ACCEPT_PEACE");
 			}, 300);
 		}
 		if (isImg2) {
 			setTimeout(() => {
-				safeHandleImageLeaderDisplay(leaderID2, "right", this, null, true);
+				safeHandleImageLeaderDisplay(leaderID2, "right", this, getSequencePortraitState("ACCEPT_PEACE", null, playerID2, "right", this), true, "ACCEPT_PEACE");
 			}, 300);
 		}
 
 		this.beginAcceptPeaceSequence();
 		this.isLeaderShowing = true;
 
-		// 如果右侧是图片领袖，设置自动VO完成定时器（接受和谈场景使用3秒延迟）
+		// 如果右侧是图片领袖，设置自动VO完成定时器（接受和谈场景，按台词长度计时）
 		if (isImg2) {
-			setupImageLeaderVoAutoComplete(this, isImg2, false);
+			setupImageLeaderVoAutoComplete(this, isImg2, false, { leaderID: leaderID2, sequenceType: "ACCEPT_PEACE" });
 		}
 	};
 
@@ -1522,7 +1812,7 @@ function overrideShowLeadersRejectPeace(instance, classRef) {
 					const isAtWar1 = this.isAtWarWithPlayer ? this.isAtWarWithPlayer(playerID2) : false;
 					initialState1 = window.CustomLeaderConfig.getDiplomacyInitialState(relationship1, isAtWar1);
 				}
-				safeHandleImageLeaderDisplay(leaderID1, "left", this, initialState1, true);
+				safeHandleImageLeaderDisplay(leaderID1, "left", this, getSequencePortraitState("REJECT_PEACE", initialState1, playerID1, "left", this), true, "REJECT_PEACE");
 			}, 300);
 		}
 		if (isImg2) {
@@ -1535,16 +1825,16 @@ function overrideShowLeadersRejectPeace(instance, classRef) {
 					const isAtWar2 = this.isAtWarWithPlayer ? this.isAtWarWithPlayer(playerID1) : false;
 					initialState2 = window.CustomLeaderConfig.getDiplomacyInitialState(relationship2, isAtWar2);
 				}
-				safeHandleImageLeaderDisplay(leaderID2, "right", this, initialState2, true);
+				safeHandleImageLeaderDisplay(leaderID2, "right", this, getSequencePortraitState("REJECT_PEACE", initialState2, playerID2, "right", this), true, "REJECT_PEACE");
 			}, 300);
 		}
 
 		this.beginRejectPeaceSequence();
 		this.isLeaderShowing = true;
 
-		// 如果右侧是图片领袖，设置自动VO完成定时器（拒绝和谈场景使用3秒延迟）
+		// 如果右侧是图片领袖，设置自动VO完成定时器（拒绝和谈场景，按台词长度计时）
 		if (isImg2) {
-			setupImageLeaderVoAutoComplete(this, isImg2, false);
+			setupImageLeaderVoAutoComplete(this, isImg2, false, { leaderID: leaderID2, sequenceType: "REJECT_PEACE" });
 		}
 	};
 
@@ -1765,25 +2055,27 @@ function overrideShowLeadersDefeat(instance, classRef) {
 
 		this.showDiplomaticSceneEnvironment();
 		this.simpleLeaderPopUpCameraAnimation(false, 0);
+		// 失败场景的相机在弹入后缓慢拉远
+		startImageLeaderCamera("defeat");
 
 		// 对图片领袖延迟显示覆盖层
 		if (isImg1) {
 			setTimeout(() => {
-				safeHandleImageLeaderDisplay(leaderID1, "left", this, null, true);
+				safeHandleImageLeaderDisplay(leaderID1, "left", this, getSequencePortraitState("DEFEAT", null, playerID1, "left", this), true, "DEFEAT");
 			}, 300);
 		}
 		if (isImg2) {
 			setTimeout(() => {
-				safeHandleImageLeaderDisplay(leaderID2, "right", this, null, true);
+				safeHandleImageLeaderDisplay(leaderID2, "right", this, getSequencePortraitState("DEFEAT", null, playerID2, "right", this), true, "DEFEAT");
 			}, 300);
 		}
 
 		this.beginDefeatSequence();
 		this.isLeaderShowing = true;
 
-		// 如果右侧是图片领袖，设置自动VO完成定时器（战败场景使用3秒延迟）
+		// 如果右侧是图片领袖，设置自动VO完成定时器（战败场景，按台词长度计时）
 		if (isImg2) {
-			setupImageLeaderVoAutoComplete(this, isImg2, false);
+			setupImageLeaderVoAutoComplete(this, isImg2, false, { leaderID: leaderID2, sequenceType: "DEFEAT" });
 		}
 	};
 
@@ -2007,12 +2299,12 @@ function overrideShowLeaderModels(instance, classRef) {
 		// 对图片领袖延迟显示覆盖层
 		if (isImg1) {
 			setTimeout(() => {
-				safeHandleImageLeaderDisplay(leaderID1, "left", this, null, true);
+				safeHandleImageLeaderDisplay(leaderID1, "left", this, getSequencePortraitState("DIALOGUE", null, playerID1, "left", this), true, "DIALOGUE");
 			}, 300);
 		}
 		if (isImg2) {
 			setTimeout(() => {
-				safeHandleImageLeaderDisplay(leaderID2, "right", this, null, true);
+				safeHandleImageLeaderDisplay(leaderID2, "right", this, getSequencePortraitState("DIALOGUE", null, playerID2, "right", this), true, "DIALOGUE");
 			}, 300);
 		}
 
@@ -2022,14 +2314,14 @@ function overrideShowLeaderModels(instance, classRef) {
 		const animationToPlayLeft = "IDLE_ListeningPlayer";
 		this.playLeaderAnimation(animationToPlayLeft, "left");
 
-		// 如果右侧是图片领袖，设置自动VO完成定时器（普通对话场景使用3秒延迟）
+		// 如果右侧是图片领袖，设置自动VO完成定时器（普通对话场景，按台词长度计时）
 		// 注意：普通对话场景中，VO可能由右侧领袖播放，所以需要检测右侧是否为图片领袖
 		if (isImg2) {
-			setupImageLeaderVoAutoComplete(this, isImg2, false);
+			setupImageLeaderVoAutoComplete(this, isImg2, false, { leaderID: leaderID2, sequenceType: "DIALOGUE" });
 		}
 	};
 
-	instance.showLeaderModels._isOverridden = true;
+	trackReplayableScene(instance, "showLeaderModels");
 	return true;
 }
 
@@ -2147,7 +2439,7 @@ function overrideShowLeftLeaderModel(instance, classRef) {
 		this.isLeaderShowing = true;
 	};
 
-	instance.showLeftLeaderModel._isOverridden = true;
+	trackReplayableScene(instance, "showLeftLeaderModel");
 	return true;
 }
 
@@ -2275,7 +2567,122 @@ function overrideShowRightLeaderModel(instance, classRef) {
 		this.playLeaderAnimation(animationToPlay, "right");
 	};
 
-	instance.showRightLeaderModel._isOverridden = true;
+	trackReplayableScene(instance, "showRightLeaderModel");
+	return true;
+}
+
+/**
+ * 获取独立势力玩家已注册的立绘键（见 CustomLeaderConfig.registerIndependentPortrait）
+ * @param {number} playerID - 独立势力玩家ID
+ * @returns {string|null} 立绘键，没有注册立绘时返回null
+ */
+function safeGetIndependentPortraitKey(playerID) {
+	try {
+		if (window.CustomLeaderConfig && typeof window.CustomLeaderConfig.getIndependentPortraitKeyForPlayer === "function") {
+			return window.CustomLeaderConfig.getIndependentPortraitKeyForPlayer(playerID);
+		}
+	} catch (error) {
+		console.error("[Diplomacy Sequence] safeGetIndependentPortraitKey failed:", error);
+	}
+	return null;
+}
+
+/**
+ * 重写 showRightIndLeaderModel 方法（独立势力使用单位模型）
+ * 独立势力注册了立绘时，按 showRightLeaderModel 的图片领袖流程显示右侧覆盖层，跳过单位模型加载
+ */
+function overrideShowRightIndLeaderModel(instance, classRef) {
+	if (!instance || !classRef || typeof instance.showRightIndLeaderModel !== "function") {
+		return false;
+	}
+
+	if (instance.showRightIndLeaderModel._isOverridden) {
+		return true;
+	}
+
+	const originalMethod = instance.showRightIndLeaderModel.bind(instance);
+
+	instance.showRightIndLeaderModel = function(playerID, ...args) {
+		const portraitKey = safeGetIndependentPortraitKey(playerID);
+
+		// 没有注册立绘，先清理图片覆盖层（如果存在），然后调用原始方法显示单位模型
+		if (!portraitKey) {
+			const hasOverlay = window.LeaderOverlayImage &&
+				(document.querySelector(".leader-overlay-image-block-diplomacy-right") ||
+				 document.querySelector(".leader-overlay-image-block-diplomacy"));
+			if (hasOverlay) {
+				immediatelyRemoveImageOverlay("right");
+			}
+			return originalMethod(playerID, ...args);
+		}
+
+		this.clear();
+
+		const player2 = Players.get(playerID);
+		if (!player2) {
+			return;
+		}
+		const p2ColorPrimary = UI.Player.getPrimaryColorValueAsHex(playerID);
+		const p2ColorSecondary = UI.Player.getSecondaryColorValueAsHex(playerID);
+		// 独立势力不一定有对应的文明旗帜，找不到时使用备用旗帜
+		const civ2 = GameInfo.Civilizations.lookup(player2.civilizationType);
+
+		const screenType = this.getScreenType();
+		const rightModelPosition = classRef.POSITIONS[screenType][2 /* RightModel */];
+		const rightBannerPosition = classRef.POSITIONS[screenType][3 /* RightBanner */];
+		let modelPosition = rightModelPosition;
+		if (this.isAtWarWithPlayer && this.isAtWarWithPlayer(playerID)) {
+			modelPosition = classRef.POSITIONS[screenType][4 /* RightModelAtWar */];
+			this.isRightHostile = true;
+		}
+
+		// 右侧处理（跳过单位模型，只加载灯光和旗帜）
+		this.leader3DMarkerRight = WorldUI.createFixedMarker({ x: 0, y: 0, z: 0 });
+		if (this.leader3DMarkerRight != null) {
+			this.leaderModelGroup.addModel(
+				this.getRightLightingAssetName(),
+				{ marker: this.leader3DMarkerRight, offset: modelPosition },
+				{ angle: 0, scale: 1, foreground: true }
+			);
+
+			const bannerOptions = {
+				angle: classRef.RIGHT_BANNER_ANGLE,
+				scale: classRef.BANNER_SCALE,
+				initialState: "IDLE_ListeningPlayer",
+				foreground: true,
+				tintColor1: p2ColorPrimary,
+				tintColor2: p2ColorSecondary,
+				triggerCallbacks: true
+			};
+			if (civ2) {
+				this.leader3DBannerRight = this.leaderModelGroup.addModel(
+					this.getCivBannerName(civ2.CivilizationType.toString()),
+					{ marker: this.leader3DMarkerRight, offset: rightBannerPosition },
+					bannerOptions
+				);
+			}
+			if (this.leader3DBannerRight == null) {
+				this.leader3DBannerRight = this.leaderModelGroup.addModel(
+					this.getFallbackBannerAssetName(),
+					{ marker: this.leader3DMarkerRight, offset: rightBannerPosition },
+					bannerOptions
+				);
+			}
+		}
+
+		this.showDiplomaticSceneEnvironment();
+		this.simpleLeaderPopUpCameraAnimation(false, 0);
+
+		// 延迟显示独立势力立绘，从外交关系推断状态
+		setTimeout(() => {
+			const inferredState = inferLeaderStateFromDiplomacy(playerID, "right", this);
+			safeHandleImageLeaderDisplay(portraitKey, "right", this, inferredState, true);
+		}, 300);
+
+		this.isLeaderShowing = true;
+	};
+
+	trackReplayableScene(instance, "showRightIndLeaderModel");
 	return true;
 }
 
@@ -2309,7 +2716,7 @@ function overrideBeginAcknowledgePlayerSequence(instance, classRef) {
 					if (leaderID && safeIsImageLeader(leaderID)) {
 						// 更新左侧图片为友好回应状态
 						if (window.LeaderOverlayImage && typeof window.LeaderOverlayImage.tryUpdateDiplomacyImageOverlay === "function") {
-							window.LeaderOverlayImage.tryUpdateDiplomacyImageOverlay(leaderID, "left", "response_positive");
+							window.LeaderOverlayImage.tryUpdateDiplomacyImageOverlay(leaderID, "left", getSequencePortraitState("ACKNOWLEDGE_PLAYER", "response_positive", leftPlayerID, "left", this));
 						}
 					}
 				}
@@ -2353,7 +2760,7 @@ function overrideBeginHostileAcknowledgePlayerSequence(instance, classRef) {
 					if (leaderID && isImageLeader(leaderID)) {
 						// 更新左侧图片为不友好回应状态
 						if (window.LeaderOverlayImage && typeof window.LeaderOverlayImage.tryUpdateDiplomacyImageOverlay === "function") {
-							window.LeaderOverlayImage.tryUpdateDiplomacyImageOverlay(leaderID, "left", "response_negative");
+							window.LeaderOverlayImage.tryUpdateDiplomacyImageOverlay(leaderID, "left", getSequencePortraitState("ACKNOWLEDGE_HOSTILE_PLAYER", "response_negative", leftPlayerID, "left", this));
 						}
 					}
 				}
@@ -2415,7 +2822,7 @@ function overrideBeginAcknowledgePositiveOtherSequence(instance, classRef) {
 					if (leaderID && safeIsImageLeader(leaderID)) {
 						// 更新右侧图片为友好回应状态
 						if (window.LeaderOverlayImage && typeof window.LeaderOverlayImage.tryUpdateDiplomacyImageOverlay === "function") {
-							window.LeaderOverlayImage.tryUpdateDiplomacyImageOverlay(leaderID, "right", "response_positive");
+							window.LeaderOverlayImage.tryUpdateDiplomacyImageOverlay(leaderID, "right", getSequencePortraitState("ACKNOWLEDGE_OTHER_POSITIVE", "response_positive", rightPlayerID, "right", this));
 						}
 					}
 				}
@@ -2477,7 +2884,7 @@ function overrideBeginAcknowledgeNegativeOtherSequence(instance, classRef) {
 					if (leaderID && safeIsImageLeader(leaderID)) {
 						// 更新右侧图片为不友好回应状态
 						if (window.LeaderOverlayImage && typeof window.LeaderOverlayImage.tryUpdateDiplomacyImageOverlay === "function") {
-							window.LeaderOverlayImage.tryUpdateDiplomacyImageOverlay(leaderID, "right", "response_negative");
+							window.LeaderOverlayImage.tryUpdateDiplomacyImageOverlay(leaderID, "right", getSequencePortraitState("ACKNOWLEDGE_OTHER_NEGATIVE", "response_negative", rightPlayerID, "right", this));
 						}
 					}
 				}
@@ -2539,7 +2946,7 @@ function overrideBeginAcknowledgeOtherSequence(instance, classRef) {
 					if (leaderID && safeIsImageLeader(leaderID)) {
 						// 默认使用正面反应（可以根据上下文调整）
 						if (window.LeaderOverlayImage && typeof window.LeaderOverlayImage.tryUpdateDiplomacyImageOverlay === "function") {
-							window.LeaderOverlayImage.tryUpdateDiplomacyImageOverlay(leaderID, "right", "response_positive");
+							window.LeaderOverlayImage.tryUpdateDiplomacyImageOverlay(leaderID, "right", getSequencePortraitState("ACKNOWLEDGE_OTHER", "response_positive", rightPlayerID, "right", this));
 						}
 					}
 				}
@@ -2563,9 +2970,13 @@ window.DiplomacySequenceHandlers = {
 	overrideShowLeaderModels,
 	overrideShowLeftLeaderModel,
 	overrideShowRightLeaderModel,
+	overrideShowRightIndLeaderModel,
 	overrideBeginAcknowledgePlayerSequence,
 	overrideBeginHostileAcknowledgePlayerSequence,
 	overrideBeginAcknowledgePositiveOtherSequence,
 	overrideBeginAcknowledgeNegativeOtherSequence,
-	overrideBeginAcknowledgeOtherSequence
+	overrideBeginAcknowledgeOtherSequence,
+	inferLeaderStateFromDiplomacy,
+	clearImageLeaderVoAutoComplete,
+	replayImageLeaderScene
 };
@@ -4,22 +4,46 @@
  */
 
 // 获取领袖ID从playerID
+// 注意：player.leaderType 是数据库哈希值，注册表使用字符串ID（如 "LEADER_YUNI"），需要通过 GameInfo 转换
 function getLeaderIDFromPlayerID(playerID) {
 	try {
+		if (window.DiplomacyConfig && typeof window.DiplomacyConfig.getLeaderStringIDFromPlayerID === "function") {
+			return window.DiplomacyConfig.getLeaderStringIDFromPlayerID(playerID);
+		}
+
 		const player = Players.get(playerID);
 		if (!player) {
 			return null;
 		}
-		return player.leaderType || null;
+		const leader = GameInfo?.Leaders?.lookup(player.leaderType);
+		return leader?.LeaderType?.toString() || null;
 	} catch (error) {
 		console.error("Leader Overlay Diplomacy: Error getting leader ID from player ID", error);
 		return null;
 	}
 }
 
-// 检查是否应该显示覆盖层
+// 检查是否应该显示覆盖层（查询注册表，支持所有通过 registerImageLeader 注册的领袖）
+// - game scope 优先使用 DiplomacyConfig.diplomacyIsImageLeader（包含从共享存储合并的注册信息）
+// - 其次使用 CustomLeaderConfig.isImageLeader
 function shouldShowOverlay(leaderID) {
-	return leaderID === "LEADER_YUNI";
+	if (!leaderID) {
+		return false;
+	}
+
+	try {
+		if (window.DiplomacyConfig && typeof window.DiplomacyConfig.diplomacyIsImageLeader === "function") {
+			return window.DiplomacyConfig.diplomacyIsImageLeader(leaderID);
+		}
+
+		if (window.CustomLeaderConfig && typeof window.CustomLeaderConfig.isImageLeader === "function") {
+			return window.CustomLeaderConfig.isImageLeader(leaderID);
+		}
+	} catch (error) {
+		console.warn("Leader Overlay Diplomacy: Failed to query image leader registry", error);
+	}
+
+	return false;
 }
 
 // 获取LeaderModelManager实例（通过动态导入）
@@ -49,15 +73,165 @@ async function getLeaderModelManager() {
 	return null;
 }
 
-// TODO: 实现外交界面的领袖模型追踪
-// 需要追踪的函数：
-// 1. LeaderModelManager.showLeaderModels(playerID1, playerID2) - 同时显示两个领袖
-// 2. LeaderModelManager.showLeadersFirstMeet(params) - 首次见面场景
-// 3. LeaderModelManager.showRightLeaderModel(playerID) - 显示右侧领袖（最常见）
-// 4. LeaderModelManager.showLeftLeaderModel(playerID) - 显示左侧领袖
-// 5. OtherPlayerDiplomacyActionPanel.onSelectedPlayerChanged() - 玩家切换事件
-// 
-// 注意：showRightIndLeaderModel() 用于独立城邦，使用单位模型而非特定领袖模型，不需要实现
+// 外交界面的领袖模型追踪分工：
+// 1. LeaderModelManager.showLeaderModels / showLeadersFirstMeet / showRightLeaderModel / showLeftLeaderModel
+//    由 diplomacy-sequence-handlers.js 重写处理；showRightIndLeaderModel（独立势力，使用单位模型）
+//    在独立势力注册了立绘（CustomLeaderConfig.registerIndependentPortrait）时同样显示图片覆盖层
+// 2. OtherPlayerDiplomacyActionPanel.onSelectedPlayerChanged() - 玩家切换事件，由本模块处理：
+//    切换到另一位图片领袖时原地替换右侧立绘，不经过 clear() 的移除/重新入场流程
+// 3. CustomLeaderConfig.subscribeRegistry - 注册表变化，由本模块处理：
+//    领袖注册或移除注册时重放当前场景，在3D模型与图片覆盖层之间切换
+
+// 可能的 OtherPlayerDiplomacyActionPanel 控件名称（不同版本命名可能不同，都找不到时在重试结束后记录一次警告）
+const OTHER_PLAYER_PANEL_DEFINITION_NAMES = [
+	"panel-other-player-diplomacy-actions",
+	"other-player-diplomacy-actions-panel",
+	"panel-diplomacy-actions-other-player"
+];
+
+// 获取DiplomacyManager（通过全局对象）
+function getDiplomacyManager() {
+	if (typeof DiplomacyManager !== "undefined" && DiplomacyManager) {
+		return DiplomacyManager;
+	}
+	return null;
+}
+
+// 从外交关系推断右侧领袖状态（优先使用序列处理模块的实现）
+function inferRightLeaderState(playerID, leaderModelManager) {
+	try {
+		if (window.DiplomacySequenceHandlers && typeof window.DiplomacySequenceHandlers.inferLeaderStateFromDiplomacy === "function") {
+			return window.DiplomacySequenceHandlers.inferLeaderStateFromDiplomacy(playerID, "right", leaderModelManager);
+		}
+	} catch (error) {
+		console.warn("Leader Overlay Diplomacy: Failed to infer leader state from diplomacy", error);
+	}
+	return "neutral";
+}
+
+/**
+ * 原地替换右侧图片领袖立绘（用于外交面板中切换玩家）
+ * 在 LeaderModelManager 上设置 _imageLeaderSwap 标记，使原始 onSelectedPlayerChanged 执行期间的 clear() / handleImageLeaderDisplay
+ * 保留右侧覆盖层（已按新领袖重新渲染），而不是移除后重新播放入场动画；标记由调用方在原始函数返回后清除
+ * @param {number} playerID - 新选中的玩家ID
+ * @param {object} leaderModelManager - LeaderModelManager 实例
+ * @returns {boolean} 是否执行了原地替换
+ */
+function swapRightPortraitForPlayer(playerID, leaderModelManager) {
+	if (playerID === null || playerID === undefined || playerID === -1) {
+		return false;
+	}
+
+	const leaderID = getLeaderIDFromPlayerID(playerID);
+	if (!leaderID || !shouldShowOverlay(leaderID)) {
+		return false;
+	}
+
+	// 只有右侧已经显示图片覆盖层时才原地替换，否则交给正常的显示流程（带入场动画）
+	const rightOverlay = document.body.querySelector(".leader-overlay-image-block-diplomacy-right");
+	if (!rightOverlay || rightOverlay._isBeingRemoved) {
+		return false;
+	}
+
+	const state = inferRightLeaderState(playerID, leaderModelManager);
+	if (!window.LeaderOverlayImage.trySwapDiplomacyImageOverlay(leaderID, "right", state)) {
+		return false;
+	}
+
+	if (leaderModelManager) {
+		leaderModelManager._imageLeaderSwap = { playerID, leaderID, state };
+	}
+
+	console.log(`Leader Overlay Diplomacy: Swapped right portrait to ${leaderID} (player ${playerID}, state ${state})`);
+	return true;
+}
+
+// 查找 OtherPlayerDiplomacyActionPanel 类定义
+function findOtherPlayerDiplomacyPanelClass() {
+	if (typeof Controls === "undefined" || !Controls.getDefinition) {
+		return null;
+	}
+
+	for (const definitionName of OTHER_PLAYER_PANEL_DEFINITION_NAMES) {
+		const definition = Controls.getDefinition(definitionName);
+		const PanelClass = definition?.createInstance;
+		if (PanelClass && PanelClass.prototype && typeof PanelClass.prototype.onSelectedPlayerChanged === "function") {
+			return PanelClass;
+		}
+	}
+
+	return null;
+}
+
+// 重写 OtherPlayerDiplomacyActionPanel.onSelectedPlayerChanged（玩家切换事件）
+async function overrideOnSelectedPlayerChanged() {
+	const PanelClass = findOtherPlayerDiplomacyPanelClass();
+	if (!PanelClass) {
+		return false;
+	}
+
+	const originalOnSelectedPlayerChanged = PanelClass.prototype.onSelectedPlayerChanged;
+
+	if (originalOnSelectedPlayerChanged._isOverridden) {
+		return true;
+	}
+
+	const leaderModelManager = await getLeaderModelManager();
+
+	PanelClass.prototype.onSelectedPlayerChanged = function(...args) {
+		try {
+			const diplomacyManager = getDiplomacyManager();
+			const selectedPlayerID = diplomacyManager ? diplomacyManager.selectedPlayerID : null;
+			swapRightPortraitForPlayer(selectedPlayerID, leaderModelManager);
+		} catch (error) {
+			console.error("Leader Overlay Diplomacy: Error swapping portrait on selected player change", error);
+		}
+
+		// 调用原始函数，保持面板内容和3D旗帜等原有逻辑；替换标记只在这次调用期间有效
+		try {
+			return originalOnSelectedPlayerChanged.apply(this, args);
+		} finally {
+			if (leaderModelManager) {
+				leaderModelManager._imageLeaderSwap = null;
+			}
+		}
+	};
+
+	PanelClass.prototype.onSelectedPlayerChanged._isOverridden = true;
+
+	console.log("Leader Overlay Diplomacy: onSelectedPlayerChanged function overridden");
+	return true;
+}
+
+/**
+ * 注册表变化时重新显示外交场景
+ * 领袖被注册为图片领袖或移除注册时，重放当前场景（showLeaderModels 等），在3D模型与图片覆盖层之间切换；
+ * 配置更新由覆盖层模块原地刷新立绘。首次见面、宣战等序列播放期间不会重放，新配置在下一个场景生效
+ * @param {object} event - 注册表变化事件 { type, leaderID, config }
+ */
+async function handleDiplomacyRegistryChange(event) {
+	if (!event || event.type === "update") {
+		return;
+	}
+
+	const leaderModelManager = await getLeaderModelManager();
+	const sceneReplay = leaderModelManager ? leaderModelManager._imageLeaderSceneReplay : null;
+	if (!sceneReplay || !window.DiplomacySequenceHandlers || typeof window.DiplomacySequenceHandlers.replayImageLeaderScene !== "function") {
+		return;
+	}
+
+	// 独立势力场景按独立势力立绘键匹配
+	const sceneLeaderIDs = sceneReplay.methodName === "showRightIndLeaderModel"
+		? (window.CustomLeaderConfig?.getIndependentTypesForPlayer?.(sceneReplay.args[0]) || [])
+			.map(type => window.CustomLeaderConfig.getIndependentPortraitKey(type))
+		: sceneReplay.args.map(playerID => getLeaderIDFromPlayerID(playerID));
+	if (!sceneLeaderIDs.includes(event.leaderID)) {
+		return;
+	}
+
+	window.DiplomacySequenceHandlers.replayImageLeaderScene(leaderModelManager);
+	console.log(`Leader Overlay Diplomacy: Replayed ${sceneReplay.methodName} after ${event.type} of ${event.leaderID}`);
+}
 
 // 初始化函数（延迟初始化，只在需要时执行）
 async function initializeDiplomacyMod() {
@@ -83,8 +257,34 @@ async function initializeDiplomacyMod() {
 		return;
 	}
 	
-	// TODO: 实现外交界面的函数追踪
-	console.log("Leader Overlay Diplomacy: Mod initialization - TODO: implement function tracking");
+	// 订阅注册表变化（只订阅一次，初始化可能因等待基础模块而重入）
+	if (!initializeDiplomacyMod._isSubscribed && window.CustomLeaderConfig && typeof window.CustomLeaderConfig.subscribeRegistry === "function") {
+		window.CustomLeaderConfig.subscribeRegistry((event) => {
+			handleDiplomacyRegistryChange(event).catch(error => {
+				console.error("Leader Overlay Diplomacy: Error re-rendering diplomacy scene after registry change", error);
+			});
+		});
+		initializeDiplomacyMod._isSubscribed = true;
+	}
+
+	// 等待面板类定义可用（面板脚本可能晚于本模块加载）
+	if (await overrideOnSelectedPlayerChanged()) {
+		return;
+	}
+
+	let panelRetryCount = 0;
+	const maxPanelRetries = 100; // 最多重试10秒
+	const panelRetryInterval = setInterval(async () => {
+		panelRetryCount++;
+		if (findOtherPlayerDiplomacyPanelClass()) {
+			clearInterval(panelRetryInterval);
+			await overrideOnSelectedPlayerChanged();
+		} else if (panelRetryCount >= maxPanelRetries) {
+			clearInterval(panelRetryInterval);
+			// 找不到面板类时切换玩家会走正常的移除和入场流程，记录一次以便排查控件名称
+			console.warn(`Leader Overlay Diplomacy: No diplomacy panel with onSelectedPlayerChanged found (tried ${OTHER_PLAYER_PANEL_DEFINITION_NAMES.join(", ")}), portraits will not be swapped in place`);
+		}
+	}, 100);
 }
 
 // 延迟执行初始化，给其他模块时间加载
@@ -3,37 +3,579 @@
  * @description Leader Overlay Main Menu: Override main menu build3DScene function and add image overlay
  */
 
+// 前端配置数据库中的领袖ID（shell scope 中 GameInfo 不可用，首次查询后缓存）
+let configLeaderIDs = null;
+
+// 检查领袖ID是否存在于数据库中（game scope 使用 GameInfo，shell scope 查询前端配置数据库）
+function isKnownLeaderID(leaderID) {
+	if (typeof GameInfo !== "undefined" && GameInfo && GameInfo.Leaders) {
+		return !!GameInfo.Leaders.lookup(leaderID);
+	}
+
+	if (configLeaderIDs === null) {
+		configLeaderIDs = new Set();
+		if (typeof Database !== "undefined" && Database && typeof Database.query === "function") {
+			const rows = Database.query("config", "SELECT LeaderType FROM Leaders") || [];
+			for (const row of rows) {
+				if (row && row.LeaderType) {
+					configLeaderIDs.add(row.LeaderType.toString());
+				}
+			}
+		}
+	}
+	return configLeaderIDs.has(leaderID);
+}
+
 // 从asset名称提取领袖ID
+// 光照、背景等场景asset也可能以 "LEADER_" 开头或使用 "_GAME_ASSET" 后缀，只接受数据库中存在的领袖
 function extractLeaderIDFromAssetName(assetName) {
-	if (!assetName) {
+	if (typeof assetName !== "string" || !assetName) {
 		return null;
 	}
-	
-	// asset名称格式通常是 "LEADER_ID_GAME_ASSET"
-	// 移除 "_GAME_ASSET" 后缀
-	if (assetName.endsWith("_GAME_ASSET")) {
-		return assetName.replace("_GAME_ASSET", "");
-	}
-	
-	// 如果已经是领袖ID格式，直接返回
-	if (assetName.startsWith("LEADER_")) {
-		return assetName;
+
+	// asset名称格式通常是 "LEADER_ID_GAME_ASSET"，移除 "_GAME_ASSET" 后缀
+	const leaderID = assetName.endsWith("_GAME_ASSET") ? assetName.slice(0, -"_GAME_ASSET".length) : assetName;
+
+	try {
+		if (isKnownLeaderID(leaderID)) {
+			return leaderID;
+		}
+	} catch (error) {
+		console.warn(`Leader Overlay Main Menu: Failed to look up leader for asset ${assetName}`, error);
 	}
-	
+
 	return null;
 }
 
-// 检查是否应该显示覆盖层
+// 检查是否应该显示覆盖层（查询注册表，支持所有通过 registerImageLeader 注册的领袖）
 function shouldShowOverlay(leaderID) {
-	return leaderID === "LEADER_YUNI";
+	if (!leaderID) {
+		return false;
+	}
+
+	try {
+		if (window.CustomLeaderConfig && typeof window.CustomLeaderConfig.isImageLeader === "function") {
+			return window.CustomLeaderConfig.isImageLeader(leaderID);
+		}
+	} catch (error) {
+		console.warn("Leader Overlay Main Menu: Failed to query image leader registry", error);
+	}
+
+	return false;
+}
+
+// 当前主菜单覆盖层对应的领袖ID（用于避免重复创建）
+let currentMainMenuLeaderID = null;
+
+// 主菜单覆盖层创建延迟（等待3D场景和相机就位后再显示，避免图片早于场景出现）
+const MAIN_MENU_OVERLAY_DELAY = 300;
+
+/**
+ * 在 build3DScene 执行期间临时拦截模型组的 addModel / addModelAtPos 调用，记录加载的asset名称
+ * - 包装 WorldUI.createModelGroup，拦截构建过程中新建的模型组
+ * - 包装实例上已存在的模型组（主菜单可能复用 onAttach 时创建的模型组）
+ * @param {object} context - MainMenu 实例
+ * @param {Array<string>} capturedAssets - 收集asset名称的数组
+ * @param {Array<object>} capturedModels - 可选，收集每次调用的 { modelGroup, methodName, args, model }（展示模式下用于重新加载场景）
+ * @returns {function} 恢复函数，build3DScene 结束后必须调用
+ */
+function captureSceneAssets(context, capturedAssets, capturedModels = null) {
+	const restoreList = [];
+
+	const wrapModelGroup = (modelGroup) => {
+		if (!modelGroup || modelGroup._isCapturingAssets) {
+			return;
+		}
+		for (const methodName of ["addModel", "addModelAtPos"]) {
+			const originalMethod = modelGroup[methodName];
+			if (typeof originalMethod !== "function") {
+				continue;
+			}
+			modelGroup[methodName] = function(assetName, ...args) {
+				if (typeof assetName === "string") {
+					capturedAssets.push(assetName);
+				}
+				const model = originalMethod.call(this, assetName, ...args);
+				if (capturedModels) {
+					capturedModels.push({ modelGroup, methodName, args: [assetName, ...args], model });
+				}
+				return model;
+			};
+			restoreList.push(() => {
+				modelGroup[methodName] = originalMethod;
+			});
+		}
+		modelGroup._isCapturingAssets = true;
+		restoreList.push(() => {
+			delete modelGroup._isCapturingAssets;
+		});
+	};
+
+	// 1) 拦截构建过程中新建的模型组
+	if (typeof WorldUI !== "undefined" && WorldUI && typeof WorldUI.createModelGroup === "function") {
+		const originalCreateModelGroup = WorldUI.createModelGroup;
+		WorldUI.createModelGroup = function(...args) {
+			const modelGroup = originalCreateModelGroup.apply(this, args);
+			try {
+				wrapModelGroup(modelGroup);
+			} catch (error) {
+				console.warn("Leader Overlay Main Menu: Failed to wrap new model group", error);
+			}
+			return modelGroup;
+		};
+		restoreList.push(() => {
+			WorldUI.createModelGroup = originalCreateModelGroup;
+		});
+	}
+
+	// 2) 拦截实例上已存在的模型组
+	if (context) {
+		for (const key of Object.keys(context)) {
+			const value = context[key];
+			if (value && typeof value === "object" &&
+				(typeof value.addModel === "function" || typeof value.addModelAtPos === "function")) {
+				try {
+					wrapModelGroup(value);
+				} catch (error) {
+					console.warn(`Leader Overlay Main Menu: Failed to wrap model group ${key}`, error);
+				}
+			}
+		}
+	}
+
+	// 逆序恢复，保证嵌套包装能正确还原
+	return () => {
+		for (let i = restoreList.length - 1; i >= 0; i--) {
+			try {
+				restoreList[i]();
+			} catch (error) {
+				console.warn("Leader Overlay Main Menu: Failed to restore wrapped function", error);
+			}
+		}
+	};
+}
+
+/**
+ * 从 build3DScene 期间加载的asset中解析主菜单背景领袖ID
+ * @param {Array<string>} capturedAssets - 构建期间记录的asset名称
+ * @returns {string|null} 领袖ID
+ */
+function resolveMainMenuLeaderID(capturedAssets) {
+	for (const assetName of capturedAssets) {
+		const leaderID = extractLeaderIDFromAssetName(assetName);
+		if (leaderID) {
+			return leaderID;
+		}
+	}
+
+	return null;
+}
+
+// 主菜单展示模式的轮换定时器
+let mainMenuShowcaseInterval = null;
+
+// 展示模式最近显示的领袖（清理场景时会重置 currentMainMenuLeaderID，重建场景后从这里继续轮换）
+let lastShowcaseLeaderID = null;
+
+// 最近一次构建3D场景的主菜单实例（切换展示模式后用于重建场景）
+let currentMainMenuInstance = null;
+
+// 展示模式切换按钮类名
+const SHOWCASE_TOGGLE_CLASS = "leader-fallback-showcase-toggle";
+
+// 本地化文本，文本不存在时使用原始键
+function composeShowcaseText(key, ...args) {
+	try {
+		if (typeof Locale !== "undefined" && typeof Locale.compose === "function") {
+			return Locale.compose(key, ...args);
+		}
+	} catch (error) {
+		console.warn(`Leader Overlay Main Menu: Failed to compose ${key}`, error);
+	}
+	return key;
+}
+
+/**
+ * 获取当前生效的主菜单展示模式（固定的领袖未注册或立绘不可用时改为轮换）
+ * @returns {object|null} { mode, leaders, intervalMs }，未开启或没有可展示的领袖时返回null
+ */
+function getActiveShowcase() {
+	const config = window.CustomLeaderConfig;
+	if (!config || typeof config.getMainMenuShowcase !== "function") {
+		return null;
+	}
+
+	try {
+		const showcase = config.getMainMenuShowcase();
+		if (!showcase || showcase.mode === "off") {
+			return null;
+		}
+		const leaders = config.getMainMenuShowcaseLeaders();
+		if (leaders.length === 0) {
+			return null;
+		}
+		if (showcase.mode === "pin" && leaders.includes(showcase.pinnedLeaderID)) {
+			return { mode: "pin", leaders: [showcase.pinnedLeaderID], intervalMs: showcase.intervalMs };
+		}
+		return { mode: "rotate", leaders, intervalMs: showcase.intervalMs };
+	} catch (error) {
+		console.warn("Leader Overlay Main Menu: Failed to read showcase settings", error);
+		return null;
+	}
+}
+
+// 停止展示模式的轮换
+function stopMainMenuShowcase() {
+	if (mainMenuShowcaseInterval) {
+		clearInterval(mainMenuShowcaseInterval);
+		mainMenuShowcaseInterval = null;
+	}
+}
+
+// 轮换到下一位领袖（每次重新读取设置和注册表，已注销的领袖会被跳过）
+function advanceMainMenuShowcase() {
+	try {
+		const showcase = getActiveShowcase();
+		if (!showcase || showcase.mode !== "rotate") {
+			stopMainMenuShowcase();
+			return;
+		}
+
+		const nextIndex = (showcase.leaders.indexOf(currentMainMenuLeaderID) + 1) % showcase.leaders.length;
+		currentMainMenuLeaderID = showcase.leaders[nextIndex];
+		lastShowcaseLeaderID = currentMainMenuLeaderID;
+		window.LeaderOverlayImage.tryCrossFadeMainMenuImageOverlay(currentMainMenuLeaderID);
+	} catch (error) {
+		console.error("Leader Overlay Main Menu: Error rotating showcase", error);
+	}
+}
+
+// 开始展示模式：显示第一位领袖，轮换模式下定时交叉淡入淡出到下一位
+function startMainMenuShowcase(showcase) {
+	stopMainMenuShowcase();
+
+	// 重建场景时继续显示上次展示的领袖
+	currentMainMenuLeaderID = showcase.leaders.includes(lastShowcaseLeaderID) ? lastShowcaseLeaderID : showcase.leaders[0];
+	lastShowcaseLeaderID = currentMainMenuLeaderID;
+	window.LeaderOverlayImage.tryCreateMainMenuImageOverlay(currentMainMenuLeaderID, MAIN_MENU_OVERLAY_DELAY);
+
+	if (showcase.mode === "rotate" && showcase.leaders.length > 1) {
+		mainMenuShowcaseInterval = setInterval(advanceMainMenuShowcase, showcase.intervalMs);
+	}
+	console.log(`Leader Overlay Main Menu: Showcase ${showcase.mode} with ${showcase.leaders.length} leader(s)`);
+}
+
+// 展示模式切换按钮的文本
+function getShowcaseToggleText() {
+	const showcase = getActiveShowcase();
+	if (!showcase) {
+		return composeShowcaseText("LOC_LEADER_FALLBACK_SHOWCASE_OFF");
+	}
+	if (showcase.mode === "rotate") {
+		return composeShowcaseText("LOC_LEADER_FALLBACK_SHOWCASE_ROTATE");
+	}
+
+	const leaderID = showcase.leaders[0];
+	let leaderName = leaderID;
+	try {
+		const leaderInfo = typeof GameInfo !== "undefined" ? GameInfo.Leaders?.lookup(leaderID) : null;
+		if (leaderInfo?.Name) {
+			leaderName = composeShowcaseText(leaderInfo.Name);
+		}
+	} catch (error) {
+		console.warn(`Leader Overlay Main Menu: Failed to look up leader name for ${leaderID}`, error);
+	}
+	return composeShowcaseText("LOC_LEADER_FALLBACK_SHOWCASE_PINNED", leaderName);
+}
+
+// 重建主菜单3D场景，使展示模式的切换立即生效（失败时在下次构建场景时生效）
+function rebuildMainMenuScene() {
+	const instance = currentMainMenuInstance;
+	if (!instance || typeof instance.build3DScene !== "function") {
+		return;
+	}
+
+	try {
+		if (typeof instance.clear3DScene === "function") {
+			instance.clear3DScene();
+		}
+		instance.build3DScene();
+	} catch (error) {
+		console.warn("Leader Overlay Main Menu: Failed to rebuild main menu scene for showcase", error);
+	}
+}
+
+// 按 关闭 → 轮换 → 固定当前领袖 → 关闭 的顺序切换展示模式
+function cycleMainMenuShowcase() {
+	try {
+		const config = window.CustomLeaderConfig;
+		const showcase = getActiveShowcase();
+		if (!showcase) {
+			config.setMainMenuShowcase({ mode: "rotate" });
+		} else if (showcase.mode === "rotate") {
+			const pinnedLeaderID = showcase.leaders.includes(currentMainMenuLeaderID) ? currentMainMenuLeaderID : showcase.leaders[0];
+			config.setMainMenuShowcase({ mode: "pin", pinnedLeaderID });
+		} else {
+			config.setMainMenuShowcase({ mode: "off" });
+		}
+	} catch (error) {
+		console.error("Leader Overlay Main Menu: Failed to change showcase mode", error);
+		return;
+	}
+
+	rebuildMainMenuScene();
+	updateShowcaseToggle();
 }
 
-// TODO: 实现主菜单的领袖模型追踪
-// 需要追踪的函数：
-// 1. MainMenu.build3DScene() - 构建3D场景
-// 2. MainMenu.clear3DScene() - 清理3D场景
-// 
-// 注意：主菜单显示过早的问题可能是因为追踪时机不对，需要找到正确的时机
+// 更新展示模式切换按钮（没有可展示的图片领袖时移除）
+function updateShowcaseToggle() {
+	try {
+		const leaders = window.CustomLeaderConfig?.getMainMenuShowcaseLeaders?.() || [];
+		let toggle = document.body.querySelector(`.${SHOWCASE_TOGGLE_CLASS}`);
+		if (leaders.length === 0) {
+			toggle?.remove();
+			return;
+		}
+
+		if (!toggle) {
+			toggle = document.createElement("div");
+			toggle.classList.add(SHOWCASE_TOGGLE_CLASS);
+			toggle.style.cssText = `
+				position: fixed;
+				bottom: 2vh;
+				left: 2vh;
+				padding: 0.6vh 1.2vh;
+				background-color: rgba(20, 20, 28, 0.75);
+				border: 0.2vh solid rgba(230, 193, 122, 0.8);
+				color: #e5d2ac;
+				font-size: 1.5vh;
+				pointer-events: auto;
+				cursor: pointer;
+				z-index: 100;
+			`;
+			toggle.addEventListener("click", cycleMainMenuShowcase);
+			document.body.appendChild(toggle);
+		}
+
+		const text = getShowcaseToggleText();
+		if (toggle.textContent !== text) {
+			toggle.textContent = text;
+		}
+	} catch (error) {
+		console.warn("Leader Overlay Main Menu: Failed to update showcase toggle", error);
+	}
+}
+
+// 移除展示模式切换按钮
+function removeShowcaseToggle() {
+	document.body.querySelector(`.${SHOWCASE_TOGGLE_CLASS}`)?.remove();
+}
+
+/**
+ * 展示模式下隐藏游戏选择的领袖模型（与领袖选择界面的图片领袖相同：清空模型组，只重新加载其他模型）
+ * - 只处理加载过领袖模型的模型组，其他模型按 build3DScene 中的原参数重新添加
+ * - 实例上引用旧模型的属性改为引用重新加载的模型，引用领袖模型的属性置为null（同领袖选择界面的 leader3DModel = null）
+ * @param {object} context - MainMenu 实例
+ * @param {Array<object>} capturedModels - captureSceneAssets 收集的模型调用（必须在恢复原始函数之后调用）
+ */
+function hideMainMenuLeaderModels(context, capturedModels) {
+	const leaderModelGroups = new Set(capturedModels
+		.filter(entry => extractLeaderIDFromAssetName(entry.args[0]))
+		.map(entry => entry.modelGroup));
+	if (leaderModelGroups.size === 0) {
+		console.warn("Leader Overlay Main Menu: No leader asset found in main menu scene, leader model stays visible");
+		return;
+	}
+
+	const replacedModels = new Map();
+	for (const modelGroup of leaderModelGroups) {
+		if (typeof modelGroup.clear !== "function") {
+			console.warn("Leader Overlay Main Menu: Model group cannot be cleared, leader model stays visible");
+			continue;
+		}
+
+		modelGroup.clear();
+		for (const entry of capturedModels) {
+			if (entry.modelGroup !== modelGroup) {
+				continue;
+			}
+			if (extractLeaderIDFromAssetName(entry.args[0])) {
+				replacedModels.set(entry.model, null);
+			} else {
+				replacedModels.set(entry.model, modelGroup[entry.methodName](...entry.args));
+			}
+		}
+	}
+
+	for (const key of Object.keys(context)) {
+		const value = context[key];
+		if (value && replacedModels.has(value)) {
+			context[key] = replacedModels.get(value);
+		}
+	}
+}
+
+// 移除主菜单覆盖层并重置状态
+function removeMainMenuOverlay(delay = 0) {
+	stopMainMenuShowcase();
+	currentMainMenuLeaderID = null;
+	if (window.LeaderOverlayImage && typeof window.LeaderOverlayImage.tryRemoveMainMenuImageOverlay === "function") {
+		window.LeaderOverlayImage.tryRemoveMainMenuImageOverlay(delay);
+	}
+}
+
+// 重写 build3DScene 函数：在3D场景构建完成后，为图片领袖显示覆盖层
+function overrideBuild3DScene(MainMenuClass) {
+	if (!MainMenuClass.prototype || typeof MainMenuClass.prototype.build3DScene !== "function") {
+		return false;
+	}
+
+	const originalBuild3DScene = MainMenuClass.prototype.build3DScene;
+
+	if (originalBuild3DScene._isOverridden) {
+		return true;
+	}
+
+	MainMenuClass.prototype.build3DScene = function(...args) {
+		const capturedAssets = [];
+		const showcase = getActiveShowcase();
+		const capturedModels = showcase ? [] : null;
+		let restore = null;
+		try {
+			restore = captureSceneAssets(this, capturedAssets, capturedModels);
+		} catch (error) {
+			console.warn("Leader Overlay Main Menu: Failed to start asset capture", error);
+		}
+
+		let result;
+		try {
+			result = originalBuild3DScene.apply(this, args);
+		} finally {
+			if (restore) {
+				restore();
+			}
+		}
+
+		currentMainMenuInstance = this;
+		try {
+			const leaderID = resolveMainMenuLeaderID(capturedAssets);
+			if (showcase) {
+				// 展示模式：以设置中的领袖替代游戏选择的领袖
+				hideMainMenuLeaderModels(this, capturedModels);
+				startMainMenuShowcase(showcase);
+			} else if (leaderID && shouldShowOverlay(leaderID)) {
+				// 原始 build3DScene 通常会先调用 clear3DScene，这里无论如何都以本次构建结果为准
+				currentMainMenuLeaderID = leaderID;
+				window.LeaderOverlayImage.tryCreateMainMenuImageOverlay(leaderID, MAIN_MENU_OVERLAY_DELAY);
+			} else if (currentMainMenuLeaderID) {
+				// 新场景的领袖不是图片领袖，移除旧覆盖层
+				removeMainMenuOverlay(0);
+			}
+			updateShowcaseToggle();
+		} catch (error) {
+			console.error("Leader Overlay Main Menu: Error handling build3DScene", error);
+		}
+
+		return result;
+	};
+
+	MainMenuClass.prototype.build3DScene._isOverridden = true;
+
+	return true;
+}
+
+// 重写 clear3DScene 函数：3D场景清理时同步移除覆盖层
+function overrideClear3DScene(MainMenuClass) {
+	if (!MainMenuClass.prototype || typeof MainMenuClass.prototype.clear3DScene !== "function") {
+		return false;
+	}
+
+	const originalClear3DScene = MainMenuClass.prototype.clear3DScene;
+
+	if (originalClear3DScene._isOverridden) {
+		return true;
+	}
+
+	MainMenuClass.prototype.clear3DScene = function(...args) {
+		try {
+			// 立即移除（同时取消尚未执行的延迟创建），与3D场景同步消失
+			removeMainMenuOverlay(0);
+		} catch (error) {
+			console.error("Leader Overlay Main Menu: Error removing overlay in clear3DScene", error);
+		}
+
+		return originalClear3DScene.apply(this, args);
+	};
+
+	MainMenuClass.prototype.clear3DScene._isOverridden = true;
+
+	return true;
+}
+
+// 重写 onDetach 函数：离开主菜单时确保覆盖层被移除
+function overrideOnDetach(MainMenuClass) {
+	if (!MainMenuClass.prototype || typeof MainMenuClass.prototype.onDetach !== "function") {
+		return false;
+	}
+
+	const originalOnDetach = MainMenuClass.prototype.onDetach;
+
+	if (originalOnDetach._isOverriddenForOverlay) {
+		return true;
+	}
+
+	MainMenuClass.prototype.onDetach = function(...args) {
+		try {
+			removeMainMenuOverlay(0);
+			removeShowcaseToggle();
+			currentMainMenuInstance = null;
+		} catch (error) {
+			console.error("Leader Overlay Main Menu: Error removing overlay in onDetach", error);
+		}
+
+		return originalOnDetach.apply(this, args);
+	};
+
+	MainMenuClass.prototype.onDetach._isOverriddenForOverlay = true;
+
+	return true;
+}
+
+// 应用所有主菜单重写
+function applyMainMenuOverrides() {
+	const definition = Controls.getDefinition("main-menu");
+	const MainMenuClass = definition?.createInstance;
+	if (!MainMenuClass) {
+		return false;
+	}
+
+	const success1 = overrideBuild3DScene(MainMenuClass);
+	const success2 = overrideClear3DScene(MainMenuClass);
+	const success3 = overrideOnDetach(MainMenuClass);
+
+	if (success1 || success2 || success3) {
+		console.log("Leader Overlay Main Menu: build3DScene/clear3DScene functions overridden");
+	}
+
+	// 脚本延迟加载时主菜单可能已经完成首次构建，无法得知其中的领袖
+	// 有可显示的图片领袖时通过重写后的函数重建一次场景
+	try {
+		const mainMenuElement = document.querySelector("main-menu");
+		const mainMenuComponent = mainMenuElement?.maybeComponent || mainMenuElement?.component;
+		if (mainMenuComponent && !currentMainMenuLeaderID) {
+			currentMainMenuInstance = mainMenuComponent;
+			const imageLeaders = window.CustomLeaderConfig?.getMainMenuShowcaseLeaders?.() || [];
+			if (imageLeaders.length > 0) {
+				rebuildMainMenuScene();
+			}
+			updateShowcaseToggle();
+		}
+	} catch (error) {
+		console.warn("Leader Overlay Main Menu: Failed to check already built main menu scene", error);
+	}
+
+	return success1;
+}
 
 // 初始化函数（延迟初始化，只在需要时执行）
 function initializeMainMenuMod() {
@@ -59,7 +601,7 @@ function initializeMainMenuMod() {
 	
 	// 如果模块已经可用，立即初始化
 	if (checkMainMenuAvailable()) {
-		console.log("Leader Overlay Main Menu: Mod initialization - TODO: implement function tracking");
+		applyMainMenuOverrides();
 		return;
 	}
 	
@@ -72,7 +614,7 @@ function initializeMainMenuMod() {
 		
 		if (checkMainMenuAvailable()) {
 			clearInterval(retryInterval);
-			console.log("Leader Overlay Main Menu: Mod initialization - TODO: implement function tracking");
+			applyMainMenuOverrides();
 		} else if (retryCount >= maxRetries) {
 			// 达到最大重试次数，静默退出（不报错）
 			// 因为不在主菜单界面时，这些模块可能根本不存在
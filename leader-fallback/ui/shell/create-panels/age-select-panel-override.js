@@ -113,6 +113,51 @@ async function adjustOverlayForAgePanel() {
 	}
 }
 
+// 获取选中的开始时代类型（如 "AGE_ANTIQUITY"）
+function getSelectedAgeType(panelInstance, ageButton) {
+	try {
+		const buttonAgeType = ageButton?.getAttribute?.("data-age-type") || ageButton?.getAttribute?.("age-type");
+		if (buttonAgeType) {
+			return buttonAgeType;
+		}
+
+		const selectedAge = panelInstance?.selectedAge;
+		if (selectedAge) {
+			return selectedAge.type || selectedAge.AgeType || selectedAge.value || null;
+		}
+
+		// 回退：从游戏设置参数读取
+		if (typeof GameSetup !== "undefined" && GameSetup.findGameParameter) {
+			const ageParameter = GameSetup.findGameParameter("Age");
+			if (ageParameter?.value?.value) {
+				return ageParameter.value.value.toString();
+			}
+		}
+	} catch (error) {
+		console.warn("Age Select Panel Override: Failed to read selected age", error);
+	}
+	return null;
+}
+
+// 按选中的时代更新图片领袖的立绘变体
+async function applySelectedAgeVariant(panelInstance, ageButton) {
+	const ageType = getSelectedAgeType(panelInstance, ageButton);
+	if (!ageType || !window.CustomLeaderConfig?.setActiveAge) {
+		return;
+	}
+
+	window.CustomLeaderConfig.setActiveAge(ageType);
+
+	const leaderID = await getCurrentLeaderID();
+	if (!leaderID || !window.CustomLeaderConfig.isImageLeader(leaderID)) {
+		return;
+	}
+
+	if (window.LeaderOverlayImage?.tryRefreshImageOverlay) {
+		window.LeaderOverlayImage.tryRefreshImageOverlay(leaderID);
+	}
+}
+
 // 显示2D图片领袖的引言
 async function showImageLeaderQuote(panelInstance) {
 	const leaderID = await getCurrentLeaderID();
@@ -201,8 +246,9 @@ async function overrideSelectAge() {
 	AgeSelectPanelClass.prototype.selectAge = function(ageButton) {
 		const result = originalSelectAge.call(this, ageButton);
 		
-		// 选择时代后，调整图片覆盖层（以防容器大小变化）
+		// 选择时代后，切换到该时代的立绘变体，并调整图片覆盖层（以防容器大小变化）
 		setTimeout(() => {
+			applySelectedAgeVariant(this, ageButton);
 			adjustOverlayForAgePanel();
 		}, 50);
 		
@@ -84,6 +84,49 @@ async function overrideOnAttach() {
 	return true;
 }
 
+// 获取选中的文明类型（如 "CIVILIZATION_ROME"）
+async function getSelectedCivType(panelInstance, civButton) {
+	try {
+		const buttonCivType = civButton?.getAttribute?.("data-civ-id") || civButton?.getAttribute?.("civ-id");
+		if (buttonCivType) {
+			return buttonCivType;
+		}
+
+		const selectedCiv = panelInstance?.selectedCiv;
+		if (selectedCiv?.civID) {
+			return selectedCiv.civID.toString();
+		}
+
+		const createGameModelModule = await import("/core/ui/shell/create-panels/create-game-model.js");
+		const selectedModelCiv = createGameModelModule.CreateGameModel?.selectedCiv;
+		if (selectedModelCiv?.civID) {
+			return selectedModelCiv.civID.toString();
+		}
+	} catch (error) {
+		console.warn("Civ Select Panel Override: Failed to read selected civilization", error);
+	}
+	return null;
+}
+
+// 按选中的文明更新图片领袖的立绘变体
+async function applySelectedCivVariant(panelInstance, civButton) {
+	const leaderID = await getCurrentLeaderID();
+	if (!leaderID || !window.CustomLeaderConfig?.isImageLeader(leaderID) || !window.CustomLeaderConfig.setLeaderCivilization) {
+		return;
+	}
+
+	const civType = await getSelectedCivType(panelInstance, civButton);
+	if (!civType) {
+		return;
+	}
+
+	window.CustomLeaderConfig.setLeaderCivilization(leaderID, civType);
+
+	if (window.LeaderOverlayImage?.tryRefreshImageOverlay) {
+		window.LeaderOverlayImage.tryRefreshImageOverlay(leaderID);
+	}
+}
+
 // 重写 selectCivInfo 方法（当选择文明时也可能需要调整）
 async function overrideSelectCivInfo() {
 	await waitForDependencies();
@@ -108,8 +151,9 @@ async function overrideSelectCivInfo() {
 	CivSelectPanelClass.prototype.selectCivInfo = function(civButton) {
 		const result = originalSelectCivInfo.call(this, civButton);
 		
-		// 选择文明后，调整图片覆盖层（以防容器大小变化）
+		// 选择文明后，切换到该文明的立绘变体，并调整图片覆盖层（以防容器大小变化）
 		setTimeout(() => {
+			applySelectedCivVariant(this, civButton);
 			adjustOverlayForCivPanel();
 		}, 50);
 		
@@ -19,6 +19,1108 @@ function getImageUrl(leaderID) {
 	return DEFAULT_OVERLAY_IMAGE_URL;
 }
 
+// 分层立绘的层元素类名前缀
+const PORTRAIT_LAYER_CLASS_PREFIX = "leader-overlay-image-layer";
+
+// 获取分层立绘的各层图片（支持 shell scope 和 game scope），不是分层立绘时返回null
+function getPortraitLayers(leaderID, state = null) {
+	if (!leaderID) {
+		return null;
+	}
+
+	try {
+		if (window.CustomLeaderConfig && typeof window.CustomLeaderConfig.getPortraitLayers === "function") {
+			return window.CustomLeaderConfig.getPortraitLayers(leaderID, state);
+		}
+
+		// 配置系统不可用时，直接用共享解析器解析 localStorage 中的配置
+		const resolver = window.LeaderPortraitResolver;
+		if (resolver && typeof resolver.resolveLayers === "function") {
+			return resolver.resolveLayers(leaderID, resolver.readSharedRegistry()?.[leaderID], state);
+		}
+	} catch (error) {
+		console.warn(`[Leader Overlay Image] Failed to get portrait layers for leader ${leaderID}:`, error);
+	}
+
+	return null;
+}
+
+// 在覆盖层中渲染分层立绘（从下到上：身体、饰品、表情、特效），所有层共用覆盖层的尺寸和对齐方式
+function renderPortraitLayers(overlayBlock, layers) {
+	if (!overlayBlock || !layers) {
+		return;
+	}
+
+	// 图片由层元素显示，覆盖层本身不再使用背景图
+	overlayBlock.style.backgroundImage = "none";
+	overlayBlock.querySelectorAll(`.${PORTRAIT_LAYER_CLASS_PREFIX}`).forEach(layer => layer.remove());
+
+	const layerEntries = [
+		["body", layers.body],
+		...(layers.accessories || []).map(layerPath => ["accessory", layerPath]),
+		["expression", layers.expression],
+		["effect", layers.effect]
+	];
+
+	for (const [layerName, layerPath] of layerEntries) {
+		const layer = document.createElement("div");
+		layer.classList.add(PORTRAIT_LAYER_CLASS_PREFIX, `${PORTRAIT_LAYER_CLASS_PREFIX}-${layerName}`);
+		layer.style.cssText = `
+			position: absolute;
+			top: 0;
+			left: 0;
+			width: 100%;
+			height: 100%;
+			background-image: ${layerPath ? `url("${layerPath}")` : "none"};
+			background-size: ${overlayBlock.style.backgroundSize || "cover"};
+			background-position: ${overlayBlock.style.backgroundPosition || "center bottom"};
+			background-repeat: no-repeat;
+			pointer-events: none;
+		`;
+		overlayBlock.appendChild(layer);
+	}
+
+	overlayBlock._portraitLayers = layers;
+}
+
+// 同步层元素的背景尺寸和对齐方式（覆盖层位置或尺寸更新后调用）
+function syncPortraitLayerStyles(overlayBlock) {
+	if (!overlayBlock || !overlayBlock._portraitLayers) {
+		return;
+	}
+	overlayBlock.querySelectorAll(`.${PORTRAIT_LAYER_CLASS_PREFIX}`).forEach(layer => {
+		layer.style.backgroundSize = overlayBlock.style.backgroundSize;
+		layer.style.backgroundPosition = overlayBlock.style.backgroundPosition;
+	});
+}
+
+// 切换分层立绘的表情层和特效层（身体层和饰品层保持不变）
+function updatePortraitExpressionLayers(overlayBlock, layers) {
+	if (!overlayBlock || !overlayBlock._portraitLayers || !layers) {
+		return false;
+	}
+
+	for (const layerName of ["expression", "effect"]) {
+		const layer = overlayBlock.querySelector(`.${PORTRAIT_LAYER_CLASS_PREFIX}-${layerName}`);
+		if (layer) {
+			layer.style.backgroundImage = layers[layerName] ? `url("${layers[layerName]}")` : "none";
+		}
+	}
+
+	overlayBlock._portraitLayers = layers;
+	return true;
+}
+
+// 帧动画元素类名
+const PORTRAIT_ANIMATION_CLASS = "leader-overlay-image-animation";
+
+// 动画暂停时检查覆盖层是否重新可见的间隔（毫秒）
+const PORTRAIT_ANIMATION_PAUSED_POLL_MS = 250;
+
+// 正在播放帧动画的覆盖层
+const ACTIVE_PORTRAIT_ANIMATIONS = new Set();
+
+// 帧调度定时器（所有覆盖层共用一个，只在最近一帧到期时唤醒）
+let portraitAnimationTimer = null;
+
+// 获取状态对应的帧动画（支持 shell scope 和 game scope），没有动画时返回null
+function getPortraitAnimation(leaderID, state = null) {
+	if (!leaderID) {
+		return null;
+	}
+
+	try {
+		if (window.CustomLeaderConfig && typeof window.CustomLeaderConfig.getPortraitAnimation === "function") {
+			return window.CustomLeaderConfig.getPortraitAnimation(leaderID, state);
+		}
+
+		// 配置系统不可用时，直接用共享解析器解析 localStorage 中的配置
+		const resolver = window.LeaderPortraitResolver;
+		if (resolver && typeof resolver.resolveAnimation === "function") {
+			return resolver.resolveAnimation(leaderID, resolver.readSharedRegistry()?.[leaderID], state);
+		}
+	} catch (error) {
+		console.warn(`[Leader Overlay Image] Failed to get portrait animation for leader ${leaderID}:`, error);
+	}
+
+	return null;
+}
+
+// 覆盖层不可见时暂停帧动画（隐藏、透明、正在退出，或整个界面被隐藏）
+function isPortraitAnimationPaused(overlayBlock) {
+	return overlayBlock._isBeingRemoved ||
+		overlayBlock.style.display === "none" ||
+		overlayBlock.style.visibility === "hidden" ||
+		overlayBlock.style.opacity === "0" ||
+		document.hidden === true;
+}
+
+// 按覆盖层的缩放方式（cover/contain）和对齐方式计算精灵图单帧的显示区域
+function layoutSpriteSheetFrame(overlayBlock, element, animation) {
+	const blockWidth = overlayBlock.offsetWidth;
+	const blockHeight = overlayBlock.offsetHeight;
+	if (!blockWidth || !blockHeight) {
+		return null;
+	}
+
+	const widthScale = blockWidth / animation.frameWidth;
+	const heightScale = blockHeight / animation.frameHeight;
+	const scale = overlayBlock.style.backgroundSize === "contain" ? Math.min(widthScale, heightScale) : Math.max(widthScale, heightScale);
+	const frameWidth = animation.frameWidth * scale;
+	const frameHeight = animation.frameHeight * scale;
+
+	const bgPosition = overlayBlock.style.backgroundPosition || "center bottom";
+	const alignX = bgPosition.includes("left") ? 0 : (bgPosition.includes("right") ? 1 : 0.5);
+	const alignY = bgPosition.includes("top") ? 0 : (bgPosition.includes("bottom") ? 1 : 0.5);
+
+	element.style.left = `${(blockWidth - frameWidth) * alignX}px`;
+	element.style.top = `${(blockHeight - frameHeight) * alignY}px`;
+	element.style.width = `${frameWidth}px`;
+	element.style.height = `${frameHeight}px`;
+	element.style.backgroundSize = `${frameWidth * animation.columns}px ${frameHeight * animation.rows}px`;
+	return { frameWidth, frameHeight };
+}
+
+// 显示帧动画的当前帧（覆盖层位置或尺寸更新后也需要调用）
+function applyPortraitAnimationFrame(overlayBlock) {
+	const playback = overlayBlock && overlayBlock._portraitAnimation;
+	if (!playback) {
+		return;
+	}
+
+	const { animation, element, frameIndex } = playback;
+	if (animation.type === "spriteSheet") {
+		const frameSize = layoutSpriteSheetFrame(overlayBlock, element, animation);
+		if (frameSize) {
+			const column = frameIndex % animation.columns;
+			const row = Math.floor(frameIndex / animation.columns);
+			element.style.backgroundPosition = `${-column * frameSize.frameWidth}px ${-row * frameSize.frameHeight}px`;
+		}
+	} else {
+		element.style.backgroundImage = `url("${animation.frames[frameIndex]}")`;
+		element.style.backgroundSize = overlayBlock.style.backgroundSize || "cover";
+		element.style.backgroundPosition = overlayBlock.style.backgroundPosition || "center bottom";
+	}
+}
+
+// 前进到下一帧，单次播放已到最后一帧时返回false
+function advancePortraitAnimationFrame(playback) {
+	const { frameCount, loop } = playback.animation;
+	if (frameCount <= 1) {
+		return false;
+	}
+
+	if (loop === "pingpong") {
+		const nextIndex = playback.frameIndex + playback.direction;
+		if (nextIndex < 0 || nextIndex >= frameCount) {
+			playback.direction = -playback.direction;
+		}
+		playback.frameIndex += playback.direction;
+		return true;
+	}
+
+	if (playback.frameIndex + 1 < frameCount) {
+		playback.frameIndex++;
+		return true;
+	}
+	if (loop === "once") {
+		return false;
+	}
+	playback.frameIndex = 0;
+	return true;
+}
+
+// 安排下一次帧调度
+function schedulePortraitAnimationFrame(delay) {
+	if (portraitAnimationTimer || ACTIVE_PORTRAIT_ANIMATIONS.size === 0) {
+		return;
+	}
+	portraitAnimationTimer = setTimeout(runPortraitAnimationFrame, delay);
+}
+
+// 帧调度：推进所有到期的帧动画，覆盖层不可见时暂停
+function runPortraitAnimationFrame() {
+	portraitAnimationTimer = null;
+	const now = Date.now();
+	let nextDelay = PORTRAIT_ANIMATION_PAUSED_POLL_MS;
+
+	for (const overlayBlock of Array.from(ACTIVE_PORTRAIT_ANIMATIONS)) {
+		try {
+			const playback = overlayBlock._portraitAnimation;
+			// 覆盖层未经过移除函数就离开了DOM，直接清理
+			if (!playback || !overlayBlock.isConnected) {
+				stopPortraitAnimation(overlayBlock);
+				continue;
+			}
+
+			if (isPortraitAnimationPaused(overlayBlock)) {
+				playback.paused = true;
+				continue;
+			}
+
+			if (playback.paused) {
+				// 恢复时从当前帧继续，不补播暂停期间的帧
+				playback.paused = false;
+				playback.nextFrameTime = now + playback.frameDuration;
+			} else if (now >= playback.nextFrameTime) {
+				if (!advancePortraitAnimationFrame(playback)) {
+					// 单次播放结束：停在最后一帧，不再调度
+					ACTIVE_PORTRAIT_ANIMATIONS.delete(overlayBlock);
+					continue;
+				}
+				applyPortraitAnimationFrame(overlayBlock);
+				playback.nextFrameTime = now + playback.frameDuration;
+			}
+
+			nextDelay = Math.min(nextDelay, Math.max(0, playback.nextFrameTime - now));
+		} catch (error) {
+			console.warn(`[Leader Overlay Image] Portrait animation frame failed, stopping animation:`, error);
+			stopPortraitAnimation(overlayBlock);
+		}
+	}
+
+	schedulePortraitAnimationFrame(nextDelay);
+}
+
+// 在覆盖层中播放帧动画（替代静态立绘，同一动画已在播放时不重新开始）
+function startPortraitAnimation(overlayBlock, animation) {
+	if (!overlayBlock || !animation) {
+		return false;
+	}
+
+	const currentPlayback = overlayBlock._portraitAnimation;
+	if (currentPlayback && JSON.stringify(currentPlayback.animation) === JSON.stringify(animation)) {
+		return true;
+	}
+	stopPortraitAnimation(overlayBlock);
+
+	const element = document.createElement("div");
+	element.classList.add(PORTRAIT_ANIMATION_CLASS);
+	element.style.cssText = `
+		position: absolute;
+		top: 0;
+		left: 0;
+		width: 100%;
+		height: 100%;
+		background-image: ${animation.type === "spriteSheet" ? `url("${animation.spriteSheet}")` : "none"};
+		background-repeat: no-repeat;
+		pointer-events: none;
+	`;
+
+	// 预加载所有帧，避免播放过程中闪烁
+	const framePaths = animation.type === "spriteSheet" ? [animation.spriteSheet] : animation.frames;
+	const preloadImages = framePaths.map(framePath => {
+		const img = new Image();
+		img.src = framePath;
+		return img;
+	});
+
+	// 播放期间隐藏静态立绘（单张背景图或分层立绘的层元素），停止时恢复
+	const staticBackgroundImage = overlayBlock.style.backgroundImage;
+	overlayBlock.style.backgroundImage = "none";
+	overlayBlock.querySelectorAll(`.${PORTRAIT_LAYER_CLASS_PREFIX}`).forEach(layer => {
+		layer.style.visibility = "hidden";
+	});
+	overlayBlock.appendChild(element);
+
+	const frameDuration = 1000 / animation.fps;
+	overlayBlock._portraitAnimation = {
+		animation,
+		element,
+		preloadImages,
+		staticBackgroundImage,
+		frameIndex: 0,
+		direction: 1,
+		frameDuration,
+		nextFrameTime: Date.now() + frameDuration,
+		paused: false
+	};
+	applyPortraitAnimationFrame(overlayBlock);
+
+	// 重新安排调度，让新动画不必等待暂停轮询
+	ACTIVE_PORTRAIT_ANIMATIONS.add(overlayBlock);
+	if (portraitAnimationTimer) {
+		clearTimeout(portraitAnimationTimer);
+		portraitAnimationTimer = null;
+	}
+	schedulePortraitAnimationFrame(frameDuration);
+	return true;
+}
+
+// 停止覆盖层的帧动画并恢复静态立绘
+function stopPortraitAnimation(overlayBlock) {
+	if (!overlayBlock) {
+		return;
+	}
+
+	ACTIVE_PORTRAIT_ANIMATIONS.delete(overlayBlock);
+	if (ACTIVE_PORTRAIT_ANIMATIONS.size === 0 && portraitAnimationTimer) {
+		clearTimeout(portraitAnimationTimer);
+		portraitAnimationTimer = null;
+	}
+
+	const playback = overlayBlock._portraitAnimation;
+	if (!playback) {
+		return;
+	}
+	overlayBlock._portraitAnimation = null;
+
+	if (playback.element.parentNode) {
+		playback.element.remove();
+	}
+	overlayBlock.style.backgroundImage = playback.staticBackgroundImage;
+	overlayBlock.querySelectorAll(`.${PORTRAIT_LAYER_CLASS_PREFIX}`).forEach(layer => {
+		layer.style.visibility = "";
+	});
+}
+
+// 切换覆盖层到指定状态的帧动画；该状态没有动画时停止播放并返回false，由调用方显示静态立绘
+function updatePortraitAnimation(overlayBlock, leaderID, state = null) {
+	// 状态切换会结束正在播放的说话帧
+	stopPortraitTalking(overlayBlock);
+	const animation = getPortraitAnimation(leaderID, state);
+	if (animation) {
+		return startPortraitAnimation(overlayBlock, animation);
+	}
+	stopPortraitAnimation(overlayBlock);
+	return false;
+}
+
+// 获取状态对应的说话帧（支持 shell scope 和 game scope），没有说话帧时返回null
+function getPortraitTalkingFrames(leaderID, state = null) {
+	if (!leaderID) {
+		return null;
+	}
+
+	try {
+		if (window.CustomLeaderConfig && typeof window.CustomLeaderConfig.getPortraitTalkingFrames === "function") {
+			return window.CustomLeaderConfig.getPortraitTalkingFrames(leaderID, state);
+		}
+
+		// 配置系统不可用时，直接用共享解析器解析 localStorage 中的配置
+		const resolver = window.LeaderPortraitResolver;
+		if (resolver && typeof resolver.resolveTalkingFrames === "function") {
+			return resolver.resolveTalkingFrames(leaderID, resolver.readSharedRegistry()?.[leaderID], state);
+		}
+	} catch (error) {
+		console.warn(`[Leader Overlay Image] Failed to get talking frames for leader ${leaderID}:`, error);
+	}
+
+	return null;
+}
+
+// 在外交覆盖层上播放说话帧，duration 毫秒后恢复覆盖层当前状态的立绘（领袖没有说话帧时返回false）
+function startPortraitTalking(overlayBlock, duration) {
+	if (!overlayBlock || !overlayBlock._leaderID || overlayBlock._isPortraitCard || !(duration > 0)) {
+		return false;
+	}
+
+	stopPortraitTalking(overlayBlock);
+	const leaderID = overlayBlock._leaderID;
+	const talkingFrames = getPortraitTalkingFrames(leaderID, overlayBlock._portraitState);
+	if (!talkingFrames || !startPortraitAnimation(overlayBlock, talkingFrames)) {
+		return false;
+	}
+
+	overlayBlock._portraitTalkingTimeout = setTimeout(() => {
+		overlayBlock._portraitTalkingTimeout = null;
+		if (overlayBlock.isConnected && !overlayBlock._isBeingRemoved) {
+			updatePortraitAnimation(overlayBlock, leaderID, overlayBlock._portraitState);
+		}
+	}, duration);
+	return true;
+}
+
+// 取消说话帧的结束定时器（不改变当前显示的帧）
+function stopPortraitTalking(overlayBlock) {
+	if (overlayBlock && overlayBlock._portraitTalkingTimeout) {
+		clearTimeout(overlayBlock._portraitTalkingTimeout);
+		overlayBlock._portraitTalkingTimeout = null;
+	}
+}
+
+// 动态效果帧间隔（毫秒，约30帧）
+const PORTRAIT_MOTION_FRAME_MS = 33;
+
+// 外交覆盖层进场过渡结束后再等待的时间，然后开始动态效果，避免覆盖进场的 transform
+const PORTRAIT_MOTION_DIPLOMACY_DELAY_MS = 40;
+
+// 视差深度（分层立绘越靠上的层位移越大，帧动画与表情层相同）
+const PORTRAIT_PARALLAX_DEPTHS = {
+	"body": 0.4,
+	"accessory": 0.6,
+	"expression": 0.7,
+	"effect": 1.0
+};
+
+// 正在播放动态效果的覆盖层
+const ACTIVE_PORTRAIT_MOTIONS = new Set();
+
+// 动态效果调度定时器
+let portraitMotionTimer = null;
+
+// 光标位置（-1 ~ 1，视差效果使用）
+const portraitCursor = { x: 0, y: 0, isTracking: false };
+
+// 减少动态效果选项的检测结果（缓存一秒，避免每帧查询选项）
+let reducedMotionEnabled = false;
+let reducedMotionCheckedAt = 0;
+
+// 读取游戏辅助功能中的减少动态效果选项，无法读取时返回null
+function readGameReducedMotionOption() {
+	if (typeof UI !== "undefined" && UI && typeof UI.getOption === "function") {
+		const option = UI.getOption("user", "Accessibility", "ReducedMotion");
+		if (option !== undefined && option !== null) {
+			return !!option;
+		}
+	}
+	if (typeof Configuration !== "undefined" && Configuration && typeof Configuration.getUser === "function") {
+		const option = Configuration.getUser()?.reducedMotion;
+		if (option !== undefined && option !== null) {
+			return !!option;
+		}
+	}
+	return null;
+}
+
+// 检测是否开启了减少动态效果
+// 优先读取游戏的减少动态效果选项，读取不到时才使用系统设置（prefers-reduced-motion）
+function isReducedMotionEnabled() {
+	const now = Date.now();
+	if (now - reducedMotionCheckedAt < 1000) {
+		return reducedMotionEnabled;
+	}
+	reducedMotionCheckedAt = now;
+
+	let enabled = false;
+	try {
+		const gameOption = readGameReducedMotionOption();
+		if (gameOption !== null) {
+			enabled = gameOption;
+		} else if (typeof window.matchMedia === "function") {
+			enabled = window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+		}
+	} catch (error) {
+		console.warn(`[Leader Overlay Image] Failed to read reduced motion option:`, error);
+	}
+
+	reducedMotionEnabled = enabled;
+	return enabled;
+}
+
+// 开始跟踪光标位置（只注册一次）
+function trackPortraitCursor() {
+	if (portraitCursor.isTracking) {
+		return;
+	}
+	portraitCursor.isTracking = true;
+	window.addEventListener("mousemove", (event) => {
+		if (window.innerWidth > 0 && window.innerHeight > 0) {
+			portraitCursor.x = (event.clientX / window.innerWidth) * 2 - 1;
+			portraitCursor.y = (event.clientY / window.innerHeight) * 2 - 1;
+		}
+	});
+}
+
+// 合并所选预设的参数（预设定义见 CustomLeaderConfig.MOTION_PRESETS）
+function getMotionParams(motion) {
+	const presets = window.CustomLeaderConfig?.MOTION_PRESETS || {};
+	const params = {};
+	for (const presetName of motion) {
+		Object.assign(params, presets[presetName]);
+	}
+	return params;
+}
+
+// 获取层元素的视差深度
+function getParallaxDepth(layer) {
+	if (layer.classList.contains(PORTRAIT_ANIMATION_CLASS)) {
+		return PORTRAIT_PARALLAX_DEPTHS.expression;
+	}
+	for (const layerName of Object.keys(PORTRAIT_PARALLAX_DEPTHS)) {
+		if (layer.classList.contains(`${PORTRAIT_LAYER_CLASS_PREFIX}-${layerName}`)) {
+			return PORTRAIT_PARALLAX_DEPTHS[layerName];
+		}
+	}
+	return 1.0;
+}
+
+// 计算并应用当前时刻的动态效果
+// 呼吸和摇摆作用于整个覆盖层（以底部为基准），视差在分层立绘中作用于各层，否则作用于整个覆盖层
+function applyPortraitMotion(overlayBlock, playback, now) {
+	const { params } = playback;
+	const elapsed = now - playback.startTime;
+	const layerElements = overlayBlock.querySelectorAll(`.${PORTRAIT_LAYER_CLASS_PREFIX}, .${PORTRAIT_ANIMATION_CLASS}`);
+	const transforms = [];
+
+	let shiftX = 0;
+	let shiftY = 0;
+	if (params.parallaxShift) {
+		// 平滑跟随光标，上层朝光标反方向移动
+		playback.parallaxX += (portraitCursor.x - playback.parallaxX) * 0.1;
+		playback.parallaxY += (portraitCursor.y - playback.parallaxY) * 0.1;
+		shiftX = -playback.parallaxX * params.parallaxShift;
+		shiftY = -playback.parallaxY * params.parallaxShift * 0.5;
+		if (layerElements.length === 0) {
+			transforms.push(`translate(${shiftX.toFixed(2)}px, ${shiftY.toFixed(2)}px)`);
+		}
+	}
+
+	if (params.swayAngle && params.swayPeriod) {
+		const angle = Math.sin((2 * Math.PI * elapsed) / params.swayPeriod) * params.swayAngle;
+		transforms.push(`translateY(50%) rotate(${angle.toFixed(3)}deg) translateY(-50%)`);
+	}
+
+	if (params.breathingScale && params.breathingPeriod) {
+		const scale = 1 + ((1 - Math.cos((2 * Math.PI * elapsed) / params.breathingPeriod)) / 2) * params.breathingScale;
+		transforms.push(`translateY(${(-(scale - 1) * 50).toFixed(3)}%) scale(${scale.toFixed(4)})`);
+	}
+
+	overlayBlock.style.transform = withVirtualCamera(overlayBlock, transforms.length > 0 ? transforms.join(" ") : playback.baseTransform);
+
+	if (params.parallaxShift && layerElements.length > 0) {
+		layerElements.forEach(layer => {
+			const depth = getParallaxDepth(layer);
+			layer.style.transform = `translate(${(shiftX * depth).toFixed(2)}px, ${(shiftY * depth).toFixed(2)}px)`;
+		});
+	}
+}
+
+// 恢复覆盖层和层元素在动态效果开始前的 transform
+function resetPortraitMotion(overlayBlock) {
+	const playback = overlayBlock._portraitMotion;
+	if (!playback || !playback.isApplied) {
+		return;
+	}
+	playback.isApplied = false;
+	overlayBlock.style.transform = withVirtualCamera(overlayBlock, playback.baseTransform);
+	overlayBlock.querySelectorAll(`.${PORTRAIT_LAYER_CLASS_PREFIX}, .${PORTRAIT_ANIMATION_CLASS}`).forEach(layer => {
+		layer.style.transform = "";
+	});
+}
+
+// 安排下一次动态效果调度
+function schedulePortraitMotionFrame(delay) {
+	if (portraitMotionTimer || ACTIVE_PORTRAIT_MOTIONS.size === 0) {
+		return;
+	}
+	portraitMotionTimer = setTimeout(runPortraitMotionFrame, delay);
+}
+
+// 动态效果调度：覆盖层不可见或正在退出时暂停，开启减少动态效果时恢复静止
+function runPortraitMotionFrame() {
+	portraitMotionTimer = null;
+	const now = Date.now();
+	const reducedMotion = isReducedMotionEnabled();
+	let nextDelay = PORTRAIT_ANIMATION_PAUSED_POLL_MS;
+
+	for (const overlayBlock of Array.from(ACTIVE_PORTRAIT_MOTIONS)) {
+		try {
+			const playback = overlayBlock._portraitMotion;
+			// 覆盖层未经过移除函数就离开了DOM，直接清理
+			if (!playback || !overlayBlock.isConnected) {
+				stopPortraitMotion(overlayBlock);
+				continue;
+			}
+
+			if (now < playback.startTime) {
+				nextDelay = Math.min(nextDelay, playback.startTime - now);
+				continue;
+			}
+			if (isPortraitAnimationPaused(overlayBlock)) {
+				continue;
+			}
+			if (reducedMotion) {
+				resetPortraitMotion(overlayBlock);
+				continue;
+			}
+
+			if (!playback.isApplied) {
+				// 记录进场后的 transform，停止时恢复；逐帧更新时不使用过渡
+				// 外交覆盖层的虚拟相机逐帧叠加，不计入记录的 transform
+				playback.baseTransform = overlayBlock._cameraPosition ? DIPLOMACY_VISIBLE_STYLE.transform : overlayBlock.style.transform;
+				overlayBlock.style.transition = "none";
+				playback.isApplied = true;
+			}
+			applyPortraitMotion(overlayBlock, playback, now);
+			nextDelay = PORTRAIT_MOTION_FRAME_MS;
+		} catch (error) {
+			console.warn(`[Leader Overlay Image] Portrait motion frame failed, stopping motion:`, error);
+			stopPortraitMotion(overlayBlock);
+		}
+	}
+
+	schedulePortraitMotionFrame(nextDelay);
+}
+
+// 在覆盖层上播放动态效果（motion 为 getImageDisplayConfig 返回的预设名数组，相同效果已在播放时不重新开始）
+function startPortraitMotion(overlayBlock, motion, delay = 0) {
+	if (!overlayBlock) {
+		return false;
+	}
+
+	const currentPlayback = overlayBlock._portraitMotion;
+	if (currentPlayback && JSON.stringify(currentPlayback.motion) === JSON.stringify(motion)) {
+		return true;
+	}
+	stopPortraitMotion(overlayBlock);
+
+	if (!Array.isArray(motion) || motion.length === 0) {
+		return false;
+	}
+
+	const params = getMotionParams(motion);
+	if (params.parallaxShift) {
+		trackPortraitCursor();
+	}
+
+	overlayBlock._portraitMotion = {
+		motion,
+		params,
+		startTime: Date.now() + delay,
+		baseTransform: "",
+		isApplied: false,
+		parallaxX: 0,
+		parallaxY: 0
+	};
+
+	ACTIVE_PORTRAIT_MOTIONS.add(overlayBlock);
+	if (portraitMotionTimer) {
+		clearTimeout(portraitMotionTimer);
+		portraitMotionTimer = null;
+	}
+	schedulePortraitMotionFrame(delay);
+	return true;
+}
+
+// 停止覆盖层的动态效果
+function stopPortraitMotion(overlayBlock) {
+	if (!overlayBlock) {
+		return;
+	}
+
+	ACTIVE_PORTRAIT_MOTIONS.delete(overlayBlock);
+	if (ACTIVE_PORTRAIT_MOTIONS.size === 0 && portraitMotionTimer) {
+		clearTimeout(portraitMotionTimer);
+		portraitMotionTimer = null;
+	}
+
+	if (overlayBlock._portraitMotion) {
+		resetPortraitMotion(overlayBlock);
+		overlayBlock._portraitMotion = null;
+	}
+}
+
+// 外交覆盖层的默认过渡（配置系统不可用时使用，与 CustomLeaderConfig.TRANSITION_PRESETS 中的 "slide" 一致）
+const DEFAULT_DIPLOMACY_TRANSITION = {
+	enter: { name: "slide", durationMs: 360, easing: "ease", hidden: {} },
+	exit: { name: "slide", durationMs: 300, easing: "ease-in-out", hidden: {} }
+};
+
+// 外交覆盖层 "slide" 过渡的各位置隐藏样式
+const DEFAULT_DIPLOMACY_HIDDEN_TRANSFORMS = {
+	left: "translateX(-800vw) scale(1.8)",
+	right: "translateX(800vw) scale(1.8)",
+	center: "translateY(100px) scale(1.8)"
+};
+
+// 外交覆盖层进场后的样式
+const DIPLOMACY_VISIBLE_STYLE = {
+	transform: "translateX(0) translateY(0) scale(1)",
+	opacity: 1,
+	filter: "none"
+};
+
+// 获取外交覆盖层的进场和退场过渡（按领袖、序列类型和位置选择）
+function getDiplomacyTransition(leaderID, sequenceType = null, position = "center") {
+	try {
+		if (window.CustomLeaderConfig && typeof window.CustomLeaderConfig.getOverlayTransition === "function") {
+			return window.CustomLeaderConfig.getOverlayTransition(leaderID, sequenceType, position);
+		}
+	} catch (error) {
+		console.warn(`[Leader Overlay Image] Failed to get transition for leader ${leaderID}:`, error);
+	}
+
+	const hidden = { transform: DEFAULT_DIPLOMACY_HIDDEN_TRANSFORMS[position] || DEFAULT_DIPLOMACY_HIDDEN_TRANSFORMS.center };
+	return {
+		enter: { ...DEFAULT_DIPLOMACY_TRANSITION.enter, hidden },
+		exit: { ...DEFAULT_DIPLOMACY_TRANSITION.exit, hidden }
+	};
+}
+
+// 生成过渡的 CSS transition 值（时长为0时不使用过渡）
+function getTransitionCss(phaseTransition) {
+	if (!phaseTransition || !(phaseTransition.durationMs > 0)) {
+		return "none";
+	}
+	const timing = `${phaseTransition.durationMs}ms ${phaseTransition.easing || "ease"}`;
+	return `transform ${timing}, opacity ${timing}, filter ${timing}`;
+}
+
+// 获取过渡的隐藏样式（未指定的属性使用进场后的样式）
+function getTransitionHiddenStyle(phaseTransition) {
+	return { ...DIPLOMACY_VISIBLE_STYLE, ...(phaseTransition?.hidden || {}) };
+}
+
+// 将外交覆盖层过渡到隐藏样式或进场后的样式
+// 进场时叠加过渡结束时刻的虚拟相机 transform，过渡结束后由相机逐帧接管时不会跳动
+function applyOverlayTransition(overlayBlock, phaseTransition, visible) {
+	const style = visible ? DIPLOMACY_VISIBLE_STYLE : getTransitionHiddenStyle(phaseTransition);
+	overlayBlock.style.transition = getTransitionCss(phaseTransition);
+	overlayBlock.style.transform = visible
+		? withVirtualCamera(overlayBlock, style.transform, Date.now() + (phaseTransition?.durationMs || 0))
+		: style.transform;
+	overlayBlock.style.opacity = String(style.opacity);
+	overlayBlock.style.filter = style.filter;
+}
+
+// 虚拟相机：图片领袖没有3D相机，按关键帧轨道模拟原版外交相机的推拉，作用于所有外交覆盖层
+// 关键帧的 at 为轨道进度（0 ~ 1），scale 为缩放，x / y 为平移（vw / vh），easing 为到达该帧的缓动
+// 轨道没有 at 为 0 的关键帧时从相机当前姿态开始
+const VIRTUAL_CAMERA_TRACKS = {
+	// simpleLeaderPopUpCameraAnimation：相机从稍远处弹到对话位置
+	"pop-up": {
+		durationMs: 1000,
+		keyframes: [
+			{ at: 0, scale: 0.96, x: 0, y: 2 },
+			{ at: 1, scale: 1, x: 0, y: 0, easing: "ease-out" }
+		]
+	},
+	// 首次见面：弹到对话位置后缓慢推近
+	"first-meet": {
+		durationMs: 5000,
+		keyframes: [
+			{ at: 0, scale: 0.96, x: 0, y: 2 },
+			{ at: 0.2, scale: 1, x: 0, y: 0, easing: "ease-out" },
+			{ at: 1, scale: 1.06, x: 0, y: 1, easing: "ease-in-out" }
+		]
+	},
+	// 宣战：startDWCameraAnimations 的快速推近
+	"declare-war": {
+		durationMs: 1100,
+		keyframes: [
+			{ at: 1, scale: 1.1, easing: "ease-in-out" }
+		]
+	},
+	// 失败：弹到对话位置后缓慢拉远（向下平移保持立绘底部贴住屏幕底部）
+	"defeat": {
+		durationMs: 4000,
+		keyframes: [
+			{ at: 0, scale: 0.96, x: 0, y: 2 },
+			{ at: 0.25, scale: 1, x: 0, y: 0, easing: "ease-out" },
+			{ at: 1, scale: 0.9, x: 0, y: 5, easing: "ease-in-out" }
+		]
+	}
+};
+
+// 相机缩放以屏幕中心为基准，左右覆盖层的中心距屏幕中心约四分之一屏宽（vw）
+const VIRTUAL_CAMERA_POSITION_OFFSETS = {
+	left: -25,
+	right: 25,
+	center: 0
+};
+
+// 相机静止时的姿态
+const VIRTUAL_CAMERA_IDENTITY_POSE = { scale: 1, x: 0, y: 0 };
+
+// 虚拟相机使用的缓动函数
+const VIRTUAL_CAMERA_EASINGS = {
+	"linear": t => t,
+	"ease-in": t => t * t,
+	"ease-out": t => 1 - (1 - t) * (1 - t),
+	"ease-in-out": t => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2)
+};
+
+// 外交覆盖层选择器（覆盖层添加在 document.body 上）
+const DIPLOMACY_OVERLAY_SELECTOR = [
+	".leader-overlay-image-block-diplomacy",
+	".leader-overlay-image-block-diplomacy-left",
+	".leader-overlay-image-block-diplomacy-right"
+].join(", ");
+
+// 当前相机状态（startPose 为轨道开始时的姿态）
+const virtualCamera = {
+	track: null,
+	startTime: 0,
+	startPose: { ...VIRTUAL_CAMERA_IDENTITY_POSE }
+};
+
+// 相机逐帧调度定时器
+let virtualCameraTimer = null;
+
+// 计算指定时刻的相机姿态（轨道结束后保持最后一帧，直到下一条轨道或重置）
+function getVirtualCameraPose(time = Date.now()) {
+	const { track, startPose } = virtualCamera;
+	if (!track) {
+		return startPose;
+	}
+
+	const elapsed = time - virtualCamera.startTime;
+	if (elapsed <= 0) {
+		return startPose;
+	}
+	const progress = track.durationMs > 0 ? Math.min(1, elapsed / track.durationMs) : 1;
+
+	let previous = { at: 0, ...startPose };
+	for (const keyframe of track.keyframes) {
+		const target = { ...previous, ...keyframe };
+		if (progress <= keyframe.at) {
+			const span = keyframe.at - previous.at;
+			const easing = VIRTUAL_CAMERA_EASINGS[keyframe.easing] || VIRTUAL_CAMERA_EASINGS["ease-in-out"];
+			const t = span > 0 ? easing((progress - previous.at) / span) : 1;
+			return {
+				scale: previous.scale + (target.scale - previous.scale) * t,
+				x: previous.x + (target.x - previous.x) * t,
+				y: previous.y + (target.y - previous.y) * t
+			};
+		}
+		previous = target;
+	}
+	return { scale: previous.scale, x: previous.x, y: previous.y };
+}
+
+// 获取指定位置覆盖层在指定时刻的相机 transform（相机静止或开启减少动态效果时为空）
+function getVirtualCameraTransform(position = "center", time = Date.now()) {
+	if (isReducedMotionEnabled()) {
+		return "";
+	}
+
+	const pose = getVirtualCameraPose(time);
+	if (pose.scale === 1 && pose.x === 0 && pose.y === 0) {
+		return "";
+	}
+	const offsetX = (VIRTUAL_CAMERA_POSITION_OFFSETS[position] || 0) * (pose.scale - 1) + pose.x;
+	return `translateX(${offsetX.toFixed(3)}vw) translateY(${pose.y.toFixed(3)}vh) scale(${pose.scale.toFixed(4)})`;
+}
+
+// 在 transform 外层叠加虚拟相机（只作用于外交覆盖层）
+function withVirtualCamera(overlayBlock, transform, time = Date.now()) {
+	if (!overlayBlock || !overlayBlock._cameraPosition) {
+		return transform;
+	}
+	const cameraTransform = getVirtualCameraTransform(overlayBlock._cameraPosition, time);
+	return cameraTransform ? `${cameraTransform} ${transform}` : transform;
+}
+
+// 将当前相机姿态应用到覆盖层
+// 进场过渡中和退出中的覆盖层跳过；正在播放动态效果的覆盖层由动态效果逐帧叠加相机
+function applyVirtualCamera(overlayBlock) {
+	if (!overlayBlock._cameraPosition || overlayBlock._isBeingRemoved || Date.now() < (overlayBlock._enterEndsAt || 0)) {
+		return;
+	}
+	if (overlayBlock._portraitMotion && overlayBlock._portraitMotion.isApplied) {
+		return;
+	}
+	overlayBlock.style.transition = "none";
+	overlayBlock.style.transform = withVirtualCamera(overlayBlock, DIPLOMACY_VISIBLE_STYLE.transform);
+}
+
+// 相机逐帧调度：轨道结束后再应用一帧最终姿态并停止
+function runVirtualCameraFrame() {
+	virtualCameraTimer = null;
+	try {
+		document.body.querySelectorAll(DIPLOMACY_OVERLAY_SELECTOR).forEach(applyVirtualCamera);
+	} catch (error) {
+		console.warn(`[Leader Overlay Image] Virtual camera frame failed:`, error);
+	}
+
+	const track = virtualCamera.track;
+	if (track && Date.now() < virtualCamera.startTime + track.durationMs) {
+		virtualCameraTimer = setTimeout(runVirtualCameraFrame, PORTRAIT_MOTION_FRAME_MS);
+	}
+}
+
+// 安排相机调度（重新开始时取消上一次调度）
+function scheduleVirtualCameraFrame(delay) {
+	if (virtualCameraTimer) {
+		clearTimeout(virtualCameraTimer);
+	}
+	virtualCameraTimer = setTimeout(runVirtualCameraFrame, Math.max(0, delay));
+}
+
+// 开始播放相机轨道（track 为 VIRTUAL_CAMERA_TRACKS 中的名称或同格式的对象，delay 为毫秒）
+function startVirtualCamera(track, delay = 0) {
+	const definition = typeof track === "string" ? VIRTUAL_CAMERA_TRACKS[track] : track;
+	if (!definition || !Array.isArray(definition.keyframes) || definition.keyframes.length === 0) {
+		console.warn(`[Leader Overlay Image] Unknown virtual camera track:`, track);
+		return false;
+	}
+
+	const safeDelay = Math.max(0, Number(delay) || 0);
+	const startTime = Date.now() + safeDelay;
+	virtualCamera.startPose = getVirtualCameraPose(startTime);
+	virtualCamera.track = {
+		durationMs: Math.max(0, Number(definition.durationMs) || 0),
+		keyframes: definition.keyframes
+			.map(keyframe => ({ ...keyframe, at: Math.min(1, Math.max(0, Number(keyframe.at) || 0)) }))
+			.sort((a, b) => a.at - b.at)
+	};
+	virtualCamera.startTime = startTime;
+	scheduleVirtualCameraFrame(safeDelay);
+	return true;
+}
+
+// 重置相机到静止姿态（场景清理时调用），并立即应用到现有覆盖层
+function resetVirtualCamera() {
+	virtualCamera.track = null;
+	virtualCamera.startTime = 0;
+	virtualCamera.startPose = { ...VIRTUAL_CAMERA_IDENTITY_POSE };
+	scheduleVirtualCameraFrame(0);
+}
+
+// 领袖卡片的类名（立绘无法显示时的降级显示）
+const PORTRAIT_CARD_CLASS = "leader-overlay-image-card";
+
+// 获取游戏图标URL（领袖图标、文明徽记），不可用时返回null
+function getGameIconUrl(iconID, context = null) {
+	try {
+		if (!iconID || typeof UI === "undefined" || !UI || typeof UI.getIconURL !== "function") {
+			return null;
+		}
+		return (context ? UI.getIconURL(iconID, context) : UI.getIconURL(iconID)) || null;
+	} catch (error) {
+		console.warn(`[Leader Overlay Image] Failed to get icon for ${iconID}:`, error);
+		return null;
+	}
+}
+
+// 获取玩家的文明类型（用于文明徽记），优先使用解析器记录的领袖文明
+function getPortraitCardCivilization(leaderID, playerID = null) {
+	const civType = window.LeaderPortraitResolver?.getLeaderCivilization?.(leaderID);
+	if (civType) {
+		return civType;
+	}
+	try {
+		if (playerID !== null && typeof Players !== "undefined" && typeof GameInfo !== "undefined" && GameInfo.Civilizations) {
+			const civ = GameInfo.Civilizations.lookup(Players.get(playerID)?.civilizationType);
+			return civ?.CivilizationType ? civ.CivilizationType.toString() : null;
+		}
+	} catch (error) {
+		console.warn(`[Leader Overlay Image] Failed to get civilization for player ${playerID}:`, error);
+	}
+	return null;
+}
+
+// 领袖卡片的默认颜色（无法获取玩家颜色时使用）
+const PORTRAIT_CARD_DEFAULT_COLORS = {
+	primary: "rgba(20, 20, 28, 0.85)",
+	secondary: "rgba(230, 193, 122, 0.8)"
+};
+
+// 查找使用指定领袖的玩家（领袖卡片的玩家颜色和文明徽记使用），没有找到时返回null
+function findPortraitCardPlayerID(leaderID) {
+	try {
+		if (typeof Players === "undefined" || !Players || typeof Players.getAlive !== "function" ||
+			typeof GameInfo === "undefined" || !GameInfo.Leaders) {
+			return null;
+		}
+		for (const player of Players.getAlive()) {
+			if (player && GameInfo.Leaders.lookup(player.leaderType)?.LeaderType === leaderID) {
+				return player.id;
+			}
+		}
+	} catch (error) {
+		console.warn(`[Leader Overlay Image] Failed to find player for leader ${leaderID}:`, error);
+	}
+	return null;
+}
+
+// 获取玩家的主色和副色（UI.Player 不可用时使用默认颜色）
+function getPortraitCardColors(playerID) {
+	const colors = { ...PORTRAIT_CARD_DEFAULT_COLORS };
+	try {
+		if (playerID === null || typeof UI === "undefined" || !UI || !UI.Player) {
+			return colors;
+		}
+		if (typeof UI.Player.getPrimaryColorValueAsHex === "function") {
+			colors.primary = UI.Player.getPrimaryColorValueAsHex(playerID) || colors.primary;
+		}
+		if (typeof UI.Player.getSecondaryColorValueAsHex === "function") {
+			colors.secondary = UI.Player.getSecondaryColorValueAsHex(playerID) || colors.secondary;
+		}
+	} catch (error) {
+		console.warn(`[Leader Overlay Image] Failed to get colors for player ${playerID}:`, error);
+	}
+	return colors;
+}
+
+// 获取本地化的领袖名称，无法获取时返回领袖ID
+function getPortraitCardLeaderName(leaderID) {
+	try {
+		const nameKey = (typeof GameInfo !== "undefined" && GameInfo.Leaders) ? GameInfo.Leaders.lookup(leaderID)?.Name : null;
+		if (nameKey && typeof Locale !== "undefined" && typeof Locale.compose === "function") {
+			return Locale.compose(nameKey);
+		}
+	} catch (error) {
+		console.warn(`[Leader Overlay Image] Failed to get name for leader ${leaderID}:`, error);
+	}
+	return leaderID;
+}
+
+// 在覆盖层中渲染领袖卡片（领袖图标、文明徽记、玩家颜色和领袖名称），替代无法显示的立绘
+function renderPortraitCard(overlayBlock, leaderID, playerID = null) {
+	if (!overlayBlock) {
+		return;
+	}
+
+	// 清除立绘的帧动画和分层立绘，只显示卡片
+	stopPortraitTalking(overlayBlock);
+	stopPortraitAnimation(overlayBlock);
+	overlayBlock.querySelectorAll(`.${PORTRAIT_LAYER_CLASS_PREFIX}`).forEach(layer => layer.remove());
+	overlayBlock._portraitLayers = null;
+	overlayBlock.querySelector(`.${PORTRAIT_CARD_CLASS}`)?.remove();
+	overlayBlock.style.backgroundImage = "none";
+
+	if (playerID === null) {
+		playerID = findPortraitCardPlayerID(leaderID);
+	}
+	const colors = getPortraitCardColors(playerID);
+
+	const card = document.createElement("div");
+	card.classList.add(PORTRAIT_CARD_CLASS);
+	card.style.cssText = `
+		position: absolute;
+		left: 50%;
+		bottom: 20vh;
+		width: 24vh;
+		height: 32vh;
+		transform: translateX(-50%);
+		display: flex;
+		flex-direction: column;
+		align-items: center;
+		justify-content: center;
+		background-color: ${colors.primary};
+		border: 0.3vh solid ${colors.secondary};
+		border-radius: 1vh;
+	`;
+
+	const iconUrl = getGameIconUrl(leaderID, "LEADER");
+	if (iconUrl) {
+		const icon = document.createElement("div");
+		icon.classList.add(`${PORTRAIT_CARD_CLASS}-icon`);
+		icon.style.cssText = `width: 18vh; height: 18vh; background-image: url("${iconUrl}"); background-size: contain; background-position: center; background-repeat: no-repeat;`;
+		card.appendChild(icon);
+	}
+
+	const emblemUrl = getGameIconUrl(getPortraitCardCivilization(leaderID, playerID));
+	if (emblemUrl) {
+		const emblem = document.createElement("div");
+		emblem.classList.add(`${PORTRAIT_CARD_CLASS}-emblem`);
+		emblem.style.cssText = `width: 7vh; height: 7vh; margin-top: 1vh; background-image: url("${emblemUrl}"); background-size: contain; background-position: center; background-repeat: no-repeat;`;
+		card.appendChild(emblem);
+	}
+
+	const name = document.createElement("div");
+	name.classList.add(`${PORTRAIT_CARD_CLASS}-name`);
+	name.style.cssText = `margin-top: 1vh; padding: 0 1vh; color: ${colors.secondary}; font-size: 2vh; text-align: center;`;
+	name.textContent = getPortraitCardLeaderName(leaderID);
+	card.appendChild(name);
+
+	overlayBlock.appendChild(card);
+	overlayBlock.style.opacity = "1";
+	overlayBlock._isPortraitCard = true;
+}
+
 // 获取容器元素（支持不同面板）
 // 注意：容器现在仅用于检测面板类型和验证，不再用于定位计算
 // 覆盖层使用fixed定位，直接添加到body中
@@ -128,7 +1230,12 @@ function createOrUpdateImageOverlay(container, options = {}) {
 			zIndex = -1, // 设置为负值，使图片显示在文本下方（模仿3D模型在文本下方的效果）
 			leaderID = null, // 领袖ID，用于获取图片路径
 			imageUrl = null, // 直接指定图片URL（优先级高于leaderID）
-			panelType = null // 面板类型，用于判断是否需要更新背景图片
+			panelType = null, // 面板类型，用于判断是否需要更新背景图片
+			layers = null, // 分层立绘（getPortraitLayers 的返回值），提供时以叠加层显示
+			animation = null, // 帧动画（getPortraitAnimation 的返回值），提供时替代静态立绘播放
+			motion = null, // 动态效果预设名数组（getImageDisplayConfig 返回的 motion）
+			portraitCard = null, // 领袖卡片（getRemoteLeaderFallback 的返回值），提供时以卡片替代立绘
+			transition = null // 外交覆盖层的进场和退场过渡（getDiplomacyTransition 的返回值）
 		} = options;
 
 		// 参数验证和清理：确保所有数值参数都是有效数字
@@ -216,6 +1323,18 @@ function createOrUpdateImageOverlay(container, options = {}) {
 				bgSize = "contain";
 			}
 
+			// 外交覆盖层的进场过渡：先以隐藏样式创建，添加到DOM后再过渡到进场后的样式
+			const overlayTransition = isDiplomacy ? (transition || getDiplomacyTransition(leaderID, null, position)) : null;
+			const enterTransition = overlayTransition ? overlayTransition.enter : null;
+			if (isDiplomacy) {
+				// 虚拟相机按位置叠加，进场过渡结束前不逐帧接管 transform
+				overlayBlock._cameraPosition = position || "center";
+				overlayBlock._enterEndsAt = enterTransition.durationMs > 0 ? Date.now() + enterTransition.durationMs + 10 : 0;
+			}
+			const initialStyle = (enterTransition && enterTransition.durationMs > 0)
+				? getTransitionHiddenStyle(enterTransition)
+				: { transform: isDiplomacy ? withVirtualCamera(overlayBlock, DIPLOMACY_VISIBLE_STYLE.transform) : "scale(1)", opacity: 1, filter: "none" };
+
 			// 计算top值（统一使用vh单位）
 			let topValue = "0";
 			if (safeTopOffsetMultiplier !== 0) {
@@ -236,20 +1355,29 @@ function createOrUpdateImageOverlay(container, options = {}) {
 			left: ${leftValue};
 			width: ${widthValue};
 			height: ${heightValue};
-			background-image: url("${finalImageUrl}");
+			background-image: ${portraitCard ? "none" : `url("${finalImageUrl}")`};
 			background-size: ${bgSize};
 			background-position: ${bgPosition};
 			background-repeat: no-repeat;
 			z-index: ${zIndex};
 			pointer-events: none;
-			opacity: ${isDiplomacy ? '1' : '1'};
-			transform: ${isDiplomacy ? (position === "left" ? 'translateX(-800vw) scale(1.8)' : position === "right" ? 'translateX(800vw) scale(1.8)' : 'translateY(100px) scale(1.8)') : 'scale(1)'};
-			transition: ${isDiplomacy ? 'transform 0.36s ease' : 'none'};
+			opacity: ${initialStyle.opacity};
+			transform: ${initialStyle.transform};
+			filter: ${initialStyle.filter};
+			transition: ${getTransitionCss(enterTransition)};
 			visibility: visible;
 		`;
 
+			// 领袖卡片：立绘在本机不可用时的降级显示
+			if (portraitCard) {
+				renderPortraitCard(overlayBlock, leaderID, portraitCard.playerID);
+			} else if (layers) {
+				// 分层立绘：在同一个覆盖层内叠加身体、饰品、表情和特效层
+				renderPortraitLayers(overlayBlock, layers);
+			}
+
 			// 验证图片是否可以加载（仅用于外交界面，避免阻塞其他界面）
-			if (isDiplomacy && leaderID) {
+			if (isDiplomacy && leaderID && !portraitCard) {
 				// 异步验证图片加载，不阻塞覆盖层创建
 				const img = new Image();
 				img.onerror = () => {
@@ -263,26 +1391,26 @@ function createOrUpdateImageOverlay(container, options = {}) {
 							// 验证基础图片是否能加载
 							const baseImg = new Image();
 							baseImg.onerror = () => {
-								console.warn(`[Leader Overlay Image] Base image also failed for ${leaderID}: ${baseImagePath}`);
-								overlayBlock.style.opacity = '0';
-								overlayBlock.style.pointerEvents = 'none';
+								console.warn(`[Leader Overlay Image] Base image also failed for ${leaderID}: ${baseImagePath}, showing leader card`);
+								if (overlayBlock.parentNode) {
+									renderPortraitCard(overlayBlock, leaderID);
+								}
 							};
 							baseImg.onload = () => {
-								// 基础图片加载成功，更新背景
-								overlayBlock.style.backgroundImage = `url("${baseImagePath}")`;
+								// 基础图片加载成功，更新背景（分层立绘只替换身体层）
+								const bodyLayer = overlayBlock.querySelector(`.${PORTRAIT_LAYER_CLASS_PREFIX}-body`);
+								(bodyLayer || overlayBlock).style.backgroundImage = `url("${baseImagePath}")`;
 								overlayBlock.style.opacity = '1';
 							};
 							baseImg.src = baseImagePath;
 						} else {
-							// 没有可用的回退图片，隐藏覆盖层
-							overlayBlock.style.opacity = '0';
-							overlayBlock.style.pointerEvents = 'none';
+							// 没有可用的回退图片，显示领袖卡片
+							renderPortraitCard(overlayBlock, leaderID);
 						}
 					} else {
-						// 无法获取基础图片，隐藏覆盖层
+						// 无法获取基础图片，显示领袖卡片
 						if (overlayBlock && overlayBlock.parentNode) {
-							overlayBlock.style.opacity = '0';
-							overlayBlock.style.pointerEvents = 'none';
+							renderPortraitCard(overlayBlock, leaderID);
 						}
 					}
 				};
@@ -307,20 +1435,28 @@ function createOrUpdateImageOverlay(container, options = {}) {
 				return null; // 返回null表示失败，但不影响其他领袖
 			}
 
-			// 对于外交覆盖层，延迟触发动画
+			// 帧动画：添加到DOM后再开始调度（调度器会清理已离开DOM的覆盖层）
+			if (animation) {
+				startPortraitAnimation(overlayBlock, animation);
+			}
+			if (motion) {
+				startPortraitMotion(overlayBlock, motion, isDiplomacy ? enterTransition.durationMs + PORTRAIT_MOTION_DIPLOMACY_DELAY_MS : 0);
+			}
+
+			// 对于外交覆盖层，延迟触发进场过渡，并记录退场过渡供移除时使用
 			if (isDiplomacy) {
-				setTimeout(() => {
-					try {
-						if (overlayBlock && overlayBlock.parentNode) {
-							// 从屏幕外由近及远进入：
-							// 左侧从左侧屏幕外（translateX(-100vw)）进入，右侧从右侧屏幕外（translateX(100vw)）进入
-							// 同时从较大（scale(1.2)）缩小到正常大小（scale(1)），模拟由近及远的效果
-							overlayBlock.style.transform = 'translateX(0) translateY(0) scale(1)';
+				overlayBlock._exitTransition = overlayTransition.exit;
+				if (enterTransition.durationMs > 0) {
+					setTimeout(() => {
+						try {
+							if (overlayBlock && overlayBlock.parentNode && !overlayBlock._isBeingRemoved) {
+								applyOverlayTransition(overlayBlock, enterTransition, true);
+							}
+						} catch (animationError) {
+							console.warn(`[Leader Overlay Image] Failed to trigger animation for leader ${leaderID || 'unknown'}:`, animationError);
 						}
-					} catch (animationError) {
-						console.warn(`[Leader Overlay Image] Failed to trigger animation for leader ${leaderID || 'unknown'}:`, animationError);
-					}
-				}, 10);
+					}, 10);
+				}
 			}
 		} else {
 			// 更新现有覆盖层的位置和大小
@@ -339,7 +1475,7 @@ function createOrUpdateImageOverlay(container, options = {}) {
 				// 只有在leader-select界面或图片URL确实改变时才更新背景图片
 				const isSetupPanel = panelType === "age-select" || panelType === "civ-select" || panelType === "game-setup" || panelType === "setup-panels";
 
-				if (!isSetupPanel) {
+				if (!isSetupPanel && !overlayBlock._isPortraitCard) {
 					// 检查并更新背景图片（如果需要）
 					const currentBackgroundImage = overlayBlock.style.backgroundImage;
 					const newBackgroundImage = `url("${finalImageUrl}")`;
@@ -433,6 +1569,8 @@ function updateOverlayPositionAndSize(overlayBlock, options = {}) {
 	overlayBlock.style.backgroundPosition = bgPosition;
 	// Shell界面使用contain实现缩放而不是裁剪，外交界面使用cover
 	overlayBlock.style.backgroundSize = isDiplomacy ? "cover" : "contain";
+	syncPortraitLayerStyles(overlayBlock);
+	applyPortraitAnimationFrame(overlayBlock);
 
 	// 更新top值（使用vh单位）
 	if (safeTopOffsetMultiplier !== 0) {
@@ -499,6 +1637,8 @@ function createImageOverlayWithConfig(container, leaderID, panelType = null) {
 
 		// 如果提供了leaderID，尝试从配置系统获取显示配置
 		if (leaderID && window.CustomLeaderConfig) {
+			options.layers = getPortraitLayers(leaderID);
+			options.animation = getPortraitAnimation(leaderID);
 			try {
 				const displayConfig = window.CustomLeaderConfig.getImageDisplayConfig(leaderID, panelType);
 				if (displayConfig) {
@@ -506,6 +1646,7 @@ function createImageOverlayWithConfig(container, leaderID, panelType = null) {
 					options.leftOffsetMultiplier = displayConfig.leftOffsetMultiplier;
 					options.topOffsetMultiplier = displayConfig.topOffsetMultiplier;
 					options.position = displayConfig.position;
+					options.motion = displayConfig.motion;
 				}
 			} catch (configError) {
 				console.warn(`[Leader Overlay Image] Failed to get display config for leader ${leaderID}:`, configError);
@@ -521,6 +1662,9 @@ function createImageOverlayWithConfig(container, leaderID, panelType = null) {
 		const result = createOrUpdateImageOverlay(container, options);
 		if (!result) {
 			console.warn(`[Leader Overlay Image] Failed to create overlay for leader ${leaderID || 'unknown'}`);
+		} else if (leaderID) {
+			// 记录领袖ID，注册表变化时用于找到需要刷新的覆盖层
+			result._leaderID = leaderID;
 		}
 	} catch (error) {
 		console.error(`[Leader Overlay Image] Error creating overlay with config for leader ${leaderID || 'unknown'}:`, error);
@@ -599,6 +1743,8 @@ function adjustOverlayForPanel(leaderID, panelType = null) {
 					topOffsetMultiplier: displayConfig.topOffsetMultiplier,
 					isDiplomacy: false
 				});
+				// 切换面板时按新面板的配置更新动态效果
+				startPortraitMotion(overlayBlock, displayConfig.motion);
 				foundOverlay = true;
 				break; // 找到第一个后立即退出
 			}
@@ -644,6 +1790,44 @@ function adjustOverlayForPanel(leaderID, panelType = null) {
 	}
 }
 
+// 刷新 shell 界面覆盖层的图片（时代等变体改变时调用，不改变位置和大小）
+function tryRefreshImageOverlay(leaderID) {
+	if (!leaderID) {
+		return;
+	}
+
+	try {
+		const overlayBlocks = document.body.querySelectorAll(".leader-overlay-image-block, .leader-overlay-image-block-left, .leader-overlay-image-block-right");
+		overlayBlocks.forEach(overlayBlock => {
+			if (overlayBlock._isBeingRemoved) {
+				return;
+			}
+
+			// 先停止旧的帧动画，更新静态立绘后再按新配置播放
+			stopPortraitAnimation(overlayBlock);
+
+			const layers = getPortraitLayers(leaderID);
+			if (layers) {
+				renderPortraitLayers(overlayBlock, layers);
+			} else {
+				// 从分层立绘切换回单张图片时移除层元素
+				if (overlayBlock._portraitLayers) {
+					overlayBlock.querySelectorAll(`.${PORTRAIT_LAYER_CLASS_PREFIX}`).forEach(layer => layer.remove());
+					overlayBlock._portraitLayers = null;
+				}
+				overlayBlock.style.backgroundImage = `url("${getImageUrl(leaderID)}")`;
+			}
+
+			const animation = getPortraitAnimation(leaderID);
+			if (animation) {
+				startPortraitAnimation(overlayBlock, animation);
+			}
+		});
+	} catch (error) {
+		console.warn(`[Leader Overlay Image] Failed to refresh overlay for leader ${leaderID}:`, error);
+	}
+}
+
 // 尝试移除图片覆盖层
 function tryRemoveImageOverlay(context, delay = 0, position = "center") {
 	try {
@@ -656,6 +1840,8 @@ function tryRemoveImageOverlay(context, delay = 0, position = "center") {
 					// 检查是否为shell界面的覆盖层（不是外交界面）
 					if (!overlayBlock.className.includes("diplomacy")) {
 						try {
+							stopPortraitAnimation(overlayBlock);
+							stopPortraitMotion(overlayBlock);
 							overlayBlock.remove();
 						} catch (removeError) {
 							console.warn(`[Leader Overlay Image] Failed to remove overlay block:`, removeError);
@@ -685,8 +1871,9 @@ function tryRemoveImageOverlay(context, delay = 0, position = "center") {
  * @param {string} position - 位置 ("left", "right", "center")
  * @param {number} delay - 延迟时间（毫秒），通常为0（立即执行）
  * @param {string} state - 可选的状态参数（预留接口，用于将来的状态映射）
+ * @param {string} sequenceType - 可选，序列类型（如 "MEET", "WAR"），用于选择进场和退场过渡
  */
-function tryCreateDiplomacyImageOverlay(leaderID, position = "center", delay = 300, state = null) {
+function tryCreateDiplomacyImageOverlay(leaderID, position = "center", delay = 300, state = null, sequenceType = null) {
 	try {
 		// 参数验证
 		if (!leaderID) {
@@ -700,8 +1887,19 @@ function tryCreateDiplomacyImageOverlay(leaderID, position = "center", delay = 3
 			return;
 		}
 
-		// 检查是否为图片领袖
-		if (!window.CustomLeaderConfig.isImageLeader(leaderID)) {
+		// 联机时其他玩家的领袖在本机缺少立绘文件，或本机未注册且没有3D模型：显示领袖卡片
+		let portraitCard = null;
+		try {
+			portraitCard = window.CustomLeaderConfig.getRemoteLeaderFallback?.(leaderID) || null;
+			if (portraitCard) {
+				console.warn(`[Leader Overlay Image] Portrait for remote leader ${leaderID} unavailable on this client (${portraitCard.reason}), showing leader card`);
+			}
+		} catch (fallbackError) {
+			console.warn(`[Leader Overlay Image] Failed to check remote leader fallback for ${leaderID}:`, fallbackError);
+		}
+
+		// 检查是否为图片领袖（显示领袖卡片的远程领袖除外）
+		if (!portraitCard && !window.CustomLeaderConfig.isImageLeader(leaderID)) {
 			// 不是图片领袖，正常返回（不记录错误）
 			return;
 		}
@@ -740,19 +1938,23 @@ function tryCreateDiplomacyImageOverlay(leaderID, position = "center", delay = 3
 			topOffsetMultiplier = (typeof displayConfig.topOffsetMultiplier === "number" && displayConfig.topOffsetMultiplier !== undefined) ? displayConfig.topOffsetMultiplier : 0;
 		}
 
-		// 获取图片路径（传递状态参数用于状态映射）
+		// 获取图片路径（传递状态参数用于状态映射；本机未注册的领袖只显示卡片，没有图片路径）
 		let imagePath = null;
-		try {
-			if (typeof window.CustomLeaderConfig.getImagePath !== "function") {
-				console.error(`[Leader Overlay Image] CustomLeaderConfig.getImagePath is not a function for leader ${leaderID}`);
-				return;
+		if (portraitCard && portraitCard.reason === "unregistered") {
+			imagePath = DEFAULT_OVERLAY_IMAGE_URL;
+		} else {
+			try {
+				if (typeof window.CustomLeaderConfig.getImagePath !== "function") {
+					console.error(`[Leader Overlay Image] CustomLeaderConfig.getImagePath is not a function for leader ${leaderID}`);
+					return;
+				}
+				console.error(`[Leader Overlay Image] Getting image path for ${leaderID} with state: ${state}`);
+				imagePath = window.CustomLeaderConfig.getImagePath(leaderID, state);
+				console.error(`[Leader Overlay Image] Got image path: ${imagePath}`);
+			} catch (pathError) {
+				console.error(`[Leader Overlay Image] Failed to get image path for leader ${leaderID}:`, pathError);
+				return; // 如果没有图片路径，无法创建覆盖层
 			}
-			console.error(`[Leader Overlay Image] Getting image path for ${leaderID} with state: ${state}`);
-			imagePath = window.CustomLeaderConfig.getImagePath(leaderID, state);
-			console.error(`[Leader Overlay Image] Got image path: ${imagePath}`);
-		} catch (pathError) {
-			console.error(`[Leader Overlay Image] Failed to get image path for leader ${leaderID}:`, pathError);
-			return; // 如果没有图片路径，无法创建覆盖层
 		}
 
 		if (!imagePath) {
@@ -779,7 +1981,12 @@ function tryCreateDiplomacyImageOverlay(leaderID, position = "center", delay = 3
 				className: "leader-overlay-image-block-diplomacy",
 				zIndex: -1,
 				leaderID: leaderID,
-				imageUrl: imagePath
+				imageUrl: imagePath,
+				layers: portraitCard ? null : getPortraitLayers(leaderID, state),
+				animation: portraitCard ? null : getPortraitAnimation(leaderID, state),
+				motion: displayConfig?.motion,
+				portraitCard,
+				transition: getDiplomacyTransition(leaderID, sequenceType, position)
 			});
 		} catch (createError) {
 			console.error(`[Leader Overlay Image] Exception while creating overlay for leader ${leaderID} at position ${position}:`, createError);
@@ -789,6 +1996,24 @@ function tryCreateDiplomacyImageOverlay(leaderID, position = "center", delay = 3
 		if (!overlayResult) {
 			console.error(`[Leader Overlay Image] Failed to create overlay for leader ${leaderID} at position ${position}. createOrUpdateImageOverlay returned null.`);
 		} else {
+			// 记录领袖和当前状态（说话帧结束后按当前状态恢复立绘）
+			overlayResult._leaderID = leaderID;
+			overlayResult._portraitState = state;
+			overlayResult._sequenceType = sequenceType;
+			// 刚进入游戏时基础图片可能尚在探测：探测完成后确认缺少立绘的远程领袖改为显示卡片
+			if (!portraitCard && window.CustomLeaderConfig.getLeaderPortraitStatus?.(leaderID) === "pending") {
+				window.CustomLeaderConfig.whenLeaderPortraitStatusReady(leaderID).then(() => {
+					try {
+						const pendingCard = window.CustomLeaderConfig.getRemoteLeaderFallback(leaderID);
+						if (pendingCard && overlayResult.isConnected && !overlayResult._isBeingRemoved && overlayResult._leaderID === leaderID) {
+							console.warn(`[Leader Overlay Image] Portrait for remote leader ${leaderID} unavailable after probe (${pendingCard.reason}), showing leader card`);
+							renderPortraitCard(overlayResult, leaderID, pendingCard.playerID);
+						}
+					} catch (cardError) {
+						console.warn(`[Leader Overlay Image] Failed to show leader card for ${leaderID} after probe:`, cardError);
+					}
+				});
+			}
 			// 验证覆盖层是否成功添加到DOM
 			if (!overlayResult.parentNode) {
 				console.error(`[Leader Overlay Image] Overlay created for leader ${leaderID} but not attached to DOM`);
@@ -815,6 +2040,18 @@ function tryUpdateDiplomacyImageOverlay(leaderID, position = "center", newState
 			return;
 		}
 
+		// 根据位置确定类名
+		const overlayClassName = position !== "center"
+			? `leader-overlay-image-block-diplomacy-${position}`
+			: "leader-overlay-image-block-diplomacy";
+
+		// 领袖卡片不随状态变化（本机未注册的远程领袖没有图片路径，需在查找路径前返回）
+		const cardBlock = document.body.querySelector(`.${overlayClassName}`);
+		if (cardBlock && cardBlock._isPortraitCard) {
+			cardBlock._portraitState = newState;
+			return;
+		}
+
 		// 获取新状态的图片路径（支持 shell scope 和 game scope）
 		let newImagePath = null;
 		
@@ -824,53 +2061,16 @@ function tryUpdateDiplomacyImageOverlay(leaderID, position = "center", newState
 		}
 		
 		// 方法2: 如果方法1失败，尝试使用 game scope 的 DiplomacyConfig
-		if (!newImagePath && window.DiplomacyConfig && window.DiplomacyConfig.getImagePath) {
-			newImagePath = window.DiplomacyConfig.getImagePath(leaderID, newState);
+		if (!newImagePath && window.DiplomacyConfig && window.DiplomacyConfig.diplomacyGetImagePath) {
+			newImagePath = window.DiplomacyConfig.diplomacyGetImagePath(leaderID, newState);
 		}
 		
-		// 方法3: 如果以上都失败，直接从 localStorage 读取配置
-		if (!newImagePath) {
-			try {
-				const storageKey = "LeaderOverlayImageRegistryV1";
-				const raw = localStorage.getItem(storageKey);
-				if (raw) {
-					const registry = JSON.parse(raw);
-					const config = registry[leaderID];
-					if (config) {
-						// 定义状态回退链
-						const stateFallbackChains = {
-							"declaring_war": ["declaring_war", "hostile", "neutral"],
-							"defeated": ["defeated", "hostile", "neutral"],
-							"accepting_peace": ["accepting_peace", "friendly", "neutral"],
-							"rejecting_peace": ["rejecting_peace", "hostile", "neutral"],
-							"response_positive": ["response_positive", "friendly", "neutral"],
-							"response_negative": ["response_negative", "hostile", "neutral"],
-							"meeting": ["meeting", "neutral"],
-							"friendly": ["friendly", "neutral"],
-							"hostile": ["hostile", "neutral"],
-							"neutral": ["neutral"]
-						};
-						
-						const fallbackChain = stateFallbackChains[newState] || [newState, "neutral"];
-						
-						// 按回退链查找图片
-						if (config.diplomacyStates) {
-							for (const fallbackState of fallbackChain) {
-								if (config.diplomacyStates[fallbackState]) {
-									newImagePath = config.diplomacyStates[fallbackState];
-									break;
-								}
-							}
-						}
-						
-						// 最后回退到基础图片
-						if (!newImagePath) {
-							newImagePath = config.imagePath;
-						}
-					}
-				}
-			} catch (storageError) {
-				console.warn(`[Leader Overlay Image] Failed to read from localStorage:`, storageError);
+		// 方法3: 如果以上都失败，用共享解析器解析 localStorage 中的配置
+		if (!newImagePath && window.LeaderPortraitResolver) {
+			const resolver = window.LeaderPortraitResolver;
+			const config = resolver.readSharedRegistry()?.[leaderID];
+			if (config) {
+				newImagePath = resolver.resolveImagePath(leaderID, config, newState);
 			}
 		}
 
@@ -879,14 +2079,39 @@ function tryUpdateDiplomacyImageOverlay(leaderID, position = "center", newState
 			return;
 		}
 
-		// 根据位置确定类名
-		const overlayClassName = position !== "center"
-			? `leader-overlay-image-block-diplomacy-${position}`
-			: "leader-overlay-image-block-diplomacy";
-
 		// 在 document.body 中查找覆盖层元素（覆盖层使用 fixed 定位，添加到 body）
 		const overlayBlock = document.body.querySelector(`.${overlayClassName}`);
 		if (overlayBlock) {
+			overlayBlock._portraitState = newState;
+
+			// 帧动画：新状态有动画时切换动画，否则停止播放并继续更新静态立绘
+			if (updatePortraitAnimation(overlayBlock, leaderID, newState)) {
+				console.log(`[Leader Overlay Image] Updated animation for leader ${leaderID} at position ${position} to state ${newState}`);
+				return;
+			}
+
+			// 分层立绘：只切换表情层和特效层，身体层保持不变
+			if (overlayBlock._portraitLayers) {
+				const layers = getPortraitLayers(leaderID, newState);
+				if (layers) {
+					if (!layers.expression) {
+						updatePortraitExpressionLayers(overlayBlock, layers);
+						return;
+					}
+					// 先验证表情层能加载，避免切换时表情消失
+					const expressionImg = new Image();
+					expressionImg.onload = () => {
+						updatePortraitExpressionLayers(overlayBlock, layers);
+						console.log(`[Leader Overlay Image] Updated expression layer for leader ${leaderID} at position ${position} to state ${newState}`);
+					};
+					expressionImg.onerror = () => {
+						console.warn(`[Leader Overlay Image] Expression layer failed to load for ${leaderID}: ${layers.expression}, keeping current`);
+					};
+					expressionImg.src = layers.expression;
+					return;
+				}
+			}
+
 			// 保存当前图片URL，以便回退
 			const currentImageUrl = overlayBlock.style.backgroundImage;
 			
@@ -898,8 +2123,8 @@ function tryUpdateDiplomacyImageOverlay(leaderID, position = "center", newState
 				let baseImagePath = null;
 				if (window.CustomLeaderConfig && window.CustomLeaderConfig.getImagePath) {
 					baseImagePath = window.CustomLeaderConfig.getImagePath(leaderID, null);
-				} else if (window.DiplomacyConfig && window.DiplomacyConfig.getImagePath) {
-					baseImagePath = window.DiplomacyConfig.getImagePath(leaderID, null);
+				} else if (window.DiplomacyConfig && window.DiplomacyConfig.diplomacyGetImagePath) {
+					baseImagePath = window.DiplomacyConfig.diplomacyGetImagePath(leaderID, null);
 				}
 				
 				if (baseImagePath && baseImagePath !== newImagePath) {
@@ -933,6 +2158,108 @@ function tryUpdateDiplomacyImageOverlay(leaderID, position = "center", newState
 	}
 }
 
+/**
+ * 将外交界面已显示的覆盖层原地替换为另一位领袖（外交面板切换玩家时使用，不移除也不重新播放入场过渡）
+ * 按新领袖完整重新渲染：领袖ID、分层立绘或背景图片、帧动画、领袖卡片、位置尺寸、动态效果和退场过渡
+ * 同一领袖只有状态变化时交给 tryUpdateDiplomacyImageOverlay
+ * @param {string} leaderID - 新领袖ID
+ * @param {string} position - 位置 ("left", "right", "center")
+ * @param {string} state - 新领袖的状态
+ * @returns {boolean} 是否完成替换（没有可替换的覆盖层时返回false，由调用方走正常的创建流程）
+ */
+function trySwapDiplomacyImageOverlay(leaderID, position = "right", state = null) {
+	try {
+		if (!leaderID || !window.CustomLeaderConfig) {
+			return false;
+		}
+
+		// 联机时其他玩家的领袖在本机缺少立绘文件，或本机未注册且没有3D模型：显示领袖卡片
+		const portraitCard = window.CustomLeaderConfig.getRemoteLeaderFallback?.(leaderID) || null;
+		if (!portraitCard && !window.CustomLeaderConfig.isImageLeader(leaderID)) {
+			return false;
+		}
+
+		const overlayClassName = position !== "center"
+			? `leader-overlay-image-block-diplomacy-${position}`
+			: "leader-overlay-image-block-diplomacy";
+		const overlayBlock = document.body.querySelector(`.${overlayClassName}`);
+		if (!overlayBlock || overlayBlock._isBeingRemoved) {
+			return false;
+		}
+
+		if (overlayBlock._leaderID === leaderID) {
+			tryUpdateDiplomacyImageOverlay(leaderID, position, state || overlayBlock._portraitState || "neutral");
+			return true;
+		}
+
+		const imagePath = portraitCard ? null : window.CustomLeaderConfig.getImagePath(leaderID, state);
+		if (!portraitCard && !imagePath) {
+			return false;
+		}
+
+		// 清除旧领袖的说话帧、帧动画、动态效果、分层立绘和领袖卡片
+		stopPortraitTalking(overlayBlock);
+		stopPortraitAnimation(overlayBlock);
+		stopPortraitMotion(overlayBlock);
+		overlayBlock.querySelectorAll(`.${PORTRAIT_LAYER_CLASS_PREFIX}`).forEach(layer => layer.remove());
+		overlayBlock._portraitLayers = null;
+		overlayBlock.querySelector(`.${PORTRAIT_CARD_CLASS}`)?.remove();
+		overlayBlock._isPortraitCard = false;
+
+		overlayBlock._leaderID = leaderID;
+		overlayBlock._portraitState = state;
+		overlayBlock._sequenceType = null;
+		overlayBlock._exitTransition = getDiplomacyTransition(leaderID, null, position).exit;
+
+		// 新领袖的显示参数（displayOverrides 可能与旧领袖不同）
+		const displayConfig = window.CustomLeaderConfig.getImageDisplayConfig(leaderID, position === "left" ? "diplomacy-left" : "diplomacy-right");
+		if (displayConfig) {
+			updateOverlayPositionAndSize(overlayBlock, {
+				position,
+				widthMultiplier: displayConfig.widthMultiplier,
+				leftOffsetMultiplier: displayConfig.leftOffsetMultiplier,
+				topOffsetMultiplier: displayConfig.topOffsetMultiplier,
+				isDiplomacy: true
+			});
+		}
+
+		if (portraitCard) {
+			renderPortraitCard(overlayBlock, leaderID, portraitCard.playerID);
+		} else {
+			const layers = getPortraitLayers(leaderID, state);
+			if (layers) {
+				renderPortraitLayers(overlayBlock, layers);
+			} else {
+				overlayBlock.style.backgroundImage = `url("${imagePath}")`;
+			}
+			const animation = getPortraitAnimation(leaderID, state);
+			if (animation) {
+				startPortraitAnimation(overlayBlock, animation);
+			}
+
+			// 立绘无法加载时显示领袖卡片（期间又切换了领袖则忽略）
+			const img = new Image();
+			img.onerror = () => {
+				if (overlayBlock.isConnected && overlayBlock._leaderID === leaderID) {
+					console.warn(`[Leader Overlay Image] Image failed to load for leader ${leaderID}: ${imagePath}, showing leader card`);
+					renderPortraitCard(overlayBlock, leaderID);
+				}
+			};
+			img.src = imagePath;
+		}
+
+		if (displayConfig?.motion) {
+			startPortraitMotion(overlayBlock, displayConfig.motion);
+		}
+
+		console.log(`[Leader Overlay Image] Swapped overlay at position ${position} to leader ${leaderID} (state ${state})`);
+		return true;
+	} catch (error) {
+		console.error(`[Leader Overlay Image] Error swapping diplomacy overlay to leader ${leaderID || 'unknown'}:`, error);
+		return false;
+	}
+}
+
 // 尝试移除外交界面的图片覆盖层
 function tryRemoveDiplomacyImageOverlay(leaderID = null, position = "center", delay = 100) {
 	// 立即执行，无延迟
@@ -980,24 +2307,17 @@ function tryRemoveDiplomacyImageOverlay(leaderID = null, position = "center", de
 				exitPosition = "right";
 			}
 
-			// 设置退出动画的transition（与进入动画时长一致：0.3s）
-			overlayBlock.style.transition = 'transform 0.3s ease-in-out';
-
-			// 立即触发退出动画：从正常位置和大小移动到屏幕外并放大
-			// 左侧：移动到左侧屏幕外（translateX(-800vw)）并放大（scale(1.8)）
-			// 右侧：移动到右侧屏幕外（translateX(800vw)）并放大（scale(1.8)）
-			// 直接设置 transform，确保与旗帜同步退出
-			if (exitPosition === "left") {
-				overlayBlock.style.transform = 'translateX(-800vw) scale(1.8)';
-			} else if (exitPosition === "right") {
-				overlayBlock.style.transform = 'translateX(800vw) scale(1.8)';
-			} else {
-				// 中心位置：使用垂直退出
-				overlayBlock.style.transform = 'translateY(100px) scale(1.8)';
-			}
+			// 立即触发退场过渡（创建时按领袖、序列类型和位置选择），确保与旗帜同步退出
+			const exitTransition = overlayBlock._exitTransition ||
+				getDiplomacyTransition(overlayBlock._leaderID || leaderID, overlayBlock._sequenceType, exitPosition).exit;
+			applyOverlayTransition(overlayBlock, exitTransition, false);
 
-			// 等待动画完成后移除元素（0.3s动画时间）
+			// 退场过渡结束后移除元素（移除时间与过渡时长一致）
 			setTimeout(() => {
+				// 退出过程中帧动画和动态效果已暂停，移除时停止调度
+				stopPortraitTalking(overlayBlock);
+				stopPortraitAnimation(overlayBlock);
+				stopPortraitMotion(overlayBlock);
 				if (overlayBlock._resizeTimeout) {
 					clearTimeout(overlayBlock._resizeTimeout);
 					overlayBlock._resizeTimeout = null;
@@ -1008,62 +2328,221 @@ function tryRemoveDiplomacyImageOverlay(leaderID = null, position = "center", de
 				if (overlayBlock.parentNode) {
 					overlayBlock.remove();
 				}
-			}, 300);  // 0.3秒后移除（与进入动画时长一致）
+			}, exitTransition.durationMs);
 		});
 	};
 
 	tryRemoveBlock();  // 立即调用
 }
 
-// 尝试创建主菜单的图片覆盖层
+// 主菜单覆盖层的待执行创建定时器（清理场景时需要取消，避免覆盖层晚于清理出现）
+let pendingMainMenuOverlayTimeout = null;
+
+// 主菜单覆盖层使用的立绘状态（未配置时按回退链使用 neutral）
+const MAIN_MENU_PORTRAIT_STATE = "main_menu";
+
+// 主菜单展示模式切换领袖时的交叉淡入淡出时长（毫秒）
+const MAIN_MENU_CROSS_FADE_MS = 800;
+
+// 在主菜单中创建覆盖层（显示参数取自 "main-menu" 面板配置）
+function createMainMenuImageOverlay(container, leaderID) {
+	let displayConfig = null;
+	try {
+		displayConfig = window.CustomLeaderConfig.getImageDisplayConfig(leaderID, "main-menu");
+	} catch (configError) {
+		console.warn(`[Leader Overlay Image] Failed to get main menu display config for leader ${leaderID}:`, configError);
+	}
+
+	const result = createOrUpdateImageOverlay(container, {
+		position: displayConfig?.position || "center",
+		widthMultiplier: displayConfig?.widthMultiplier,
+		leftOffsetMultiplier: displayConfig?.leftOffsetMultiplier,
+		topOffsetMultiplier: displayConfig?.topOffsetMultiplier,
+		motion: displayConfig?.motion,
+		className: "leader-overlay-image-block-mainmenu",
+		zIndex: -1,
+		leaderID: leaderID,
+		imageUrl: window.CustomLeaderConfig.getImagePath(leaderID, MAIN_MENU_PORTRAIT_STATE),
+		layers: getPortraitLayers(leaderID, MAIN_MENU_PORTRAIT_STATE),
+		animation: getPortraitAnimation(leaderID, MAIN_MENU_PORTRAIT_STATE)
+	});
+	if (result) {
+		// 记录领袖ID，注册表变化时用于找到需要刷新的覆盖层
+		result._leaderID = leaderID;
+	}
+	return result;
+}
+
+// 尝试创建主菜单的图片覆盖层（只显示注册表中的领袖）
 function tryCreateMainMenuImageOverlay(leaderID, delay = 300) {
-	const shouldShowOverlay = leaderID === "LEADER_CONFUCIUS";
-	if (!shouldShowOverlay) {
+	if (!leaderID || !window.CustomLeaderConfig || !window.CustomLeaderConfig.isImageLeader(leaderID)) {
 		return;
 	}
 
+	// 取消尚未执行的创建（快速重建场景时只保留最后一次）
+	if (pendingMainMenuOverlayTimeout) {
+		clearTimeout(pendingMainMenuOverlayTimeout);
+		pendingMainMenuOverlayTimeout = null;
+	}
+
 	const tryCreateBlock = (attempt = 0) => {
+		pendingMainMenuOverlayTimeout = null;
 		const container = getMainMenuContainer();
 
 		if (container) {
-			createOrUpdateImageOverlay(container, {
-				position: "center",
-				widthMultiplier: 3.5,
-				leftOffsetMultiplier: -0.5,
-				className: "leader-overlay-image-block-mainmenu",
-				zIndex: -1
-			});
+			createMainMenuImageOverlay(container, leaderID);
 		} else if (attempt < 10) {
-			setTimeout(() => tryCreateBlock(attempt + 1), 200);
+			pendingMainMenuOverlayTimeout = setTimeout(() => tryCreateBlock(attempt + 1), 200);
 		}
 	};
 
-	setTimeout(() => tryCreateBlock(0), delay);
+	pendingMainMenuOverlayTimeout = setTimeout(() => tryCreateBlock(0), delay);
+}
+
+// 移除单个主菜单覆盖层，并停止它的动画和尺寸监听
+function removeMainMenuOverlayBlock(overlayBlock) {
+	stopPortraitAnimation(overlayBlock);
+	stopPortraitMotion(overlayBlock);
+	if (overlayBlock._resizeTimeout) {
+		clearTimeout(overlayBlock._resizeTimeout);
+		overlayBlock._resizeTimeout = null;
+	}
+	if (overlayBlock._resizeObserver) {
+		overlayBlock._resizeObserver.disconnect();
+	}
+	overlayBlock.remove();
+}
+
+// 将主菜单覆盖层交叉淡入淡出到另一位领袖（主菜单展示模式使用，当前没有覆盖层时直接创建）
+function tryCrossFadeMainMenuImageOverlay(leaderID, durationMs = MAIN_MENU_CROSS_FADE_MS) {
+	if (!leaderID || !window.CustomLeaderConfig || !window.CustomLeaderConfig.isImageLeader(leaderID)) {
+		return;
+	}
+
+	const currentBlocks = Array.from(document.body.querySelectorAll(".leader-overlay-image-block-mainmenu"))
+		.filter(overlayBlock => !overlayBlock._isBeingRemoved);
+	if (currentBlocks.some(overlayBlock => overlayBlock._leaderID === leaderID)) {
+		return;
+	}
+
+	const container = getMainMenuContainer();
+	if (currentBlocks.length === 0 || !container) {
+		tryCreateMainMenuImageOverlay(leaderID, 0);
+		return;
+	}
+
+	if (pendingMainMenuOverlayTimeout) {
+		clearTimeout(pendingMainMenuOverlayTimeout);
+		pendingMainMenuOverlayTimeout = null;
+	}
+
+	// 旧覆盖层标记为移除中（创建新覆盖层时不会被复用），淡出后移除
+	const fadeTransition = `opacity ${durationMs}ms ease-in-out`;
+	currentBlocks.forEach(overlayBlock => {
+		overlayBlock._isBeingRemoved = true;
+		overlayBlock.style.transition = fadeTransition;
+		overlayBlock.style.opacity = "0";
+		setTimeout(() => removeMainMenuOverlayBlock(overlayBlock), durationMs);
+	});
+
+	// 新覆盖层从透明开始，添加到DOM后再淡入
+	const overlayBlock = createMainMenuImageOverlay(container, leaderID);
+	if (overlayBlock) {
+		overlayBlock.style.transition = "none";
+		overlayBlock.style.opacity = "0";
+		setTimeout(() => {
+			if (overlayBlock.isConnected && !overlayBlock._isBeingRemoved) {
+				overlayBlock.style.transition = fadeTransition;
+				overlayBlock.style.opacity = "1";
+			}
+		}, 10);
+	}
 }
 
 // 尝试移除主菜单的图片覆盖层
 function tryRemoveMainMenuImageOverlay(delay = 100) {
-	const tryRemoveBlock = (attempt = 0) => {
-		const container = getMainMenuContainer();
+	// 先取消尚未执行的创建
+	if (pendingMainMenuOverlayTimeout) {
+		clearTimeout(pendingMainMenuOverlayTimeout);
+		pendingMainMenuOverlayTimeout = null;
+	}
 
-		if (container) {
-			const overlayBlock = container.querySelector(".leader-overlay-image-block-mainmenu");
-			if (overlayBlock) {
-				if (overlayBlock._resizeTimeout) {
-					clearTimeout(overlayBlock._resizeTimeout);
-					overlayBlock._resizeTimeout = null;
-				}
-				if (overlayBlock._resizeObserver) {
-					overlayBlock._resizeObserver.disconnect();
-				}
-				overlayBlock.remove();
+	const tryRemoveBlock = () => {
+		// 覆盖层使用fixed定位，添加在body中（而不是容器中）
+		const overlayBlocks = document.body.querySelectorAll(".leader-overlay-image-block-mainmenu");
+		overlayBlocks.forEach(removeMainMenuOverlayBlock);
+	};
+
+	if (delay > 0) {
+		setTimeout(() => tryRemoveBlock(), delay);
+	} else {
+		tryRemoveBlock();
+	}
+}
+
+/**
+ * 注册表变化时刷新已显示的覆盖层
+ * - update：shell 覆盖层按新配置刷新图片和显示参数，外交覆盖层按当前状态重新解析立绘
+ * - unregister：移除 shell 覆盖层（外交场景由 leader-overlay-diplomacy.js 重新显示3D模型）
+ * - register：新领袖的覆盖层由面板和外交场景自行创建
+ * @param {object} event - 注册表变化事件 { type, leaderID, config }
+ */
+function handleRegistryChange(event) {
+	const { type, leaderID } = event || {};
+	if (!leaderID || (type !== "update" && type !== "unregister")) {
+		return;
+	}
+
+	const overlayBlocks = Array.from(document.body.querySelectorAll('[class*="leader-overlay-image-block"]'))
+		.filter(overlayBlock => overlayBlock._leaderID === leaderID && !overlayBlock._isBeingRemoved);
+	if (overlayBlocks.length === 0) {
+		return;
+	}
+
+	let shouldRefreshShellOverlay = false;
+	for (const overlayBlock of overlayBlocks) {
+		const isDiplomacy = overlayBlock.className.includes("diplomacy");
+		if (isDiplomacy) {
+			if (type === "update") {
+				const position = overlayBlock.className.includes("diplomacy-left") ? "left" : (overlayBlock.className.includes("diplomacy-right") ? "right" : "center");
+				tryUpdateDiplomacyImageOverlay(leaderID, position, overlayBlock._portraitState || "neutral");
 			}
-		} else if (attempt < 5) {
-			setTimeout(() => tryRemoveBlock(attempt + 1), 100);
+			continue;
 		}
-	};
 
-	setTimeout(() => tryRemoveBlock(0), delay);
+		// 主菜单覆盖层按新配置重新创建（移除注册时由下方统一移除）
+		if (type === "update" && overlayBlock.className.includes("mainmenu")) {
+			tryRemoveMainMenuImageOverlay(0);
+			tryCreateMainMenuImageOverlay(leaderID, 0);
+			continue;
+		}
+
+		if (type === "unregister") {
+			stopPortraitTalking(overlayBlock);
+			stopPortraitAnimation(overlayBlock);
+			stopPortraitMotion(overlayBlock);
+			overlayBlock.remove();
+		} else {
+			shouldRefreshShellOverlay = true;
+		}
+	}
+
+	if (shouldRefreshShellOverlay) {
+		tryRefreshImageOverlay(leaderID);
+		adjustOverlayForPanel(leaderID);
+	}
+	console.log(`[Leader Overlay Image] Refreshed ${overlayBlocks.length} overlay(s) after ${type} of ${leaderID}`);
+}
+
+// 订阅注册表变化（配置系统在本模块之前加载）
+if (window.CustomLeaderConfig && typeof window.CustomLeaderConfig.subscribeRegistry === "function") {
+	window.CustomLeaderConfig.subscribeRegistry((event) => {
+		try {
+			handleRegistryChange(event);
+		} catch (error) {
+			console.error(`[Leader Overlay Image] Failed to refresh overlays after registry change:`, error);
+		}
+	});
 }
 
 // 验证导出的函数是否完整
@@ -1071,31 +2550,69 @@ function validateExports() {
 	const requiredFunctions = [
 		'tryCreateImageOverlay',
 		'tryRemoveImageOverlay',
+		'tryRefreshImageOverlay',
 		'tryCreateDiplomacyImageOverlay',
 		'tryUpdateDiplomacyImageOverlay',
+		'trySwapDiplomacyImageOverlay',
 		'tryRemoveDiplomacyImageOverlay',
 		'tryCreateMainMenuImageOverlay',
 		'tryRemoveMainMenuImageOverlay',
+		'tryCrossFadeMainMenuImageOverlay',
 		'adjustOverlayForPanel',
 		'updateOverlayPositionAndSize',
 		'getContainer',
 		'getDiplomacyContainer',
-		'getMainMenuContainer'
+		'getMainMenuContainer',
+		'getPortraitLayers',
+		'renderPortraitLayers',
+		'updatePortraitExpressionLayers',
+		'getPortraitAnimation',
+		'startPortraitAnimation',
+		'stopPortraitAnimation',
+		'updatePortraitAnimation',
+		'startPortraitMotion',
+		'stopPortraitMotion',
+		'getPortraitTalkingFrames',
+		'startPortraitTalking',
+		'stopPortraitTalking',
+		'renderPortraitCard',
+		'startVirtualCamera',
+		'resetVirtualCamera',
+		'getVirtualCameraTransform'
 	];
 
 	const exports = {
 		tryCreateImageOverlay,
 		tryRemoveImageOverlay,
+		tryRefreshImageOverlay,
 		tryCreateDiplomacyImageOverlay,
 		tryUpdateDiplomacyImageOverlay,
+		trySwapDiplomacyImageOverlay,
 		tryRemoveDiplomacyImageOverlay,
 		tryCreateMainMenuImageOverlay,
 		tryRemoveMainMenuImageOverlay,
+		tryCrossFadeMainMenuImageOverlay,
 		adjustOverlayForPanel,
 		updateOverlayPositionAndSize,
 		getContainer,
 		getDiplomacyContainer,
-		getMainMenuContainer
+		getMainMenuContainer,
+		getPortraitLayers,
+		renderPortraitLayers,
+		updatePortraitExpressionLayers,
+		getPortraitAnimation,
+		startPortraitAnimation,
+		stopPortraitAnimation,
+		updatePortraitAnimation,
+		startPortraitMotion,
+		stopPortraitMotion,
+		getPortraitTalkingFrames,
+		startPortraitTalking,
+		stopPortraitTalking,
+		renderPortraitCard,
+		startVirtualCamera,
+		resetVirtualCamera,
+		getVirtualCameraTransform
 	};
 
 	// 验证所有必需函数是否存在且为函数类型
@@ -1128,16 +2645,35 @@ function validateExports() {
 window.LeaderOverlayImage = {
 	tryCreateImageOverlay,
 	tryRemoveImageOverlay,
+	tryRefreshImageOverlay,
 	tryCreateDiplomacyImageOverlay,
 	tryUpdateDiplomacyImageOverlay,
+	trySwapDiplomacyImageOverlay,
 	tryRemoveDiplomacyImageOverlay,
 	tryCreateMainMenuImageOverlay,
 	tryRemoveMainMenuImageOverlay,
+	tryCrossFadeMainMenuImageOverlay,
 	adjustOverlayForPanel,
 	updateOverlayPositionAndSize,
 	getContainer,
 	getDiplomacyContainer,
-	getMainMenuContainer
+	getMainMenuContainer,
+	getPortraitLayers,
+	renderPortraitLayers,
+	updatePortraitExpressionLayers,
+	getPortraitAnimation,
+	startPortraitAnimation,
+	stopPortraitAnimation,
+	updatePortraitAnimation,
+	startPortraitMotion,
+	stopPortraitMotion,
+	getPortraitTalkingFrames,
+	startPortraitTalking,
+	stopPortraitTalking,
+	renderPortraitCard,
+	startVirtualCamera,
+	resetVirtualCamera,
+	getVirtualCameraTransform
 };
 
 // 验证导出是否成功
@@ -51,6 +51,56 @@ async function restorePedestalAndCamera() {
 	}
 }
 
+// 最近一次显示领袖信息的面板实例（注册表变化时用于重新显示）
+let activeLeaderSelectPanel = null;
+
+// 按当前领袖显示或移除图片覆盖层（swapLeaderInfo 之后和注册表变化时调用）
+async function updateLeaderSelectOverlay(panel) {
+	const leaderID = await getCurrentLeaderID();
+	
+	if (!leaderID) {
+		// 如果没有领袖ID，移除所有可能的覆盖层（left, center, right）
+		if (window.LeaderOverlayImage) {
+			// 尝试移除所有可能位置的覆盖层
+			window.LeaderOverlayImage.tryRemoveImageOverlay(panel, 0, "left");
+			window.LeaderOverlayImage.tryRemoveImageOverlay(panel, 0, "center");
+			window.LeaderOverlayImage.tryRemoveImageOverlay(panel, 0, "right");
+		}
+		return;
+	}
+	
+	// 检查是否为图片领袖
+	if (window.CustomLeaderConfig && window.CustomLeaderConfig.isImageLeader(leaderID)) {
+		// 先移除旧的覆盖层（如果存在），然后创建新的
+		if (window.LeaderOverlayImage) {
+			// 从配置获取实际位置，用于清理旧的覆盖层
+			let positionToRemove = "center"; // 默认值
+			try {
+				const displayConfig = window.CustomLeaderConfig.getImageDisplayConfig(leaderID, "leader-select");
+				if (displayConfig && displayConfig.position) {
+					positionToRemove = displayConfig.position;
+				}
+			} catch (configError) {
+				// 如果获取配置失败，使用默认值
+			}
+			
+			// 先移除旧的覆盖层（立即移除，无延迟）
+			window.LeaderOverlayImage.tryRemoveImageOverlay(panel, 0, positionToRemove);
+			// 然后创建新的图片覆盖层（显式传递 panelType）
+			// 传递leaderID和panelType，让图片覆盖层模块从配置系统获取图片路径和显示配置
+			window.LeaderOverlayImage.tryCreateImageOverlay(panel, 50, leaderID, "leader-select");
+		}
+	} else {
+		// 不是图片领袖，移除所有可能的覆盖层（如果存在，立即移除）
+		if (window.LeaderOverlayImage) {
+			// 尝试移除所有可能位置的覆盖层
+			window.LeaderOverlayImage.tryRemoveImageOverlay(panel, 0, "left");
+			window.LeaderOverlayImage.tryRemoveImageOverlay(panel, 0, "center");
+			window.LeaderOverlayImage.tryRemoveImageOverlay(panel, 0, "right");
+		}
+	}
+}
+
 // 重写 swapLeaderInfo 函数
 async function overrideSwapLeaderInfo() {
 	await waitForDependencies();
@@ -83,51 +133,8 @@ async function overrideSwapLeaderInfo() {
 		const result = originalSwapLeaderInfo.call(this);
 		
 		// 在原始函数执行后，检查是否为图片领袖并显示/移除覆盖层
-		setTimeout(async () => {
-			const leaderID = await getCurrentLeaderID();
-			
-			if (!leaderID) {
-				// 如果没有领袖ID，移除所有可能的覆盖层（left, center, right）
-				if (window.LeaderOverlayImage) {
-					// 尝试移除所有可能位置的覆盖层
-					window.LeaderOverlayImage.tryRemoveImageOverlay(this, 0, "left");
-					window.LeaderOverlayImage.tryRemoveImageOverlay(this, 0, "center");
-					window.LeaderOverlayImage.tryRemoveImageOverlay(this, 0, "right");
-				}
-				return;
-			}
-			
-			// 检查是否为图片领袖
-			if (window.CustomLeaderConfig && window.CustomLeaderConfig.isImageLeader(leaderID)) {
-				// 先移除旧的覆盖层（如果存在），然后创建新的
-				if (window.LeaderOverlayImage) {
-					// 从配置获取实际位置，用于清理旧的覆盖层
-					let positionToRemove = "center"; // 默认值
-					try {
-						const displayConfig = window.CustomLeaderConfig.getImageDisplayConfig(leaderID, "leader-select");
-						if (displayConfig && displayConfig.position) {
-							positionToRemove = displayConfig.position;
-						}
-					} catch (configError) {
-						// 如果获取配置失败，使用默认值
-					}
-					
-					// 先移除旧的覆盖层（立即移除，无延迟）
-					window.LeaderOverlayImage.tryRemoveImageOverlay(this, 0, positionToRemove);
-					// 然后创建新的图片覆盖层（显式传递 panelType）
-					// 传递leaderID和panelType，让图片覆盖层模块从配置系统获取图片路径和显示配置
-					window.LeaderOverlayImage.tryCreateImageOverlay(this, 50, leaderID, "leader-select");
-				}
-			} else {
-				// 不是图片领袖，移除所有可能的覆盖层（如果存在，立即移除）
-				if (window.LeaderOverlayImage) {
-					// 尝试移除所有可能位置的覆盖层
-					window.LeaderOverlayImage.tryRemoveImageOverlay(this, 0, "left");
-					window.LeaderOverlayImage.tryRemoveImageOverlay(this, 0, "center");
-					window.LeaderOverlayImage.tryRemoveImageOverlay(this, 0, "right");
-				}
-			}
-		}, 50);
+		activeLeaderSelectPanel = this;
+		setTimeout(() => updateLeaderSelectOverlay(this), 50);
 		
 		return result;
 	};
@@ -256,11 +263,45 @@ async function overrideOnDetach() {
 	return true;
 }
 
+// 注册表变化时重新显示当前领袖：晚注册的领袖不再留下空底座，移除注册后恢复3D模型
+// 配置更新（update）由覆盖层模块直接刷新图片，这里只处理图片领袖与3D领袖之间的切换
+async function handleLeaderSelectRegistryChange(event) {
+	const panel = activeLeaderSelectPanel;
+	if (!event || event.type === "update" || !panel || !panel.isConnected) {
+		return;
+	}
+
+	const leaderID = await getCurrentLeaderID();
+	if (!leaderID || leaderID !== event.leaderID) {
+		return;
+	}
+
+	try {
+		const modelManagerModule = await import("/core/ui/shell/leader-select/leader-select-model-manager.chunk.js");
+		const LeaderSelectModelManager = modelManagerModule.LeaderSelectModelManager || modelManagerModule.L;
+		if (LeaderSelectModelManager && !LeaderSelectModelManager.isLeaderPicked) {
+			// 清除当前模型记录，强制按新的注册状态重新加载（图片领袖只加载底座）
+			LeaderSelectModelManager.currentLeaderAssetName = "";
+			LeaderSelectModelManager.showLeaderModels(leaderID);
+		}
+	} catch (error) {
+		console.warn("Leader Select Panel Override: Failed to reload leader models after registry change", error);
+	}
+
+	await updateLeaderSelectOverlay(panel);
+	console.log(`Leader Select Panel Override: Re-rendered ${leaderID} after ${event.type}`);
+}
+
 // 初始化函数
 async function initializePanelOverride() {
 	
 	// 等待依赖加载
 	await waitForDependencies();
+
+	// 订阅注册表变化
+	if (window.CustomLeaderConfig && typeof window.CustomLeaderConfig.subscribeRegistry === "function") {
+		window.CustomLeaderConfig.subscribeRegistry(handleLeaderSelectRegistryChange);
+	}
 	
 	// 等待 Controls 对象和 LeaderSelectPanel 类可用
 	const checkControls = setInterval(async () => {
@@ -7,53 +7,77 @@
 // 如果领袖ID以此前缀开头，则认为是图片领袖
 const IMAGE_LEADER_PREFIX = "LEADER_"; // 暂时使用所有LEADER_前缀作为测试，后续可以改为特定前缀如 "LEADER_CUSTOM_"
 
+// 解析器要求的API版本（见 leader-portrait-resolver.js）
+const REQUIRED_RESOLVER_API_VERSION = 1;
+
 /**
- * 自动立绘后缀模板配置
- * 当mod没有明确配置diplomacyStates时，系统会自动根据基础图片路径尝试这些后缀
- * 
- * 例如基础路径为: fs://game/xxx/textures/portraits/fbl_Leader.png
- * 对于 "declaring_war" 状态，系统会按顺序尝试:
- *   1. fs://game/xxx/textures/portraits/fbl_Leader_angry.png
- *   2. fs://game/xxx/textures/portraits/fbl_Leader_hostile.png
- *   3. fs://game/xxx/textures/portraits/fbl_Leader_war.png
- * 
- * 如果都找不到，会回退到状态回退链的下一个状态
+ * 获取共享立绘解析器
+ * 状态回退链、自动后缀模板与路径推断统一由 LeaderPortraitResolver 实现，shell 和 game scope 共用
+ * @returns {object|null} 解析器对象，未加载或版本不兼容时返回null
  */
-const AUTO_PORTRAIT_SUFFIX_TEMPLATES = {
-	// 宣战状态: 尝试 _angry, _hostile, _war, _declaring_war
-	"declaring_war": ["_angry", "_hostile", "_war", "_declaring_war"],
-	
-	// 敌对状态: 尝试 _angry, _hostile
-	"hostile": ["_angry", "_hostile"],
-	
-	// 友好状态: 尝试 _happy, _friendly, _smile
-	"friendly": ["_happy", "_friendly", "_smile"],
-	
-	// 战败状态: 尝试 _defeated, _sad, _lose
-	"defeated": ["_defeated", "_sad", "_lose"],
-	
-	// 接受和平: 尝试 _peace, _happy, _friendly
-	"accepting_peace": ["_peace", "_happy", "_friendly"],
-	
-	// 拒绝和平: 尝试 _angry, _hostile, _reject
-	"rejecting_peace": ["_angry", "_hostile", "_reject"],
-	
-	// 正面回应: 尝试 _happy, _friendly, _positive
-	"response_positive": ["_happy", "_friendly", "_positive"],
-	
-	// 负面回应: 尝试 _angry, _hostile, _negative
-	"response_negative": ["_angry", "_hostile", "_negative"],
-	
-	// 会面: 尝试 _meeting, _neutral
-	"meeting": ["_meeting", "_neutral"],
-	
-	// 中立: 不需要后缀（使用基础图片）
-	"neutral": []
+function getPortraitResolver() {
+	const resolver = window.LeaderPortraitResolver;
+	if (!resolver || resolver.API_VERSION !== REQUIRED_RESOLVER_API_VERSION) {
+		return null;
+	}
+	return resolver;
+}
+
+/**
+ * 静态立绘动态效果预设（默认不使用，领袖通过 motion 或 displayOverrides 中的 motion 字段选择，可以组合多个）
+ * 开启游戏的减少动态效果选项时由覆盖层模块自动禁用（读取不到游戏选项时使用系统设置）
+ */
+const MOTION_PRESETS = {
+	"none": {},
+	"breathing": { breathingScale: 0.012, breathingPeriod: 4200 },  // 以底部为基准的轻微缩放（呼吸）
+	"sway": { swayAngle: 0.4, swayPeriod: 7000 },  // 以底部为轴的轻微摇摆（角度）
+	"parallax": { parallaxShift: 12 }  // 跟随光标的视差位移（像素，分层立绘的上层位移更大）
+};
+
+/**
+ * 规范化 motion 配置
+ * @param {string|Array<string>} motion - 预设名或预设名数组
+ * @returns {Array<string>|null} 有效的预设名数组（"none" 为空数组），无效时返回null
+ */
+function normalizeMotion(motion) {
+	const presetNames = typeof motion === "string" ? [motion] : motion;
+	if (!Array.isArray(presetNames)) {
+		return null;
+	}
+	const validNames = presetNames.filter(presetName => MOTION_PRESETS.hasOwnProperty(presetName));
+	if (validNames.length !== presetNames.length) {
+		return null;
+	}
+	return validNames.filter(presetName => presetName !== "none");
+}
+
+/**
+ * 外交覆盖层进场/退场过渡（在领袖注册配置的 transitions 字段中按名称选择，可通过 registerTransition 添加）
+ * - enterMs / exitMs: 进场和退场时长（毫秒），退场结束后才从DOM移除覆盖层
+ * - enterEasing / exitEasing: 缓动函数
+ * - hidden: 进场前和退场后的样式（transform、opacity、filter），sides 按位置（"left"、"right"、"center"）覆盖
+ */
+const TRANSITION_PRESETS = {
+	"slide": {  // 从屏幕外由近及远滑入（默认）
+		enterMs: 360, exitMs: 300, enterEasing: "ease", exitEasing: "ease-in-out",
+		hidden: {},
+		sides: {
+			left: { transform: "translateX(-800vw) scale(1.8)" },
+			right: { transform: "translateX(800vw) scale(1.8)" },
+			center: { transform: "translateY(100px) scale(1.8)" }
+		}
+	},
+	"fade": { enterMs: 400, exitMs: 300, enterEasing: "ease-out", exitEasing: "ease-in", hidden: { opacity: 0 } },
+	"zoom-from-near": { enterMs: 450, exitMs: 300, enterEasing: "ease-out", exitEasing: "ease-in", hidden: { transform: "scale(1.6)", opacity: 0 } },
+	"dissolve": { enterMs: 600, exitMs: 450, enterEasing: "ease-in-out", exitEasing: "ease-in-out", hidden: { opacity: 0, filter: "blur(2vh)" } },
+	"none": { enterMs: 0, exitMs: 0, enterEasing: "linear", exitEasing: "linear", hidden: {} }
 };
 
-// 已验证存在的自动推断路径缓存 (避免重复验证)
-// 注意: 游戏中无法真正验证文件是否存在，这个缓存用于存储已知有效的路径
-const AUTO_INFERRED_PATH_CACHE = {};
+// 未配置过渡时使用的过渡
+const DEFAULT_TRANSITION = "slide";
+
+// 过渡时长上限（毫秒）
+const MAX_TRANSITION_MS = 5000;
 
 // 面板特定的显示配置（不同面板中模型位置和大小不同）
 // 注意：age-select、civ-select、game-setup 会自动映射到 setup-panels（见 getImageDisplayConfig 函数）
@@ -62,25 +86,36 @@ const PANEL_DISPLAY_CONFIGS = {
 		widthMultiplier: 0.8,
 		leftOffsetMultiplier: -0.58,  // 左对齐时，0表示图片左边缘在屏幕左边缘
 		topOffsetMultiplier: -0.02, 
-		position: "center"  
+		position: "center",
+		motion: "none"  // 动态效果由领袖选择（下同）
 	},
 	"setup-panels": {
 		widthMultiplier: 1.25,  // 时代、文明和游戏设置选择面板中模型更大且在中间（统一配置）
 		leftOffsetMultiplier: -0.21,  // 左对齐时，0表示图片左边缘在屏幕左边缘
 		topOffsetMultiplier: 0.2,  
-		position: "center"  
+		position: "center",
+		motion: "none"
 	},
 	"diplomacy-left": {
 		widthMultiplier: 2.75,  // 外交界面左侧
 		leftOffsetMultiplier: 0.1,
 		topOffsetMultiplier: 0.2,  
-		position: "left"
+		position: "left",
+		motion: "none"
 	},
 	"diplomacy-right": {
 		widthMultiplier: 2.75,  // 外交界面右侧
 		leftOffsetMultiplier: 0.25,
 		topOffsetMultiplier: 0.2,  
-		position: "right"
+		position: "right",
+		motion: "none"
+	},
+	"main-menu": {
+		widthMultiplier: 3.5,  // 主菜单背景领袖
+		leftOffsetMultiplier: -0.5,
+		topOffsetMultiplier: 0,
+		position: "center",
+		motion: "none"
 	}
 };
 
@@ -90,51 +125,255 @@ const PANEL_DISPLAY_CONFIGS = {
 // 注册表：存储其他模组注册的图片领袖映射
 const REGISTERED_IMAGE_LEADERS = {};
 // 共享存储键：用于在 shell 与 game scope 之间共享注册信息
-const SHARED_REGISTRY_STORAGE_KEY = "LeaderOverlayImageRegistryV1";
+const SHARED_REGISTRY_STORAGE_KEY = window.LeaderPortraitResolver?.SHARED_REGISTRY_STORAGE_KEY || "LeaderOverlayImageRegistryV2";
 
 // 将注册表持久化到 localStorage，供 game scope 读取
 function persistSharedRegistry() {
-	try {
-		if (typeof localStorage === "undefined") return;
-		localStorage.setItem(SHARED_REGISTRY_STORAGE_KEY, JSON.stringify(REGISTERED_IMAGE_LEADERS));
-	} catch (error) {
-		console.warn("[Custom Leader Config] Failed to persist shared registry:", error);
+	const resolver = getPortraitResolver();
+	if (!resolver) {
+		console.warn("[Custom Leader Config] Portrait resolver unavailable, shared registry not persisted");
+		return;
+	}
+	resolver.writeSharedRegistry(REGISTERED_IMAGE_LEADERS);
+}
+
+// 注册表变化的订阅者（面板和外交场景在领袖注册、更新或移除后重新显示）
+const REGISTRY_LISTENERS = new Set();
+
+/**
+ * 通知订阅者注册表发生变化（单个订阅者出错不影响其他订阅者）
+ * @param {string} type - 变化类型（"register", "update", "unregister"）
+ * @param {string} leaderID - 领袖ID
+ */
+function notifyRegistryChange(type, leaderID) {
+	const event = { type, leaderID, config: REGISTERED_IMAGE_LEADERS[leaderID] || null };
+	for (const listener of Array.from(REGISTRY_LISTENERS)) {
+		try {
+			listener(event);
+		} catch (error) {
+			console.error(`[Custom Leader Config] Registry listener failed for ${type} ${leaderID}:`, error);
+		}
 	}
 }
 
+/**
+ * 订阅注册表变化
+ * @param {Function} listener - 回调函数，参数为 { type, leaderID, config }
+ *   - type: "register"（新注册）、"update"（重新注册或 updateImageLeader）、"unregister"（移除）
+ *   - config: 变化后的注册配置，移除时为null
+ * @returns {Function} 取消订阅的函数
+ */
+function subscribeRegistry(listener) {
+	if (typeof listener !== "function") {
+		console.warn("[Custom Leader Config] subscribeRegistry requires a function");
+		return () => {};
+	}
+	REGISTRY_LISTENERS.add(listener);
+	return () => REGISTRY_LISTENERS.delete(listener);
+}
+
+// 从共享存储加载的领袖（数据库行优先于共享存储中的旧配置）
+const SHARED_REGISTRY_LEADERS = new Set();
+
 // 从 localStorage 读取并合并到当前注册表（避免重复覆盖）
 function loadSharedRegistry() {
+	const resolver = getPortraitResolver();
+	const parsed = resolver ? resolver.readSharedRegistry() : null;
+	if (!parsed) return;
+	for (const leaderID of Object.keys(parsed)) {
+		if (!REGISTERED_IMAGE_LEADERS.hasOwnProperty(leaderID)) {
+			REGISTERED_IMAGE_LEADERS[leaderID] = parsed[leaderID];
+			SHARED_REGISTRY_LEADERS.add(leaderID);
+		}
+	}
+}
+
+// 通过数据库行注册的领袖（脚本显式调用 registerImageLeader 后移除，避免重新加载数据库时覆盖脚本注册）
+const DATABASE_REGISTERED_LEADERS = new Set();
+
+/**
+ * 读取数据表的所有行
+ * game scope 通过 GameInfo 读取游戏数据库，shell 中 GameInfo 不可用时查询前端配置数据库
+ * @param {string} tableName - 表名（"ImageLeaders" 或 "ImageLeaderStates"）
+ * @returns {Array<object>} 数据行，表不存在时返回空数组
+ */
+function queryImageLeaderTable(tableName) {
 	try {
-		if (typeof localStorage === "undefined") return;
-		const raw = localStorage.getItem(SHARED_REGISTRY_STORAGE_KEY);
-		if (!raw) return;
-		const parsed = JSON.parse(raw);
-		if (parsed && typeof parsed === "object") {
-			for (const leaderID of Object.keys(parsed)) {
-				if (!REGISTERED_IMAGE_LEADERS.hasOwnProperty(leaderID)) {
-					REGISTERED_IMAGE_LEADERS[leaderID] = parsed[leaderID];
+		if (typeof GameInfo !== "undefined" && GameInfo && GameInfo[tableName]) {
+			return Array.from(GameInfo[tableName]);
+		}
+		if (typeof Database !== "undefined" && Database && typeof Database.query === "function") {
+			return Database.query("config", `SELECT * FROM ${tableName}`) || [];
+		}
+	} catch (error) {
+		// 没有模组加载数据表时查询会失败，视为没有数据行
+		console.log(`[Custom Leader Config] ${tableName} table not available:`, error);
+	}
+	return [];
+}
+
+/**
+ * 从数据库的 ImageLeaders / ImageLeaderStates 表注册图片领袖
+ * 已经通过脚本注册的领袖保持脚本配置，不会被数据库行覆盖
+ * @returns {number} 注册成功的领袖数量
+ */
+function loadDatabaseImageLeaders() {
+	const leaderRows = queryImageLeaderTable("ImageLeaders");
+	if (leaderRows.length === 0) {
+		return 0;
+	}
+
+	// 按领袖收集状态立绘
+	const statesByLeader = {};
+	for (const stateRow of queryImageLeaderTable("ImageLeaderStates")) {
+		if (!stateRow.LeaderType || !stateRow.State || !stateRow.ImagePath) {
+			continue;
+		}
+		statesByLeader[stateRow.LeaderType] = statesByLeader[stateRow.LeaderType] || {};
+		statesByLeader[stateRow.LeaderType][stateRow.State] = stateRow.ImagePath;
+	}
+
+	let registeredCount = 0;
+	for (const leaderRow of leaderRows) {
+		const leaderID = leaderRow.LeaderType;
+		if (!leaderID) {
+			continue;
+		}
+		if (REGISTERED_IMAGE_LEADERS.hasOwnProperty(leaderID) && !DATABASE_REGISTERED_LEADERS.has(leaderID) && !SHARED_REGISTRY_LEADERS.has(leaderID)) {
+			continue;
+		}
+
+		let configObj = {};
+		if (leaderRow.Config) {
+			try {
+				configObj = JSON.parse(leaderRow.Config);
+			} catch (error) {
+				console.warn(`[Custom Leader Config] Invalid Config JSON in ImageLeaders row for ${leaderID}, ignoring extra fields:`, error);
+				configObj = {};
+			}
+			if (typeof configObj !== "object" || configObj === null || Array.isArray(configObj)) {
+				console.warn(`[Custom Leader Config] Config in ImageLeaders row for ${leaderID} is not an object, ignoring extra fields`);
+				configObj = {};
+			}
+		}
+		configObj.imagePath = leaderRow.ImagePath;
+		configObj.modID = leaderRow.ModID;
+		if (statesByLeader[leaderID]) {
+			configObj.diplomacyStates = { ...configObj.diplomacyStates, ...statesByLeader[leaderID] };
+		}
+
+		if (registerImageLeader(leaderID, configObj)) {
+			DATABASE_REGISTERED_LEADERS.add(leaderID);
+			registeredCount++;
+		} else {
+			console.warn(`[Custom Leader Config] Failed to register image leader ${leaderID} from database`);
+		}
+	}
+
+	console.log(`[Custom Leader Config] Registered ${registeredCount} image leader(s) from database`);
+	return registeredCount;
+}
+
+/**
+ * 验证并清理时代/文明变体配置（无效的变体或状态会被移除）
+ * @param {string} leaderID - 领袖ID
+ * @param {object} configObj - 领袖注册配置
+ * @param {string} variantsKey - 变体字段名 ("ageVariants" 或 "civVariants")
+ * @param {string} keyPrefix - 变体键的前缀 ("AGE_" 或 "CIVILIZATION_")
+ * @returns {boolean} 变体字段格式是否有效（未提供时视为有效）
+ */
+function sanitizeVariants(leaderID, configObj, variantsKey, keyPrefix) {
+	const variants = configObj[variantsKey];
+	if (variants === undefined) {
+		return true;
+	}
+	if (typeof variants !== "object" || variants === null) {
+		return false;
+	}
+
+	const validStates = getPortraitResolver()?.getValidStates() || [];
+	for (const variantKey of Object.keys(variants)) {
+		const variant = variants[variantKey];
+		if (!variantKey.startsWith(keyPrefix) || typeof variant !== "object" || variant === null) {
+			console.warn(`[Custom Leader Config] Invalid ${variantsKey} entry ${variantKey} for ${leaderID}, skipping`);
+			delete variants[variantKey];
+			continue;
+		}
+		if (variant.imagePath !== undefined && (typeof variant.imagePath !== "string" || variant.imagePath === "")) {
+			console.warn(`[Custom Leader Config] Invalid imagePath in ${variantsKey} entry ${variantKey}, skipping`);
+			delete variants[variantKey];
+			continue;
+		}
+		if (variant.diplomacyStates !== undefined) {
+			if (typeof variant.diplomacyStates !== "object" || variant.diplomacyStates === null) {
+				console.warn(`[Custom Leader Config] Invalid diplomacyStates in ${variantsKey} entry ${variantKey}, ignoring`);
+				delete variant.diplomacyStates;
+				continue;
+			}
+			for (const stateKey of Object.keys(variant.diplomacyStates)) {
+				const statePath = variant.diplomacyStates[stateKey];
+				if (!validStates.includes(stateKey) || typeof statePath !== "string" || statePath === "") {
+					console.warn(`[Custom Leader Config] Invalid state ${stateKey} in ${variantsKey} entry ${variantKey}, skipping`);
+					delete variant.diplomacyStates[stateKey];
 				}
 			}
 		}
-	} catch (error) {
-		console.warn("[Custom Leader Config] Failed to load shared registry:", error);
 	}
+	return true;
+}
+
+/**
+ * 验证并清理VO计时配置（无效字段会被移除）
+ * @param {string} leaderID - 领袖ID
+ * @param {object} timing - voTiming 或 voTiming.sequences 中的单个序列配置
+ * @param {string} label - 日志中显示的配置名
+ */
+function sanitizeVoTiming(leaderID, timing, label) {
+	for (const fieldKey of ["charsPerSecond", "holdMs", "minMs", "maxMs", "defaultMs", "durationMs"]) {
+		const value = timing[fieldKey];
+		if (value !== undefined && (typeof value !== "number" || !isFinite(value) || value < 0 || (fieldKey === "charsPerSecond" && value === 0))) {
+			console.warn(`[Custom Leader Config] Invalid ${fieldKey} in ${label} for ${leaderID}, using default`);
+			delete timing[fieldKey];
+		}
+	}
+	if (timing.advanceOnClick !== undefined && typeof timing.advanceOnClick !== "boolean") {
+		console.warn(`[Custom Leader Config] Invalid advanceOnClick in ${label} for ${leaderID}, using default`);
+		delete timing.advanceOnClick;
+	}
+}
+
+/**
+ * 判断过渡选择是否有效（过渡名，或 { enter, exit } 分别指定进场和退场过渡名）
+ * @param {string|object} selection - 过渡选择
+ * @returns {boolean} 是否有效
+ */
+function isValidTransitionSelection(selection) {
+	if (typeof selection === "string") {
+		return TRANSITION_PRESETS.hasOwnProperty(selection);
+	}
+	if (typeof selection !== "object" || selection === null) {
+		return false;
+	}
+	return ["enter", "exit"].every(phase => selection[phase] === undefined || TRANSITION_PRESETS.hasOwnProperty(selection[phase]));
 }
 
 /**
  * 注册图片领袖
  * @param {string} leaderID - 领袖ID（如 "LEADER_YUNI"）
- * @param {string|object} config - 配置参数
- *   - 如果是字符串：简单模式，只设置图片路径（自动推断其他状态立绘）
- *   - 如果是对象：完整模式，包含以下字段：
+ * @param {object} config - 配置参数，包含以下字段：
  *     - imagePath: {string} 基础图片路径（用于非外交界面或默认状态）
+ *     - modID: {string} 注册该领袖的模组ID（必填，不从 imagePath 推断）
+ *       模组在 shell 中被禁用后，共享存储中该领袖的注册信息会在下次加载时被清理
  *     - autoInferPaths: {boolean} 可选，是否自动推断状态立绘路径（默认为 true）
  *       设置为 false 可禁用自动推断，只使用 diplomacyStates 中明确配置的路径
+ *     - motion: {string|Array<string>} 可选，所有面板使用的动态效果预设（默认 "none"，displayOverrides 中的 motion 优先）
  *     - displayOverrides: {object} 可选，特定面板的显示参数覆盖
- *       - "leader-select": {widthMultiplier, leftOffsetMultiplier, topOffsetMultiplier}
- *       - "setup-panels": {widthMultiplier, leftOffsetMultiplier, topOffsetMultiplier}
- *       - "diplomacy-left": {widthMultiplier, leftOffsetMultiplier, topOffsetMultiplier}
- *       - "diplomacy-right": {widthMultiplier, leftOffsetMultiplier, topOffsetMultiplier}
+ *       - "leader-select": {widthMultiplier, leftOffsetMultiplier, topOffsetMultiplier, motion}
+ *       - "setup-panels": {widthMultiplier, leftOffsetMultiplier, topOffsetMultiplier, motion}
+ *       - "diplomacy-left": {widthMultiplier, leftOffsetMultiplier, topOffsetMultiplier, motion}
+ *       - "diplomacy-right": {widthMultiplier, leftOffsetMultiplier, topOffsetMultiplier, motion}
+ *       - "main-menu": {widthMultiplier, leftOffsetMultiplier, topOffsetMultiplier, motion}
+ *       - motion 为 MOTION_PRESETS 中的预设名或预设名数组（如 "sway"、["breathing", "parallax"]、"none"）
  *     - diplomacyStates: {object} 可选，外交状态差分图片（明确配置优先于自动推断）
  *       - "neutral": {string} 中立关系图片
  *       - "friendly": {string} 友好关系图片
@@ -146,6 +385,53 @@ function loadSharedRegistry() {
  *       - "response_positive": {string} 友好回应图片
  *       - "response_negative": {string} 不友好回应图片
  *       - "meeting": {string} 会面时图片
+ *       - "main_menu": {string} 主菜单背景图片
+ *       - 以及通过 registerPortraitState 注册的自定义状态
+ *     - layers: {object} 可选，分层立绘（身体层 + 按状态切换的表情层/特效层，叠加显示在同一个覆盖层中）
+ *       - body: {string} 身体层图片（默认使用 imagePath）
+ *       - accessories: {Array<string>} 饰品层图片，叠加在身体层之上，不随状态变化
+ *       - expressions: {object} 按状态配置的表情层图片（按状态回退链查找）
+ *       - effects: {object} 按状态配置的特效层图片，显示在最上层（按状态回退链查找）
+ *     - animations: {object} 可选，按状态配置的帧动画（按状态回退链查找，播放时替代静态立绘）
+ *       - 逐帧图片：{ frames: ["..._0.png", "..._1.png"], fps, loop }
+ *       - 编号帧：{ framePattern: "..._idle_{frame}.png", frameCount, frameStart, framePadding, fps, loop }
+ *       - 精灵图：{ spriteSheet: "..._sheet.png", frameCount, columns, frameWidth, frameHeight, fps, loop }
+ *       - fps 默认12（最大30），loop 为 "loop"（默认）、"once" 或 "pingpong"
+ *     - talkingFrames: {object} 可选，按状态配置的说话帧（外交台词显示期间循环播放，按状态回退链查找）
+ *       - 例如 { "neutral": ["..._mouth_closed.png", "..._mouth_open.png"] }
+ *       - 也可以使用与 animations 相同的对象格式（fps 默认8，始终循环播放）
+ *     - ageVariants: {object} 可选，按时代配置的立绘变体（键为时代类型，如 "AGE_ANTIQUITY", "AGE_EXPLORATION", "AGE_MODERN"）
+ *       - imagePath: {string} 该时代的基础图片（提供时视为整套新立绘，不继承基础配置的 diplomacyStates、layers、animations 和 talkingFrames）
+ *       - diplomacyStates: {object} 该时代的状态立绘（未提供 imagePath 时与基础配置合并）
+ *       - layers: {object} 该时代的分层立绘
+ *       - animations: {object} 该时代的帧动画
+ *       - talkingFrames: {object} 该时代的说话帧
+ *       时代在 game scope 中取自当前游戏，在 shell 中取自时代选择面板选中的开始时代
+ *     - civVariants: {object} 可选，按文明配置的立绘变体（键为文明类型，如 "CIVILIZATION_ROME"），字段同 ageVariants
+ *       文明变体叠加在时代变体之上；在外交界面中取自 player.civilizationType，在 shell 中取自文明选择面板选中的文明
+ *     - voTiming: {object} 可选，外交台词的VO完成计时（图片领袖没有配音，默认按本地化台词长度估算）
+ *       - charsPerSecond: {number} 字幕显示和阅读速度（字符/秒，默认30，中日韩文字按2个字符计算）
+ *       - holdMs: {number} 字幕显示完后的停留时间（默认1500）
+ *       - minMs / maxMs: {number} VO完成时间范围（默认2000 ~ 12000）
+ *       - defaultMs: {number} 取不到台词时的VO完成时间（默认3000，首次见面5000）
+ *       - durationMs: {number} 固定的VO完成时间（设置后忽略台词长度）
+ *       - advanceOnClick: {boolean} 玩家点击时立即完成VO（默认 false，点击按钮等可交互控件或提示框时不完成）
+ *       - sequences: {object} 按序列类型覆盖以上字段（"MEET", "WAR", "ACCEPT_PEACE", "REJECT_PEACE", "DEFEAT", "DIALOGUE"）
+ *     - audioCues: {object} 可选，外交序列中通过游戏 UI 音频接口播放的语音/音效
+ *       - sequences: {object} 按序列类型配置（"MEET", "WAR", "ACCEPT_PEACE", "REJECT_PEACE", "DEFEAT", "DIALOGUE"），优先于 states
+ *       - states: {object} 按状态配置（按状态回退链查找）
+ *       - 每项为 { event, durationMs, group, stopEvent }，durationMs 必填（UI 音频接口无法报告播放结束，VO在 durationMs 后完成），缺少时忽略该项
+ *     - transitions: {string|object} 可选，外交覆盖层的进场/退场过渡（TRANSITION_PRESETS 中的名称，默认 "slide"）
+ *       - 字符串：所有序列和位置使用同一过渡
+ *       - default: 默认过渡
+ *       - sides: {object} 按位置配置（"left", "right", "center"）
+ *       - sequences: {object} 按序列类型配置（"MEET", "WAR", "ACCEPT_PEACE", "REJECT_PEACE", "DEFEAT", "DIALOGUE"），优先于 sides
+ *       - 每项为过渡名，或 { enter, exit } 分别指定进场和退场过渡
+ *     - suffixTemplates: {object} 可选，领袖自定义自动推断后缀（按状态配置，优先于默认后缀尝试）
+ *       - 例如 { "hostile": ["_mad"], "friendly": ["_joy"] }
+ *     - fallbackChains: {object} 可选，领袖自定义状态回退链（按状态配置，替换默认回退链）
+ *       - 例如 { "defeated": ["friendly"] } 表示战败时回退到友好立绘
+ *       - 链首会自动补上该状态本身，链尾会自动补上 "neutral"
  * 
  * 自动推断说明:
  *   如果没有配置 diplomacyStates 或特定状态，系统会自动尝试寻找带后缀的立绘文件
@@ -153,7 +439,7 @@ function loadSharedRegistry() {
  *     - fbl_Leader_angry.png
  *     - fbl_Leader_hostile.png
  *     - fbl_Leader_war.png
- *   详见 AUTO_PORTRAIT_SUFFIX_TEMPLATES 配置
+ *   详见 leader-portrait-resolver.js 中的 AUTO_PORTRAIT_SUFFIX_TEMPLATES 配置
  * 
  * @returns {boolean} 是否注册成功
  */
@@ -162,12 +448,11 @@ function registerImageLeader(leaderID, config) {
 		return false;
 	}
 
-	// 向后兼容：如果config是字符串，转换为对象格式
+	// 只传图片路径的简单模式无法提供 modID，需要使用对象格式
 	let configObj;
 	if (typeof config === "string") {
-		configObj = {
-			imagePath: config
-		};
+		console.warn(`[Custom Leader Config] registerImageLeader for ${leaderID} requires { imagePath, modID }, a bare image path is not accepted`);
+		return false;
 	} else if (typeof config === "object" && config !== null) {
 		configObj = config;
 	} else {
@@ -179,13 +464,25 @@ function registerImageLeader(leaderID, config) {
 		return false;
 	}
 
+	// 验证 modID（必填：共享存储按所属模组清理注册信息）
+	if (typeof configObj.modID !== "string" || !configObj.modID) {
+		console.warn(`[Custom Leader Config] registerImageLeader for ${leaderID} requires a modID`);
+		return false;
+	}
+
+	// 验证 motion（如果提供）
+	if (configObj.motion !== undefined && !normalizeMotion(configObj.motion)) {
+		console.warn(`[Custom Leader Config] Invalid motion for ${leaderID}, using panel default`);
+		delete configObj.motion;
+	}
+
 	// 验证 displayOverrides（如果提供）
 	if (configObj.displayOverrides !== undefined) {
 		if (typeof configObj.displayOverrides !== "object" || configObj.displayOverrides === null) {
 			return false;
 		}
 		// 验证每个面板配置的数值参数
-		const validPanels = ["leader-select", "setup-panels", "diplomacy-left", "diplomacy-right"];
+		const validPanels = ["leader-select", "setup-panels", "diplomacy-left", "diplomacy-right", "main-menu"];
 		for (const panelKey of Object.keys(configObj.displayOverrides)) {
 			if (!validPanels.includes(panelKey)) {
 				console.warn(`[Custom Leader Config] Invalid panel key: ${panelKey}, skipping`);
@@ -212,6 +509,10 @@ function registerImageLeader(leaderID, config) {
 				console.warn(`[Custom Leader Config] Invalid topOffsetMultiplier for ${panelKey}, using default`);
 				delete panelConfig.topOffsetMultiplier;
 			}
+			if (panelConfig.motion !== undefined && !normalizeMotion(panelConfig.motion)) {
+				console.warn(`[Custom Leader Config] Invalid motion for ${panelKey}, using leader default`);
+				delete panelConfig.motion;
+			}
 		}
 	}
 
@@ -220,12 +521,12 @@ function registerImageLeader(leaderID, config) {
 		if (typeof configObj.diplomacyStates !== "object" || configObj.diplomacyStates === null) {
 			return false;
 		}
-		// 验证每个状态的图片路径
-		const validStates = [
+		// 验证每个状态的图片路径（包括 registerPortraitState 注册的自定义状态）
+		const validStates = getPortraitResolver()?.getValidStates() || [
 			"neutral", "friendly", "hostile", 
 			"response_positive", "response_negative",
 			"meeting", "declaring_war", "defeated",
-			"accepting_peace", "rejecting_peace"
+			"accepting_peace", "rejecting_peace", "main_menu"
 		];
 		for (const stateKey of Object.keys(configObj.diplomacyStates)) {
 			if (!validStates.includes(stateKey)) {
@@ -240,14 +541,384 @@ function registerImageLeader(leaderID, config) {
 		}
 	}
 	
-	// 注册到注册表
+	// 验证 layers（如果提供）
+	if (configObj.layers !== undefined) {
+		if (typeof configObj.layers !== "object" || configObj.layers === null) {
+			return false;
+		}
+		const layers = configObj.layers;
+		if (layers.body !== undefined && (typeof layers.body !== "string" || layers.body === "")) {
+			console.warn(`[Custom Leader Config] Invalid body layer for ${leaderID}, using imagePath`);
+			delete layers.body;
+		}
+		if (layers.accessories !== undefined) {
+			if (!Array.isArray(layers.accessories)) {
+				console.warn(`[Custom Leader Config] Invalid accessory layers for ${leaderID}, skipping`);
+				delete layers.accessories;
+			} else {
+				layers.accessories = layers.accessories.filter(layerPath => typeof layerPath === "string" && layerPath !== "");
+			}
+		}
+		const validStates = getPortraitResolver()?.getValidStates() || [];
+		for (const layerKey of ["expressions", "effects"]) {
+			if (layers[layerKey] === undefined) {
+				continue;
+			}
+			if (typeof layers[layerKey] !== "object" || layers[layerKey] === null) {
+				console.warn(`[Custom Leader Config] Invalid ${layerKey} layers for ${leaderID}, skipping`);
+				delete layers[layerKey];
+				continue;
+			}
+			for (const stateKey of Object.keys(layers[layerKey])) {
+				const layerPath = layers[layerKey][stateKey];
+				if (!validStates.includes(stateKey) || typeof layerPath !== "string" || layerPath === "") {
+					console.warn(`[Custom Leader Config] Invalid ${layerKey} layer for state ${stateKey}, skipping`);
+					delete layers[layerKey][stateKey];
+				}
+			}
+		}
+	}
+
+	// 验证 animations（如果提供）
+	if (configObj.animations !== undefined) {
+		if (typeof configObj.animations !== "object" || configObj.animations === null) {
+			return false;
+		}
+		const resolver = getPortraitResolver();
+		const validStates = resolver?.getValidStates() || [];
+		for (const stateKey of Object.keys(configObj.animations)) {
+			if (!validStates.includes(stateKey) || (resolver && !resolver.normalizeAnimation(configObj.animations[stateKey]))) {
+				console.warn(`[Custom Leader Config] Invalid animation for state ${stateKey}, skipping`);
+				delete configObj.animations[stateKey];
+			}
+		}
+	}
+
+	// 验证 talkingFrames（如果提供）
+	if (configObj.talkingFrames !== undefined) {
+		if (typeof configObj.talkingFrames !== "object" || configObj.talkingFrames === null) {
+			return false;
+		}
+		const resolver = getPortraitResolver();
+		const validStates = resolver?.getValidStates() || [];
+		for (const stateKey of Object.keys(configObj.talkingFrames)) {
+			if (!validStates.includes(stateKey) || (resolver && !resolver.normalizeTalkingFrames(configObj.talkingFrames[stateKey]))) {
+				console.warn(`[Custom Leader Config] Invalid talking frames for state ${stateKey}, skipping`);
+				delete configObj.talkingFrames[stateKey];
+			}
+		}
+	}
+
+	// 验证 audioCues（如果提供）
+	if (configObj.audioCues !== undefined) {
+		if (typeof configObj.audioCues !== "object" || configObj.audioCues === null) {
+			return false;
+		}
+		const resolver = getPortraitResolver();
+		const validStates = resolver?.getValidStates() || [];
+		for (const groupKey of ["sequences", "states"]) {
+			const cues = configObj.audioCues[groupKey];
+			if (cues === undefined) {
+				continue;
+			}
+			if (typeof cues !== "object" || cues === null) {
+				console.warn(`[Custom Leader Config] Invalid audioCues.${groupKey} for ${leaderID}, skipping`);
+				delete configObj.audioCues[groupKey];
+				continue;
+			}
+			for (const cueKey of Object.keys(cues)) {
+				if ((groupKey === "states" && !validStates.includes(cueKey)) || (resolver && !resolver.normalizeAudioCue(cues[cueKey]))) {
+					console.warn(`[Custom Leader Config] Invalid audio cue for ${groupKey === "states" ? "state" : "sequence"} ${cueKey} (event and durationMs are required), skipping`);
+					delete cues[cueKey];
+				}
+			}
+		}
+	}
+
+	// 验证 voTiming（如果提供）
+	if (configObj.voTiming !== undefined) {
+		if (typeof configObj.voTiming !== "object" || configObj.voTiming === null) {
+			return false;
+		}
+		sanitizeVoTiming(leaderID, configObj.voTiming, "voTiming");
+		const sequenceTimings = configObj.voTiming.sequences;
+		if (sequenceTimings !== undefined) {
+			if (typeof sequenceTimings !== "object" || sequenceTimings === null) {
+				console.warn(`[Custom Leader Config] Invalid voTiming.sequences for ${leaderID}, skipping`);
+				delete configObj.voTiming.sequences;
+			} else {
+				for (const sequenceType of Object.keys(sequenceTimings)) {
+					if (typeof sequenceTimings[sequenceType] !== "object" || sequenceTimings[sequenceType] === null) {
+						console.warn(`[Custom Leader Config] Invalid VO timing for sequence ${sequenceType}, skipping`);
+						delete sequenceTimings[sequenceType];
+						continue;
+					}
+					sanitizeVoTiming(leaderID, sequenceTimings[sequenceType], `voTiming.sequences.${sequenceType}`);
+				}
+			}
+		}
+	}
+
+	// 验证 transitions（如果提供）
+	if (configObj.transitions !== undefined) {
+		if (typeof configObj.transitions === "string") {
+			configObj.transitions = { default: configObj.transitions };
+		}
+		if (typeof configObj.transitions !== "object" || configObj.transitions === null) {
+			return false;
+		}
+		const transitions = configObj.transitions;
+		if (transitions.default !== undefined && !isValidTransitionSelection(transitions.default)) {
+			console.warn(`[Custom Leader Config] Invalid default transition for ${leaderID}, using ${DEFAULT_TRANSITION}`);
+			delete transitions.default;
+		}
+		for (const groupKey of ["sides", "sequences"]) {
+			const selections = transitions[groupKey];
+			if (selections === undefined) {
+				continue;
+			}
+			if (typeof selections !== "object" || selections === null) {
+				console.warn(`[Custom Leader Config] Invalid transitions.${groupKey} for ${leaderID}, skipping`);
+				delete transitions[groupKey];
+				continue;
+			}
+			for (const selectionKey of Object.keys(selections)) {
+				if ((groupKey === "sides" && !["left", "right", "center"].includes(selectionKey)) || !isValidTransitionSelection(selections[selectionKey])) {
+					console.warn(`[Custom Leader Config] Invalid transition for ${groupKey === "sides" ? "side" : "sequence"} ${selectionKey}, skipping`);
+					delete selections[selectionKey];
+				}
+			}
+		}
+	}
+
+	// 验证 ageVariants 和 civVariants（如果提供）
+	if (!sanitizeVariants(leaderID, configObj, "ageVariants", "AGE_") ||
+		!sanitizeVariants(leaderID, configObj, "civVariants", "CIVILIZATION_")) {
+		return false;
+	}
+
+	// 验证 suffixTemplates（如果提供）
+	if (configObj.suffixTemplates !== undefined) {
+		if (typeof configObj.suffixTemplates !== "object" || configObj.suffixTemplates === null) {
+			return false;
+		}
+		const validStates = getPortraitResolver()?.getValidStates() || [];
+		for (const stateKey of Object.keys(configObj.suffixTemplates)) {
+			if (!validStates.includes(stateKey)) {
+				console.warn(`[Custom Leader Config] Invalid suffix template state key: ${stateKey}, skipping`);
+				delete configObj.suffixTemplates[stateKey];
+				continue;
+			}
+			// 允许单个字符串作为简写
+			let suffixes = configObj.suffixTemplates[stateKey];
+			if (typeof suffixes === "string") {
+				suffixes = [suffixes];
+			}
+			if (!Array.isArray(suffixes)) {
+				console.warn(`[Custom Leader Config] Invalid suffix templates for state ${stateKey}, skipping`);
+				delete configObj.suffixTemplates[stateKey];
+				continue;
+			}
+			const validSuffixes = suffixes.filter(suffix => typeof suffix === "string" && suffix !== "" && !suffix.includes("/"));
+			if (validSuffixes.length !== suffixes.length) {
+				console.warn(`[Custom Leader Config] Dropped invalid suffixes for state ${stateKey}`);
+			}
+			configObj.suffixTemplates[stateKey] = validSuffixes;
+		}
+	}
+
+	// 验证 fallbackChains（如果提供）
+	if (configObj.fallbackChains !== undefined) {
+		if (typeof configObj.fallbackChains !== "object" || configObj.fallbackChains === null) {
+			return false;
+		}
+		const validStates = getPortraitResolver()?.getValidStates() || [];
+		for (const stateKey of Object.keys(configObj.fallbackChains)) {
+			const chain = configObj.fallbackChains[stateKey];
+			if (!validStates.includes(stateKey) || !Array.isArray(chain)) {
+				console.warn(`[Custom Leader Config] Invalid fallback chain for state ${stateKey}, skipping`);
+				delete configObj.fallbackChains[stateKey];
+				continue;
+			}
+			const validChain = chain.filter(chainState => validStates.includes(chainState));
+			if (validChain.length !== chain.length) {
+				console.warn(`[Custom Leader Config] Dropped unknown states from fallback chain of ${stateKey}`);
+			}
+			configObj.fallbackChains[stateKey] = validChain;
+		}
+	}
+	
+	// 注册到注册表（重新注册时清除旧的推断缓存）
+	const isUpdate = REGISTERED_IMAGE_LEADERS.hasOwnProperty(leaderID);
 	REGISTERED_IMAGE_LEADERS[leaderID] = configObj;
+	DATABASE_REGISTERED_LEADERS.delete(leaderID);
+	SHARED_REGISTRY_LEADERS.delete(leaderID);
+	getPortraitResolver()?.clearInferenceCache(leaderID);
 	// 持久化到共享存储，便于 game scope 读取
 	persistSharedRegistry();
+	// 预热状态立绘探测，确保外交界面打开前已确认哪些文件存在
+	getPortraitResolver()?.prewarmLeader(leaderID, configObj);
+	// 通知已打开的面板和外交场景重新显示
+	notifyRegistryChange(isUpdate ? "update" : "register", leaderID);
 	
 	return true;
 }
 
+/**
+ * 更新已注册的图片领袖（与现有配置浅合并后重新注册）
+ * @param {string} leaderID - 领袖ID
+ * @param {string|object} changes - 新的图片路径，或要替换的配置字段（如 { diplomacyStates: {...} }）
+ * @returns {boolean} 是否更新成功
+ */
+function updateImageLeader(leaderID, changes) {
+	if (!REGISTERED_IMAGE_LEADERS.hasOwnProperty(leaderID)) {
+		console.warn(`[Custom Leader Config] Cannot update ${leaderID}: leader is not registered`);
+		return false;
+	}
+	if (typeof changes === "string") {
+		changes = { imagePath: changes };
+	} else if (typeof changes !== "object" || changes === null) {
+		return false;
+	}
+	return registerImageLeader(leaderID, { ...REGISTERED_IMAGE_LEADERS[leaderID], ...changes });
+}
+
+/**
+ * 移除图片领袖注册（领袖恢复使用3D模型）
+ * @param {string} leaderID - 领袖ID
+ * @returns {boolean} 是否移除成功（未注册时返回 false）
+ */
+function unregisterImageLeader(leaderID) {
+	if (!REGISTERED_IMAGE_LEADERS.hasOwnProperty(leaderID)) {
+		return false;
+	}
+	delete REGISTERED_IMAGE_LEADERS[leaderID];
+	DATABASE_REGISTERED_LEADERS.delete(leaderID);
+	SHARED_REGISTRY_LEADERS.delete(leaderID);
+	getPortraitResolver()?.clearInferenceCache(leaderID);
+	persistSharedRegistry();
+	notifyRegistryChange("unregister", leaderID);
+	return true;
+}
+
+// 独立势力立绘在注册表中的键前缀（与领袖共用注册表、共享存储和覆盖层流程）
+const INDEPENDENT_PORTRAIT_KEY_PREFIX = "INDEPENDENT:";
+
+/**
+ * 获取独立势力立绘在注册表中的键
+ * @param {string} independentType - 独立势力类型（如 "INDEPENDENT_MYMOD_TRADERS"）
+ * @returns {string|null} 注册表键，类型无效时返回null
+ */
+function getIndependentPortraitKey(independentType) {
+	if (!independentType || typeof independentType !== "string") {
+		return null;
+	}
+	return `${INDEPENDENT_PORTRAIT_KEY_PREFIX}${independentType}`;
+}
+
+/**
+ * 注册独立势力立绘（外交界面 showRightIndLeaderModel 显示该立绘而不是单位模型）
+ * @param {string} independentType - 独立势力类型（GameInfo.Independents 的 IndependentType，
+ *   读取不到独立势力定义时也可以使用该玩家的文明类型）
+ * @param {object} config - 与 registerImageLeader 相同的配置（同样需要 modID；diplomacyStates、layers、animations、
+ *   transitions 和 "diplomacy-right" 的 displayOverrides 等均可使用）
+ * @returns {boolean} 是否注册成功
+ */
+function registerIndependentPortrait(independentType, config) {
+	const key = getIndependentPortraitKey(independentType);
+	if (!key) {
+		console.warn("[Custom Leader Config] registerIndependentPortrait requires an independent type");
+		return false;
+	}
+	return registerImageLeader(key, config);
+}
+
+/**
+ * 移除独立势力立绘注册（恢复显示单位模型）
+ * @param {string} independentType - 独立势力类型
+ * @returns {boolean} 是否移除成功（未注册时返回 false）
+ */
+function unregisterIndependentPortrait(independentType) {
+	const key = getIndependentPortraitKey(independentType);
+	return key ? unregisterImageLeader(key) : false;
+}
+
+/**
+ * 获取独立势力玩家可能使用的立绘类型（仅 game scope 可用）
+ * @param {number} playerID - 独立势力玩家ID
+ * @returns {Array<string>} 按优先级排列的独立势力类型和文明类型
+ */
+function getIndependentTypesForPlayer(playerID) {
+	const types = [];
+	try {
+		if (typeof Players === "undefined" || !Players || typeof GameInfo === "undefined" || !GameInfo) {
+			return types;
+		}
+		const player = Players.get(playerID);
+		if (!player) {
+			return types;
+		}
+		const independentType = GameInfo.Independents?.lookup?.(player.civilizationType)?.IndependentType;
+		const civilizationType = GameInfo.Civilizations?.lookup?.(player.civilizationType)?.CivilizationType;
+		for (const type of [independentType, civilizationType]) {
+			if (type && !types.includes(String(type))) {
+				types.push(String(type));
+			}
+		}
+	} catch (error) {
+		console.warn(`[Custom Leader Config] Failed to read independent type of player ${playerID}:`, error);
+	}
+	return types;
+}
+
+/**
+ * 获取独立势力玩家已注册的立绘键（仅 game scope 可用）
+ * @param {number} playerID - 独立势力玩家ID
+ * @returns {string|null} 注册表键（可直接作为领袖ID传给覆盖层），没有注册立绘时返回null
+ */
+function getIndependentPortraitKeyForPlayer(playerID) {
+	for (const type of getIndependentTypesForPlayer(playerID)) {
+		const key = getIndependentPortraitKey(type);
+		if (isImageLeader(key)) {
+			return key;
+		}
+	}
+	return null;
+}
+
+/**
+ * 注册自定义立绘状态（扩展 registerImageLeader 可用的状态列表）
+ * 需要在使用该状态的 registerImageLeader 调用之前注册
+ * @param {string} name - 状态名（如 "trade_accepted", "denounce", "alliance_formed"）
+ * @param {object} options - 可选配置
+ *   - fallback: {Array<string>|string} 回退状态（如 ["friendly"]，链尾自动补上 "neutral"）
+ *   - suffixes: {Array<string>|string} 自动推断后缀（如 ["_trade", "_happy"]）
+ * @returns {boolean} 是否注册成功
+ */
+function registerPortraitState(name, options = {}) {
+	const resolver = getPortraitResolver();
+	if (!resolver) {
+		console.warn(`[Custom Leader Config] Portrait resolver unavailable, cannot register state ${name}`);
+		return false;
+	}
+	return resolver.registerState(name, options);
+}
+
+/**
+ * 注册外交序列到立绘状态的映射
+ * @param {string} sequenceType - 序列类型（如 "MEET", "WAR", "ACKNOWLEDGE_PLAYER"）
+ * @param {string|Function} stateOrMapper - 状态名，或 (playerID, position, context) => 状态名 的映射函数
+ * @returns {boolean} 是否注册成功
+ */
+function registerSequenceStateMapping(sequenceType, stateOrMapper) {
+	const resolver = getPortraitResolver();
+	if (!resolver) {
+		console.warn(`[Custom Leader Config] Portrait resolver unavailable, cannot map sequence ${sequenceType}`);
+		return false;
+	}
+	return resolver.registerSequenceStateMapping(sequenceType, stateOrMapper);
+}
+
 /**
  * 判断是否为图片领袖
  * @param {string} leaderID - 领袖ID
@@ -276,12 +947,12 @@ function isImageLeader(leaderID) {
  * @param {string} leaderID - 领袖ID
  * @param {string} state - 可选，外交状态
  *   支持的状态: "neutral", "friendly", "hostile", "response_positive", "response_negative",
- *               "meeting", "declaring_war", "defeated", "accepting_peace", "rejecting_peace"
+ *               "meeting", "declaring_war", "defeated", "accepting_peace", "rejecting_peace", "main_menu"
  * @returns {string|null} 图片路径，如果不是图片领袖则返回null
  * 
  * 查找优先级:
  *   1. 首先检查 diplomacyStates 中是否有明确配置
- *   2. 如果没有配置，尝试自动推断路径（基于 AUTO_PORTRAIT_SUFFIX_TEMPLATES）
+ *   2. 如果没有配置，尝试自动推断路径（基于 LeaderPortraitResolver.AUTO_PORTRAIT_SUFFIX_TEMPLATES）
  *   3. 最后使用状态回退链
  * 
  * 自动推断示例:
@@ -296,6 +967,7 @@ function isImageLeader(leaderID) {
  *   - response_positive → friendly → neutral → imagePath
  *   - response_negative → hostile → neutral → imagePath
  *   - meeting → neutral → imagePath
+ *   - main_menu → neutral → imagePath
  *   - friendly → neutral → imagePath
  *   - hostile → neutral → imagePath
  */
@@ -310,129 +982,481 @@ function getImagePath(leaderID, state = null) {
 		return null;
 	}
 
-	const basePath = registeredConfig.imagePath || null;
+	// 统一交由共享解析器处理（回退链与自动推断只在一处实现）
+	const resolver = getPortraitResolver();
+	if (!resolver) {
+		return registeredConfig.imagePath || null;
+	}
+	return resolver.resolveImagePath(leaderID, registeredConfig, state);
+}
 
-	// 如果没有提供 state，直接返回基础图片
-	if (!state) {
-		return basePath;
+/**
+ * 获取分层立绘的各层图片
+ * @param {string} leaderID - 领袖ID
+ * @param {string} state - 可选，外交状态
+ * @returns {object|null} { body, accessories, expression, effect }，不是分层立绘时返回null
+ */
+function getPortraitLayers(leaderID, state = null) {
+	if (!isImageLeader(leaderID)) {
+		return null;
+	}
+	const resolver = getPortraitResolver();
+	if (!resolver) {
+		return null;
 	}
+	return resolver.resolveLayers(leaderID, REGISTERED_IMAGE_LEADERS[leaderID], state);
+}
 
-	// 定义状态回退链
-	const stateFallbackChains = {
-		"declaring_war": ["declaring_war", "hostile", "neutral"],
-		"defeated": ["defeated", "hostile", "neutral"],
-		"accepting_peace": ["accepting_peace", "friendly", "neutral"],
-		"rejecting_peace": ["rejecting_peace", "hostile", "neutral"],
-		"response_positive": ["response_positive", "friendly", "neutral"],
-		"response_negative": ["response_negative", "hostile", "neutral"],
-		"meeting": ["meeting", "neutral"],
-		"friendly": ["friendly", "neutral"],
-		"hostile": ["hostile", "neutral"],
-		"neutral": ["neutral"]
+/**
+ * 获取状态对应的帧动画
+ * @param {string} leaderID - 领袖ID
+ * @param {string} state - 可选，外交状态
+ * @returns {object|null} 规范化后的动画配置（见 LeaderPortraitResolver.normalizeAnimation），没有动画时返回null
+ */
+function getPortraitAnimation(leaderID, state = null) {
+	if (!isImageLeader(leaderID)) {
+		return null;
+	}
+	const resolver = getPortraitResolver();
+	if (!resolver) {
+		return null;
+	}
+	return resolver.resolveAnimation(leaderID, REGISTERED_IMAGE_LEADERS[leaderID], state);
+}
+
+/**
+ * 获取状态对应的说话帧
+ * @param {string} leaderID - 领袖ID
+ * @param {string} state - 可选，外交状态
+ * @returns {object|null} 规范化后的动画配置，没有说话帧时返回null
+ */
+function getPortraitTalkingFrames(leaderID, state = null) {
+	if (!isImageLeader(leaderID)) {
+		return null;
+	}
+	const resolver = getPortraitResolver();
+	if (!resolver) {
+		return null;
+	}
+	return resolver.resolveTalkingFrames(leaderID, REGISTERED_IMAGE_LEADERS[leaderID], state);
+}
+
+/**
+ * 获取外交序列的音频提示（序列音频优先，其次按状态回退链查找）
+ * @param {string} leaderID - 领袖ID
+ * @param {string} sequenceType - 可选，序列类型（如 "MEET", "WAR"）
+ * @param {string} state - 可选，外交状态
+ * @returns {object|null} 规范化后的音频提示 { event, group, stopEvent, durationMs }，没有时返回null
+ */
+function getAudioCue(leaderID, sequenceType = null, state = null) {
+	if (!isImageLeader(leaderID)) {
+		return null;
+	}
+	const resolver = getPortraitResolver();
+	if (!resolver) {
+		return null;
+	}
+	return resolver.resolveAudioCue(leaderID, REGISTERED_IMAGE_LEADERS[leaderID], sequenceType, state);
+}
+
+/**
+ * 获取领袖的VO计时配置（外交序列按台词长度计算VO完成时间时使用）
+ * @param {string} leaderID - 领袖ID
+ * @returns {object|null} 注册配置中的 voTiming，未配置时返回null
+ */
+function getVoTiming(leaderID) {
+	if (!isImageLeader(leaderID)) {
+		return null;
+	}
+	return REGISTERED_IMAGE_LEADERS[leaderID]?.voTiming || null;
+}
+
+/**
+ * 注册或替换外交覆盖层过渡（需要在引用它的 registerImageLeader 调用之前注册；
+ * 外交界面在 game scope 中，使用自定义过渡的模组也需要在 game scope 中注册）
+ * @param {string} name - 过渡名
+ * @param {object} definition - { enterMs, exitMs, enterEasing, exitEasing, hidden, sides }，字段含义见 TRANSITION_PRESETS
+ * @returns {boolean} 是否注册成功
+ */
+function registerTransition(name, definition) {
+	if (!name || typeof name !== "string" || typeof definition !== "object" || definition === null) {
+		console.warn("[Custom Leader Config] registerTransition requires a name and a definition object");
+		return false;
+	}
+
+	const transition = {
+		enterMs: 0,
+		exitMs: 0,
+		enterEasing: "ease",
+		exitEasing: "ease",
+		hidden: {},
+		sides: {}
+	};
+	for (const fieldKey of ["enterMs", "exitMs"]) {
+		const value = definition[fieldKey];
+		if (value !== undefined) {
+			if (typeof value !== "number" || !isFinite(value) || value < 0) {
+				console.warn(`[Custom Leader Config] Invalid ${fieldKey} for transition ${name}`);
+				return false;
+			}
+			transition[fieldKey] = Math.min(value, MAX_TRANSITION_MS);
+		}
+	}
+	for (const fieldKey of ["enterEasing", "exitEasing"]) {
+		if (typeof definition[fieldKey] === "string" && definition[fieldKey] !== "") {
+			transition[fieldKey] = definition[fieldKey];
+		}
+	}
+
+	const sanitizeStyle = (style) => {
+		const result = {};
+		if (typeof style !== "object" || style === null) {
+			return result;
+		}
+		for (const styleKey of ["transform", "filter"]) {
+			if (typeof style[styleKey] === "string") {
+				result[styleKey] = style[styleKey];
+			}
+		}
+		if (typeof style.opacity === "number" && style.opacity >= 0 && style.opacity <= 1) {
+			result.opacity = style.opacity;
+		}
+		return result;
 	};
+	transition.hidden = sanitizeStyle(definition.hidden);
+	for (const side of ["left", "right", "center"]) {
+		if (definition.sides && definition.sides[side]) {
+			transition.sides[side] = sanitizeStyle(definition.sides[side]);
+		}
+	}
 
-	// 获取回退链
-	const fallbackChain = stateFallbackChains[state] || [state, "neutral"];
+	TRANSITION_PRESETS[name] = transition;
+	console.log(`[Custom Leader Config] Registered transition ${name}`);
+	return true;
+}
 
-	// 按顺序查找可用的状态图片
-	for (const fallbackState of fallbackChain) {
-		// 1. 首先检查是否有明确配置的 diplomacyStates
-		if (registeredConfig.diplomacyStates && registeredConfig.diplomacyStates[fallbackState]) {
-			return registeredConfig.diplomacyStates[fallbackState];
+/**
+ * 获取外交覆盖层的进场和退场过渡
+ * 优先级：领袖 transitions.sequences[序列类型] > transitions.sides[位置] > transitions.default > "slide"
+ * @param {string|null} leaderID - 领袖ID
+ * @param {string|null} sequenceType - 可选，序列类型（如 "MEET", "WAR"）
+ * @param {string} position - 位置 ("left", "right", "center")
+ * @returns {object} { enter, exit }，每项为 { name, durationMs, easing, hidden }，hidden 为该位置的隐藏样式
+ */
+function getOverlayTransition(leaderID, sequenceType = null, position = "center") {
+	const transitions = (leaderID && isImageLeader(leaderID)) ? REGISTERED_IMAGE_LEADERS[leaderID].transitions : null;
+	const selection = (sequenceType && transitions?.sequences?.[sequenceType]) ||
+		transitions?.sides?.[position] ||
+		transitions?.default ||
+		DEFAULT_TRANSITION;
+
+	const result = {};
+	for (const phase of ["enter", "exit"]) {
+		let name = typeof selection === "string" ? selection : (selection[phase] || DEFAULT_TRANSITION);
+		if (!TRANSITION_PRESETS.hasOwnProperty(name)) {
+			// 在另一个 scope 注册的自定义过渡
+			console.warn(`[Custom Leader Config] Unknown transition ${name} for ${leaderID}, using ${DEFAULT_TRANSITION}`);
+			name = DEFAULT_TRANSITION;
 		}
+		const preset = TRANSITION_PRESETS[name];
+		result[phase] = {
+			name,
+			durationMs: phase === "enter" ? preset.enterMs : preset.exitMs,
+			easing: phase === "enter" ? preset.enterEasing : preset.exitEasing,
+			hidden: { ...preset.hidden, ...(preset.sides?.[position] || {}) }
+		};
+	}
+	return result;
+}
 
-		// 2. 尝试自动推断路径
-		const inferredPath = tryInferStatePath(leaderID, basePath, fallbackState);
-		if (inferredPath) {
-			return inferredPath;
+/**
+ * 判断当前是否为联机游戏
+ * 注册表保存在各客户端的 localStorage 中，联机时其他玩家看到的立绘可能与本机不同
+ * @returns {boolean} 是否为联机游戏
+ */
+function isNetworkMultiplayerGame() {
+	try {
+		if (typeof Configuration === "undefined" || !Configuration || typeof Configuration.getGame !== "function") {
+			return false;
 		}
+		return !!Configuration.getGame()?.isNetworkMultiplayer;
+	} catch (error) {
+		console.warn("[Custom Leader Config] Failed to detect multiplayer game:", error);
+		return false;
 	}
+}
 
-	// 最后回退到基础图片路径
-	return basePath;
+/**
+ * 获取领袖在本机的立绘状态
+ * @param {string} leaderID - 领袖ID
+ * @returns {string} "image"（已注册，基础图片可用）、"pending"（已注册，基础图片尚在探测，见 whenLeaderPortraitStatusReady）、
+ *   "missing-image"（已注册，但本机不存在基础图片）、"unregistered"（本机未注册，使用3D模型）
+ */
+function getLeaderPortraitStatus(leaderID) {
+	if (!isImageLeader(leaderID)) {
+		return "unregistered";
+	}
+
+	const imagePath = REGISTERED_IMAGE_LEADERS[leaderID]?.imagePath;
+	const resolver = getPortraitResolver();
+	if (!imagePath || !resolver) {
+		return "image";
+	}
+
+	const exists = resolver.getProbeResult(imagePath);
+	if (exists === undefined) {
+		// 尚未探测完成：在后台探测（加载注册表时已预热，通常只在刚进入游戏时出现）
+		resolver.probeImagePath(imagePath);
+		return "pending";
+	}
+	return exists ? "image" : "missing-image";
 }
 
 /**
- * 尝试根据基础路径和状态自动推断状态立绘路径
+ * 等待领袖基础图片的探测完成
  * @param {string} leaderID - 领袖ID
- * @param {string} basePath - 基础图片路径
- * @param {string} state - 目标状态
- * @returns {string|null} 推断出的路径，如果无法推断则返回null
- * 
- * 推断逻辑:
- *   1. 从基础路径提取目录和文件名
- *   2. 根据 AUTO_PORTRAIT_SUFFIX_TEMPLATES 尝试各种后缀
- *   3. 返回第一个匹配的路径（或使用缓存的已知有效路径）
+ * @returns {Promise<string>} 探测完成后的 getLeaderPortraitStatus 结果（探测超时时仍为 "pending"）
  */
-function tryInferStatePath(leaderID, basePath, state) {
-	if (!basePath || !state) {
-		return null;
+function whenLeaderPortraitStatusReady(leaderID) {
+	const imagePath = REGISTERED_IMAGE_LEADERS[leaderID]?.imagePath;
+	const resolver = getPortraitResolver();
+	if (!isImageLeader(leaderID) || !imagePath || !resolver) {
+		return Promise.resolve(getLeaderPortraitStatus(leaderID));
+	}
+	return resolver.probeImagePath(imagePath).then(() => getLeaderPortraitStatus(leaderID));
+}
+
+// 领袖3D模型asset的检测结果缓存（领袖ID -> 是否存在）
+const LEADER_MODEL_ASSET_CACHE = {};
+
+// 检测3D模型使用的模型组（首次检测时创建，之后复用）
+let leaderModelProbeGroup = null;
+
+/**
+ * 检测本机是否有领袖的3D模型，结果按领袖缓存
+ * - 游戏数据库中不存在的领袖没有3D模型，不需要加载模型
+ * - 数据库中存在的领袖在复用的检测模型组中加载一次 "领袖ID_GAME_ASSET"（与主菜单解析领袖时使用的命名一致）
+ *   asset不存在时 addModelAtPos 返回null（基础外交代码同样按 addModel 返回null回退到默认模型）
+ * 进入联机游戏时由 prewarmRemoteLeaderModelAssets 预先检测，外交界面中通常只读取缓存
+ * @param {string} leaderID - 领袖ID
+ * @returns {boolean} 没有3D模型时返回false，无法检测时返回true（保持3D显示）
+ */
+function hasLeaderModelAsset(leaderID) {
+	if (LEADER_MODEL_ASSET_CACHE[leaderID] !== undefined) {
+		return LEADER_MODEL_ASSET_CACHE[leaderID];
+	}
+
+	let exists = true;
+	try {
+		if (typeof GameInfo !== "undefined" && GameInfo && GameInfo.Leaders && !GameInfo.Leaders.lookup(leaderID)) {
+			exists = false;
+		} else {
+			if (!leaderModelProbeGroup) {
+				if (typeof WorldUI === "undefined" || !WorldUI || typeof WorldUI.createModelGroup !== "function") {
+					return true;
+				}
+				leaderModelProbeGroup = WorldUI.createModelGroup("leaderFallbackModelProbe");
+			}
+			exists = leaderModelProbeGroup.addModelAtPos(`${leaderID}_GAME_ASSET`, { x: 0, y: 0, z: 0 }, { angle: 0 }) != null;
+			leaderModelProbeGroup.clear();
+		}
+	} catch (error) {
+		console.warn(`[Custom Leader Config] Failed to check 3D model of ${leaderID}:`, error);
+		return true;
 	}
 
-	// 检查缓存
-	const cacheKey = `${leaderID}_${state}`;
-	if (AUTO_INFERRED_PATH_CACHE[cacheKey] !== undefined) {
-		return AUTO_INFERRED_PATH_CACHE[cacheKey]; // 可能是 null（表示已知不存在）
+	LEADER_MODEL_ASSET_CACHE[leaderID] = exists;
+	if (!exists) {
+		console.warn(`[Custom Leader Config] No 3D model for leader ${leaderID} on this client`);
 	}
+	return exists;
+}
 
-	// 获取该状态的后缀模板
-	const suffixTemplates = AUTO_PORTRAIT_SUFFIX_TEMPLATES[state];
-	if (!suffixTemplates || suffixTemplates.length === 0) {
-		// neutral 状态没有后缀，直接返回 null（将使用基础路径）
+/**
+ * 预先检测远程人类玩家中本机未注册的领袖是否有3D模型（进入联机游戏时调用，避免在外交场景中加载模型）
+ */
+function prewarmRemoteLeaderModelAssets() {
+	try {
+		if (!isNetworkMultiplayerGame() || typeof Players === "undefined" || !Players || typeof Players.getAlive !== "function" ||
+			typeof GameContext === "undefined" || typeof GameInfo === "undefined" || !GameInfo.Leaders) {
+			return;
+		}
+		for (const player of Players.getAlive()) {
+			if (!player || !player.isHuman || player.id === GameContext.localPlayerID) {
+				continue;
+			}
+			const leaderID = GameInfo.Leaders.lookup(player.leaderType)?.LeaderType?.toString();
+			if (leaderID && !isImageLeader(leaderID)) {
+				hasLeaderModelAsset(leaderID);
+			}
+		}
+	} catch (error) {
+		console.warn("[Custom Leader Config] Failed to prewarm remote leader model check:", error);
+	}
+}
+
+/**
+ * 查找使用指定领袖的远程玩家（由其他客户端控制的人类玩家，仅 game scope 可用）
+ * @param {string} leaderID - 领袖ID
+ * @returns {number|null} 玩家ID，没有找到时返回null
+ */
+function findRemotePlayerForLeader(leaderID) {
+	try {
+		if (typeof Players === "undefined" || !Players || typeof Players.getAlive !== "function" ||
+			typeof GameContext === "undefined" || typeof GameInfo === "undefined" || !GameInfo.Leaders) {
+			return null;
+		}
+		for (const player of Players.getAlive()) {
+			if (!player || !player.isHuman || player.id === GameContext.localPlayerID) {
+				continue;
+			}
+			const leader = GameInfo.Leaders.lookup(player.leaderType);
+			if (leader && leader.LeaderType?.toString() === leaderID) {
+				return player.id;
+			}
+		}
+	} catch (error) {
+		console.warn(`[Custom Leader Config] Failed to find remote player for ${leaderID}:`, error);
+	}
+	return null;
+}
+
+/**
+ * 获取远程玩家领袖的降级显示方式（外交界面使用）
+ * 联机时注册表只存在于本机，以下情况显示领袖卡片而不是空白立绘或回退模型：
+ * - "missing-image"：本机已注册，但缺少立绘文件
+ * - "unregistered"：本机未注册，也没有该领袖的3D模型（如只在对方客户端安装的立绘模组提供的领袖）
+ * 本机未注册但有3D模型的领袖正常显示3D模型；立绘尚在探测（"pending"）时返回null，见 whenLeaderPortraitStatusReady
+ * @param {string} leaderID - 领袖ID
+ * @returns {object|null} { reason, playerID }，不需要降级时返回null
+ */
+function getRemoteLeaderFallback(leaderID) {
+	if (!leaderID || !isNetworkMultiplayerGame()) {
+		return null;
+	}
+	const status = getLeaderPortraitStatus(leaderID);
+	if (status !== "missing-image" && status !== "unregistered") {
 		return null;
 	}
+	const playerID = findRemotePlayerForLeader(leaderID);
+	if (playerID === null) {
+		return null;
+	}
+	if (status === "unregistered" && hasLeaderModelAsset(leaderID)) {
+		return null;
+	}
+	return { reason: status, playerID };
+}
 
-	// 解析基础路径
-	// 例如: "fs://game/xxx/textures/portraits/fbl_Leader.png"
-	// 分解为: 目录 = "fs://game/xxx/textures/portraits/", 文件名 = "fbl_Leader", 扩展名 = ".png"
-	const lastSlashIndex = basePath.lastIndexOf('/');
-	const lastDotIndex = basePath.lastIndexOf('.');
-	
-	if (lastSlashIndex === -1 || lastDotIndex === -1 || lastDotIndex <= lastSlashIndex) {
-		// 无法解析路径
+/**
+ * 判断模组是否只在本机生效（不影响存档的模组不要求联机玩家安装相同版本）
+ * @param {string} modID - 模组ID
+ * @returns {boolean} 确认只在本机生效时返回true，无法确定时返回false
+ */
+function isLocalOnlyMod(modID) {
+	try {
+		if (!modID || typeof Modding === "undefined" || !Modding ||
+			typeof Modding.getInstalledMods !== "function" || typeof Modding.getModProperty !== "function") {
+			return false;
+		}
+		const mod = (Modding.getInstalledMods() || []).find(installedMod => installedMod && installedMod.id === modID);
+		if (!mod) {
+			return false;
+		}
+		const affectsSavedGames = Modding.getModProperty(mod.handle, "AffectsSavedGames");
+		return affectsSavedGames === "0" || affectsSavedGames === 0 || affectsSavedGames === false;
+	} catch (error) {
+		console.warn(`[Custom Leader Config] Failed to read properties of mod ${modID}:`, error);
+		return false;
+	}
+}
+
+/**
+ * 检查领袖立绘的联机兼容性（联机大厅使用）
+ * @param {string} leaderID - 领袖ID
+ * @returns {object|null} { leaderID, type, modID }，type 为 "missing-image"（本机缺少立绘文件，显示领袖卡片）
+ *   或 "local-only"（立绘来自只在本机生效的模组，其他玩家可能看到3D模型）；没有问题时返回null
+ */
+function checkLeaderCompatibility(leaderID) {
+	const status = getLeaderPortraitStatus(leaderID);
+	if (status === "unregistered") {
 		return null;
 	}
 
-	const directory = basePath.substring(0, lastSlashIndex + 1);
-	const fileName = basePath.substring(lastSlashIndex + 1, lastDotIndex);
-	const extension = basePath.substring(lastDotIndex);
+	const modID = getPortraitResolver()?.getOwningModID(REGISTERED_IMAGE_LEADERS[leaderID]) || null;
+	if (status === "missing-image") {
+		return { leaderID, type: "missing-image", modID };
+	}
+	if (isLocalOnlyMod(modID)) {
+		return { leaderID, type: "local-only", modID };
+	}
+	return null;
+}
 
-	// 生成候选路径列表
-	const candidatePaths = [];
-	for (const suffix of suffixTemplates) {
-		candidatePaths.push(`${directory}${fileName}${suffix}${extension}`);
+/**
+ * 获取主菜单展示模式设置（与共享注册表保存在同一个 localStorage 条目中）
+ * @returns {object} { mode, pinnedLeaderID, intervalMs }
+ *   - mode: "off"（默认，使用游戏选择的领袖）、"rotate"（定时轮流展示已安装的图片领袖）、"pin"（固定展示 pinnedLeaderID）
+ *   - intervalMs: 轮换间隔（毫秒，5000 ~ 600000，默认20000）
+ */
+function getMainMenuShowcase() {
+	const resolver = getPortraitResolver();
+	if (!resolver) {
+		return { mode: "off", pinnedLeaderID: null, intervalMs: 20000 };
 	}
+	return resolver.readMainMenuShowcase();
+}
 
-	// 由于游戏中无法直接检测文件是否存在，我们返回第一个候选路径
-	// 如果文件不存在，游戏会显示空白或错误，用户需要确保文件命名正确
-	// 
-	// 注意: 如果mod没有提供对应的立绘文件，建议mod作者：
-	//   1. 使用 diplomacyStates 明确指定状态立绘
-	//   2. 或者按照命名约定放置立绘文件
-	//   3. 或者设置 autoInferPaths: false 禁用自动推断
-	
-	// 检查是否禁用了自动推断（默认启用）
-	const registeredConfig = REGISTERED_IMAGE_LEADERS[leaderID];
-	if (registeredConfig && registeredConfig.autoInferPaths === false) {
+/**
+ * 修改主菜单展示模式设置（与当前设置浅合并后保存）
+ * @param {object} changes - 要修改的字段，如 { mode: "rotate" }、{ mode: "pin", pinnedLeaderID: "LEADER_YOUR_LEADER" }
+ * @returns {object|null} 保存后的设置，保存失败时返回null
+ */
+function setMainMenuShowcase(changes) {
+	const resolver = getPortraitResolver();
+	if (!resolver || typeof changes !== "object" || changes === null) {
+		console.warn("[Custom Leader Config] Cannot save main menu showcase settings");
 		return null;
 	}
+	const showcase = resolver.writeMainMenuShowcase({ ...resolver.readMainMenuShowcase(), ...changes });
+	if (showcase && showcase.mode === "pin" && !isImageLeader(showcase.pinnedLeaderID)) {
+		console.warn(`[Custom Leader Config] Pinned main menu leader ${showcase.pinnedLeaderID} is not registered, rotating instead`);
+	}
+	return showcase;
+}
 
-	// 返回第一个候选路径
-	const inferredPath = candidatePaths[0];
-	
-	// 缓存结果
-	AUTO_INFERRED_PATH_CACHE[cacheKey] = inferredPath;
-	
-	console.log(`[Custom Leader Config] Auto-inferred path for ${leaderID}/${state}: ${inferredPath}`);
-	
-	return inferredPath;
+/**
+ * 获取主菜单展示模式可以展示的领袖（已注册且本机没有确认缺少立绘，不包括独立势力立绘）
+ * @returns {Array<string>} 按领袖ID排序的领袖ID列表
+ */
+function getMainMenuShowcaseLeaders() {
+	return Object.keys(REGISTERED_IMAGE_LEADERS)
+		.filter(leaderID => !leaderID.startsWith(INDEPENDENT_PORTRAIT_KEY_PREFIX) && getLeaderPortraitStatus(leaderID) !== "missing-image")
+		.sort();
+}
+
+/**
+ * 设置当前时代（shell 中由时代选择面板调用，用于解析 ageVariants）
+ * @param {string|null} ageType - 时代类型（如 "AGE_ANTIQUITY"）
+ */
+function setActiveAge(ageType) {
+	getPortraitResolver()?.setActiveAge(ageType);
+}
+
+/**
+ * 记录领袖当前对应的文明（用于解析 civVariants）
+ * @param {string} leaderID - 领袖ID
+ * @param {string|null} civType - 文明类型（如 "CIVILIZATION_ROME"）
+ */
+function setLeaderCivilization(leaderID, civType) {
+	getPortraitResolver()?.setLeaderCivilization(leaderID, civType);
 }
 
 /**
  * 获取图片显示配置
  * @param {string} leaderID - 领袖ID
- * @param {string} panelType - 面板类型 ("leader-select", "age-select", "civ-select", "game-setup", "setup-panels", "diplomacy-left", "diplomacy-right")
- * @returns {object|null} 显示配置对象，包含widthMultiplier、leftOffsetMultiplier、topOffsetMultiplier和position
+ * @param {string} panelType - 面板类型 ("leader-select", "age-select", "civ-select", "game-setup", "setup-panels", "diplomacy-left", "diplomacy-right", "main-menu")
+ * @returns {object|null} 显示配置对象，包含widthMultiplier、leftOffsetMultiplier、topOffsetMultiplier、position和motion（预设名数组）
  */
 function getImageDisplayConfig(leaderID, panelType = "leader-select") {
 	if (!isImageLeader(leaderID)) {
@@ -466,7 +1490,10 @@ function getImageDisplayConfig(leaderID, panelType = "leader-select") {
 		topOffsetMultiplier: leaderSpecificConfig?.topOffsetMultiplier !== undefined 
 			? leaderSpecificConfig.topOffsetMultiplier 
 			: (globalPanelConfig.topOffsetMultiplier !== undefined ? globalPanelConfig.topOffsetMultiplier : 0),
-		position: leaderSpecificConfig?.position || globalPanelConfig.position || "center"
+		position: leaderSpecificConfig?.position || globalPanelConfig.position || "center",
+		motion: normalizeMotion(leaderSpecificConfig?.motion !== undefined
+			? leaderSpecificConfig.motion
+			: (registeredConfig?.motion !== undefined ? registeredConfig.motion : (globalPanelConfig.motion || "none"))) || []
 	};
 }
 
@@ -535,13 +1562,43 @@ function detectCurrentPanel() {
 	window.CustomLeaderConfig = {
 		isImageLeader,
 		getImagePath,
+		getPortraitLayers,
+		getPortraitAnimation,
+		getPortraitTalkingFrames,
+		getAudioCue,
+		getVoTiming,
+		registerTransition,
+		getOverlayTransition,
+		isNetworkMultiplayerGame,
+		getLeaderPortraitStatus,
+		whenLeaderPortraitStatusReady,
+		getRemoteLeaderFallback,
+		checkLeaderCompatibility,
+		getMainMenuShowcase,
+		setMainMenuShowcase,
+		getMainMenuShowcaseLeaders,
+		setActiveAge,
+		setLeaderCivilization,
 		getImageDisplayConfig,
 		getDiplomacyInitialState,
 		detectCurrentPanel,
 		registerImageLeader,
+		updateImageLeader,
+		unregisterImageLeader,
+		registerIndependentPortrait,
+		unregisterIndependentPortrait,
+		getIndependentPortraitKey,
+		getIndependentTypesForPlayer,
+		getIndependentPortraitKeyForPlayer,
+		subscribeRegistry,
+		loadDatabaseImageLeaders,
+		registerPortraitState,
+		registerSequenceStateMapping,
 		IMAGE_LEADER_PREFIX,
 		REGISTERED_IMAGE_LEADERS, // 只读，用于调试
-		PANEL_DISPLAY_CONFIGS
+		PANEL_DISPLAY_CONFIGS,
+		MOTION_PRESETS,
+		TRANSITION_PRESETS
 	};
 	
 	// 如果之前已经存在配置且已注册了领袖，合并注册表
@@ -556,6 +1613,18 @@ function detectCurrentPanel() {
 	
 	// 尝试从共享存储加载（shell->game 共享）
 	loadSharedRegistry();
+	// 从数据库表注册图片领袖（内容模组通过 UpdateDatabase 提供数据行）
+	loadDatabaseImageLeaders();
+	getPortraitResolver()?.prewarmRegistry(REGISTERED_IMAGE_LEADERS);
+
+	// 数据库可能在引擎就绪后才完整可用，届时再加载一次
+	if (typeof engine !== "undefined" && engine.whenReady) {
+		engine.whenReady.then(() => {
+			loadDatabaseImageLeaders();
+			// 联机时预先检测远程领袖的3D模型（shell scope 中没有玩家，不做任何事）
+			prewarmRemoteLeaderModelAssets();
+		});
+	}
 	
 	// 标记配置系统已加载
 	window.CustomLeaderConfig._isLoaded = true;
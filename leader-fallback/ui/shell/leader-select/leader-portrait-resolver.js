@@ -0,0 +1,1364 @@
+/**
+ * @file leader-portrait-resolver.js
+ * @description Leader Portrait Resolver: Shared state fallback chains, suffix templates and path resolution for image leaders
+ */
+
+// 解析器API版本：接口发生不兼容变化时递增，调用方通过 API_VERSION 判断是否可用
+const RESOLVER_API_VERSION = 1;
+
+// 共享存储键：shell scope 持久化注册表，game scope 读取
+const SHARED_REGISTRY_STORAGE_KEY = "LeaderOverlayImageRegistryV2";
+// 共享注册表的数据格式版本（{ version, leaders: { 领袖ID: { modID, config } } }）
+const SHARED_REGISTRY_SCHEMA_VERSION = 2;
+// 旧版共享存储键（V1 直接保存 领袖ID → 配置 的映射，读取时迁移到当前格式）
+const LEGACY_SHARED_REGISTRY_STORAGE_KEYS = ["LeaderOverlayImageRegistryV1"];
+
+// 主菜单展示模式（保存在共享注册表的 showcase 字段中，不影响注册表数据）
+// mode: "off"（使用游戏选择的领袖）、"rotate"（轮流展示已安装的图片领袖）、"pin"（固定展示 pinnedLeaderID）
+const MAIN_MENU_SHOWCASE_MODES = ["off", "rotate", "pin"];
+const DEFAULT_MAIN_MENU_SHOWCASE = { mode: "off", pinnedLeaderID: null, intervalMs: 20000 };
+// 轮换间隔范围（毫秒）
+const MIN_SHOWCASE_INTERVAL_MS = 5000;
+const MAX_SHOWCASE_INTERVAL_MS = 600000;
+
+/**
+ * 状态回退链
+ * 某个状态没有可用立绘时，按顺序尝试链中的下一个状态，最后回退到基础图片 imagePath
+ */
+const STATE_FALLBACK_CHAINS = {
+	"declaring_war": ["declaring_war", "hostile", "neutral"],
+	"defeated": ["defeated", "hostile", "neutral"],
+	"accepting_peace": ["accepting_peace", "friendly", "neutral"],
+	"rejecting_peace": ["rejecting_peace", "hostile", "neutral"],
+	"response_positive": ["response_positive", "friendly", "neutral"],
+	"response_negative": ["response_negative", "hostile", "neutral"],
+	"meeting": ["meeting", "neutral"],
+	"main_menu": ["main_menu", "neutral"],
+	"friendly": ["friendly", "neutral"],
+	"hostile": ["hostile", "neutral"],
+	"neutral": ["neutral"]
+};
+
+/**
+ * 自动立绘后缀模板配置
+ * 当mod没有明确配置diplomacyStates时，系统会自动根据基础图片路径尝试这些后缀
+ *
+ * 例如基础路径为: fs://game/xxx/textures/portraits/fbl_Leader.png
+ * 对于 "declaring_war" 状态，系统会按顺序尝试:
+ *   1. fs://game/xxx/textures/portraits/fbl_Leader_angry.png
+ *   2. fs://game/xxx/textures/portraits/fbl_Leader_hostile.png
+ *   3. fs://game/xxx/textures/portraits/fbl_Leader_war.png
+ *
+ * 如果都找不到，会回退到状态回退链的下一个状态
+ */
+const AUTO_PORTRAIT_SUFFIX_TEMPLATES = {
+	// 宣战状态: 尝试 _angry, _hostile, _war, _declaring_war
+	"declaring_war": ["_angry", "_hostile", "_war", "_declaring_war"],
+
+	// 敌对状态: 尝试 _angry, _hostile
+	"hostile": ["_angry", "_hostile"],
+
+	// 友好状态: 尝试 _happy, _friendly, _smile
+	"friendly": ["_happy", "_friendly", "_smile"],
+
+	// 战败状态: 尝试 _defeated, _sad, _lose
+	"defeated": ["_defeated", "_sad", "_lose"],
+
+	// 接受和平: 尝试 _peace, _happy, _friendly
+	"accepting_peace": ["_peace", "_happy", "_friendly"],
+
+	// 拒绝和平: 尝试 _angry, _hostile, _reject
+	"rejecting_peace": ["_angry", "_hostile", "_reject"],
+
+	// 正面回应: 尝试 _happy, _friendly, _positive
+	"response_positive": ["_happy", "_friendly", "_positive"],
+
+	// 负面回应: 尝试 _angry, _hostile, _negative
+	"response_negative": ["_angry", "_hostile", "_negative"],
+
+	// 会面: 尝试 _meeting, _neutral
+	"meeting": ["_meeting", "_neutral"],
+
+	// 主菜单: 尝试 _main_menu, _title
+	"main_menu": ["_main_menu", "_title"],
+
+	// 中立: 不需要后缀（使用基础图片）
+	"neutral": []
+};
+
+// 内置状态（不允许被 registerState 覆盖）
+const BUILTIN_STATES = Object.keys(STATE_FALLBACK_CHAINS);
+
+// 共享存储键：mod 注册的自定义状态与序列映射（shell 与 game scope 共享）
+const CUSTOM_STATE_STORAGE_KEY = "LeaderOverlayPortraitStatesV1";
+
+// mod 注册的自定义状态定义 (键: 状态名，值: { fallback, suffixes })
+const CUSTOM_STATE_DEFINITIONS = {};
+
+// 外交序列到立绘状态的映射 (键: 序列类型如 "WAR"，值: 状态名或映射函数)
+// 映射函数签名: (playerID, position, context) => 状态名 | null，仅在注册它的 scope 中有效
+const SEQUENCE_STATE_MAPPINGS = {};
+
+// 正在从共享存储加载自定义状态时不回写存储
+let isLoadingCustomStates = false;
+
+// 自动推断路径缓存 (键: `${leaderID}_${state}@${imagePath}`，值为已验证存在的路径，null 表示该状态所有后缀都不存在)
+// 键中包含基础图片路径，使不同时代/文明变体的推断结果互不干扰
+const AUTO_INFERRED_PATH_CACHE = {};
+
+// 当前时代（shell scope 由时代选择面板设置，game scope 未设置时从 Game.age 读取）
+let activeAgeType = null;
+
+// 领袖当前对应的文明 (键: 领袖ID，值: 文明类型如 "CIVILIZATION_ROME")
+// shell scope 由文明选择面板设置，game scope 由外交模块根据 player.civilizationType 设置
+const LEADER_CIVILIZATION_BINDINGS = {};
+
+// 单个图片路径的探测结果 (键: 路径，值: true 存在 / false 不存在)
+const PATH_PROBE_RESULTS = {};
+
+// 正在进行中的探测，避免同一路径或同一状态重复探测
+const PENDING_PATH_PROBES = {};
+const PENDING_STATE_PROBES = {};
+
+// 单张图片探测超时（毫秒）：超时视为本次不可用，但不写入缓存，下次仍会重新探测
+const PATH_PROBE_TIMEOUT = 3000;
+
+/**
+ * 获取所有合法的立绘状态名称
+ * @returns {Array<string>} 状态名称列表
+ */
+function getValidStates() {
+	return Object.keys(STATE_FALLBACK_CHAINS);
+}
+
+/**
+ * 获取状态的回退链
+ * @param {string} state - 外交状态
+ * @param {object} config - 可选，领袖注册配置（fallbackChains 中的同名状态替换默认回退链）
+ * @returns {Array<string>} 回退链（始终以 state 开头、以 neutral 结尾）
+ */
+function getFallbackChain(state, config = null) {
+	const customChain = config && config.fallbackChains ? config.fallbackChains[state] : null;
+	if (!Array.isArray(customChain)) {
+		return STATE_FALLBACK_CHAINS[state] || [state, "neutral"];
+	}
+
+	// 自定义回退链：自动补全开头的 state 和结尾的 neutral，并去重
+	const chain = [];
+	for (const chainState of [state, ...customChain, "neutral"]) {
+		if (!chain.includes(chainState)) {
+			chain.push(chainState);
+		}
+	}
+	return chain;
+}
+
+/**
+ * 获取状态的自动推断后缀模板
+ * @param {string} state - 外交状态
+ * @param {object} config - 可选，领袖注册配置（suffixTemplates 中的后缀优先于默认后缀尝试）
+ * @returns {Array<string>} 后缀列表（已去重）
+ */
+function getSuffixTemplates(state, config = null) {
+	const defaultSuffixes = AUTO_PORTRAIT_SUFFIX_TEMPLATES[state] || [];
+	const customSuffixes = config && config.suffixTemplates ? config.suffixTemplates[state] : null;
+	if (!Array.isArray(customSuffixes)) {
+		return defaultSuffixes;
+	}
+
+	const suffixes = [];
+	for (const suffix of [...customSuffixes, ...defaultSuffixes]) {
+		if (!suffixes.includes(suffix)) {
+			suffixes.push(suffix);
+		}
+	}
+	return suffixes;
+}
+
+/**
+ * 解析图片路径
+ * 例如: "fs://game/xxx/textures/portraits/fbl_Leader.png"
+ * 分解为: 目录 = "fs://game/xxx/textures/portraits/", 文件名 = "fbl_Leader", 扩展名 = ".png"
+ * @param {string} basePath - 基础图片路径
+ * @returns {object|null} { directory, fileName, extension }，无法解析时返回 null
+ */
+function parseImagePath(basePath) {
+	if (!basePath || typeof basePath !== "string") {
+		return null;
+	}
+
+	const lastSlashIndex = basePath.lastIndexOf('/');
+	const lastDotIndex = basePath.lastIndexOf('.');
+
+	if (lastSlashIndex === -1 || lastDotIndex === -1 || lastDotIndex <= lastSlashIndex) {
+		return null;
+	}
+
+	return {
+		directory: basePath.substring(0, lastSlashIndex + 1),
+		fileName: basePath.substring(lastSlashIndex + 1, lastDotIndex),
+		extension: basePath.substring(lastDotIndex)
+	};
+}
+
+/**
+ * 生成某个状态的所有候选推断路径（按后缀优先级排序）
+ * @param {string} basePath - 基础图片路径
+ * @param {string} state - 目标状态
+ * @param {object} config - 可选，领袖注册配置（用于领袖自定义后缀）
+ * @returns {Array<string>} 候选路径列表
+ */
+function getInferenceCandidates(basePath, state, config = null) {
+	const parsed = parseImagePath(basePath);
+	if (!parsed) {
+		return [];
+	}
+
+	return getSuffixTemplates(state, config).map(suffix => `${parsed.directory}${parsed.fileName}${suffix}${parsed.extension}`);
+}
+
+/**
+ * 生成自动推断缓存键（领袖ID与状态之间使用领袖ID中不会出现的 "|" 分隔，按领袖清除缓存时不会误删ID以其开头的领袖）
+ * @param {string} leaderID - 领袖ID
+ * @param {object} config - 领袖注册配置（已应用时代变体）
+ * @param {string} state - 状态
+ * @returns {string} 缓存键
+ */
+function getInferenceCacheKey(leaderID, config, state) {
+	return `${leaderID}|${state}@${config ? config.imagePath : ""}`;
+}
+
+/**
+ * 设置当前时代（shell scope 中由时代选择面板调用）
+ * @param {string|null} ageType - 时代类型（如 "AGE_ANTIQUITY"），null 表示清除
+ */
+function setActiveAge(ageType) {
+	activeAgeType = ageType ? ageType.toString() : null;
+}
+
+/**
+ * 获取当前时代
+ * @returns {string|null} 时代类型（如 "AGE_EXPLORATION"），无法确定时返回null
+ */
+function getActiveAge() {
+	if (activeAgeType) {
+		return activeAgeType;
+	}
+
+	// game scope：从当前游戏读取时代
+	try {
+		if (typeof Game !== "undefined" && Game.age !== undefined &&
+			typeof GameInfo !== "undefined" && GameInfo.Ages && typeof GameInfo.Ages.lookup === "function") {
+			const age = GameInfo.Ages.lookup(Game.age);
+			if (age && age.AgeType) {
+				return age.AgeType.toString();
+			}
+		}
+	} catch (error) {
+		console.warn("[Leader Portrait Resolver] Failed to read current age:", error);
+	}
+
+	return null;
+}
+
+/**
+ * 记录领袖当前对应的文明（用于解析 civVariants）
+ * @param {string} leaderID - 领袖ID
+ * @param {string|null} civType - 文明类型（如 "CIVILIZATION_ROME"），null 表示清除
+ */
+function setLeaderCivilization(leaderID, civType) {
+	if (!leaderID) {
+		return;
+	}
+	if (civType) {
+		LEADER_CIVILIZATION_BINDINGS[leaderID] = civType.toString();
+	} else {
+		delete LEADER_CIVILIZATION_BINDINGS[leaderID];
+	}
+}
+
+/**
+ * 获取领袖当前对应的文明
+ * @param {string} leaderID - 领袖ID
+ * @returns {string|null} 文明类型，无法确定时返回null
+ */
+function getLeaderCivilization(leaderID) {
+	if (!leaderID) {
+		return null;
+	}
+
+	if (LEADER_CIVILIZATION_BINDINGS[leaderID]) {
+		return LEADER_CIVILIZATION_BINDINGS[leaderID];
+	}
+
+	// game scope：查找使用该领袖的玩家，读取其 civilizationType
+	try {
+		if (typeof Players === "undefined" || typeof Players.getAliveIds !== "function" ||
+			typeof GameInfo === "undefined" || !GameInfo.Leaders || !GameInfo.Civilizations) {
+			return null;
+		}
+		for (const playerID of Players.getAliveIds()) {
+			const player = Players.get(playerID);
+			if (!player) continue;
+			const leader = GameInfo.Leaders.lookup(player.leaderType);
+			if (!leader || leader.LeaderType?.toString() !== leaderID) continue;
+			const civ = GameInfo.Civilizations.lookup(player.civilizationType);
+			if (civ && civ.CivilizationType) {
+				return civ.CivilizationType.toString();
+			}
+		}
+	} catch (error) {
+		console.warn(`[Leader Portrait Resolver] Failed to find civilization for ${leaderID}:`, error);
+	}
+
+	return null;
+}
+
+/**
+ * 合并时代/文明变体配置
+ * 变体提供 imagePath 时视为整套新立绘，不继承基础配置的 diplomacyStates、layers、animations 和 talkingFrames；
+ * 只提供 diplomacyStates 时与基础配置的 diplomacyStates 合并
+ * @param {object} config - 领袖注册配置
+ * @param {object} variant - 变体配置
+ * @returns {object} 合并后的配置
+ */
+function mergeVariantConfig(config, variant) {
+	if (!variant || typeof variant !== "object") {
+		return config;
+	}
+
+	const merged = { ...config, ...variant };
+	if (!variant.imagePath) {
+		merged.diplomacyStates = { ...(config.diplomacyStates || {}), ...(variant.diplomacyStates || {}) };
+	} else {
+		if (!variant.diplomacyStates) delete merged.diplomacyStates;
+		if (!variant.layers) delete merged.layers;
+		if (!variant.animations) delete merged.animations;
+		if (!variant.talkingFrames) delete merged.talkingFrames;
+	}
+	delete merged.ageVariants;
+	delete merged.civVariants;
+	return merged;
+}
+
+/**
+ * 获取应用当前时代变体和文明变体后的配置（文明变体叠加在时代变体之上）
+ * @param {object} config - 领袖注册配置
+ * @param {string} leaderID - 可选，领袖ID（用于确定文明）
+ * @returns {object} 当前有效配置（没有对应变体时返回原配置）
+ */
+function getVariantConfig(config, leaderID = null) {
+	if (!config || (!config.ageVariants && !config.civVariants)) {
+		return config;
+	}
+
+	let variantConfig = config;
+
+	if (config.ageVariants) {
+		const ageType = getActiveAge();
+		const ageVariant = ageType ? config.ageVariants[ageType] : null;
+		if (ageVariant) {
+			variantConfig = mergeVariantConfig(variantConfig, ageVariant);
+		}
+	}
+
+	if (config.civVariants && leaderID) {
+		const civType = getLeaderCivilization(leaderID);
+		const civVariant = civType ? config.civVariants[civType] : null;
+		if (civVariant) {
+			variantConfig = mergeVariantConfig(variantConfig, civVariant);
+		}
+	}
+
+	return variantConfig;
+}
+
+/**
+ * 获取基础配置及其所有时代/文明变体（用于预热）
+ * @param {object} config - 领袖注册配置
+ * @returns {Array<object>} 配置列表
+ */
+function getAllVariantConfigs(config) {
+	if (!config) {
+		return [config];
+	}
+	const variants = [
+		...Object.values(config.ageVariants || {}),
+		...Object.values(config.civVariants || {})
+	];
+	return [config, ...variants.map(variant => mergeVariantConfig(config, variant))];
+}
+
+/**
+ * 探测图片文件是否存在（通过 Image 预加载的 onload/onerror 判断）
+ * @param {string} path - 图片路径
+ * @returns {Promise<boolean>} 图片是否可以加载
+ */
+function probeImagePath(path) {
+	if (!path) {
+		return Promise.resolve(false);
+	}
+
+	if (PATH_PROBE_RESULTS[path] !== undefined) {
+		return Promise.resolve(PATH_PROBE_RESULTS[path]);
+	}
+
+	if (PENDING_PATH_PROBES[path]) {
+		return PENDING_PATH_PROBES[path];
+	}
+
+	// 无法预加载图片的环境：信任候选路径（保持旧行为）
+	if (typeof Image === "undefined") {
+		PATH_PROBE_RESULTS[path] = true;
+		return Promise.resolve(true);
+	}
+
+	const probe = new Promise((resolve) => {
+		const img = new Image();
+		let settled = false;
+
+		const finish = (exists, cacheResult) => {
+			if (settled) return;
+			settled = true;
+			clearTimeout(timeoutId);
+			img.onload = null;
+			img.onerror = null;
+			if (cacheResult) {
+				PATH_PROBE_RESULTS[path] = exists;
+			}
+			delete PENDING_PATH_PROBES[path];
+			resolve(exists);
+		};
+
+		const timeoutId = setTimeout(() => {
+			console.warn(`[Leader Portrait Resolver] Probe timed out for ${path}`);
+			finish(false, false);
+		}, PATH_PROBE_TIMEOUT);
+
+		img.onload = () => finish(true, true);
+		img.onerror = () => finish(false, true);
+		img.src = path;
+	});
+
+	PENDING_PATH_PROBES[path] = probe;
+	return probe;
+}
+
+/**
+ * 查询图片路径的探测结果（不触发探测）
+ * @param {string} path - 图片路径
+ * @returns {boolean|undefined} 已确认存在返回true，已确认不存在返回false，尚未探测完成返回undefined
+ */
+function getProbeResult(path) {
+	return path ? PATH_PROBE_RESULTS[path] : undefined;
+}
+
+/**
+ * 异步探测某个状态的自动推断立绘：按顺序尝试该状态的所有后缀，缓存第一个存在的路径
+ * @param {string} leaderID - 领袖ID
+ * @param {object} config - 领袖注册配置
+ * @param {string} state - 目标状态
+ * @returns {Promise<string|null>} 已验证存在的路径，所有后缀都不存在时返回null
+ */
+function probeStatePath(leaderID, config, state) {
+	const basePath = config ? config.imagePath : null;
+	if (!basePath || !state || config.autoInferPaths === false) {
+		return Promise.resolve(null);
+	}
+
+	const cacheKey = getInferenceCacheKey(leaderID, config, state);
+	if (AUTO_INFERRED_PATH_CACHE[cacheKey] !== undefined) {
+		return Promise.resolve(AUTO_INFERRED_PATH_CACHE[cacheKey]);
+	}
+
+	if (PENDING_STATE_PROBES[cacheKey]) {
+		return PENDING_STATE_PROBES[cacheKey];
+	}
+
+	const candidatePaths = getInferenceCandidates(basePath, state, config);
+	if (candidatePaths.length === 0) {
+		// neutral 状态没有后缀，直接返回 null（将使用基础路径）
+		return Promise.resolve(null);
+	}
+
+	const probe = (async () => {
+		let foundPath = null;
+		let timedOut = false;
+		for (const candidatePath of candidatePaths) {
+			if (await probeImagePath(candidatePath)) {
+				foundPath = candidatePath;
+				break;
+			}
+			if (PATH_PROBE_RESULTS[candidatePath] === undefined) {
+				timedOut = true;
+			}
+		}
+
+		// 超时的探测结果不可靠，不缓存否定结果
+		if (foundPath || !timedOut) {
+			AUTO_INFERRED_PATH_CACHE[cacheKey] = foundPath;
+		}
+		delete PENDING_STATE_PROBES[cacheKey];
+
+		if (foundPath) {
+			console.log(`[Leader Portrait Resolver] Auto-inferred path for ${leaderID}/${state}: ${foundPath}`);
+		}
+		return foundPath;
+	})();
+
+	PENDING_STATE_PROBES[cacheKey] = probe;
+	return probe;
+}
+
+/**
+ * 获取某个状态已验证的自动推断立绘路径（同步）
+ * @param {string} leaderID - 领袖ID
+ * @param {object} config - 领袖注册配置
+ * @param {string} state - 目标状态
+ * @returns {string|null} 已验证存在的路径，未验证或不存在时返回null
+ *
+ * 只返回探测确认存在的文件；尚未探测的状态会在后台启动探测，本次返回null，
+ * 由调用方沿回退链继续查找，避免显示不存在的立绘
+ */
+function tryInferStatePath(leaderID, config, state) {
+	const basePath = config ? config.imagePath : null;
+	if (!basePath || !state) {
+		return null;
+	}
+
+	// 检查是否禁用了自动推断（默认启用）
+	if (config.autoInferPaths === false) {
+		return null;
+	}
+
+	// 检查缓存
+	const cacheKey = getInferenceCacheKey(leaderID, config, state);
+	if (AUTO_INFERRED_PATH_CACHE[cacheKey] !== undefined) {
+		return AUTO_INFERRED_PATH_CACHE[cacheKey]; // 可能是 null（表示已知不存在）
+	}
+
+	// 尚未探测：后台启动探测，下次解析时即可使用结果
+	probeStatePath(leaderID, config, state);
+	return null;
+}
+
+/**
+ * 预热领袖所有状态的自动推断立绘（注册时调用，确保外交界面打开前探测已完成）
+ * @param {string} leaderID - 领袖ID
+ * @param {object} config - 领袖注册配置
+ * @returns {Promise<void>}
+ */
+function prewarmLeader(leaderID, config) {
+	if (!leaderID || !config) {
+		return Promise.resolve();
+	}
+
+	// 基础图片单独探测（联机时用于判断本机是否缺少该领袖的立绘文件）
+	probeImagePath(config.imagePath);
+
+	// 基础配置和每个时代变体都需要预热
+	const variantConfigs = getAllVariantConfigs(config).filter(variantConfig => variantConfig.autoInferPaths !== false);
+	if (variantConfigs.length === 0) {
+		return Promise.resolve();
+	}
+
+	const probes = [];
+	for (const variantConfig of variantConfigs) {
+		for (const state of getValidStates()) {
+			probes.push(probeStatePath(leaderID, variantConfig, state));
+		}
+	}
+
+	return Promise.all(probes)
+		.then(() => {
+			const foundStates = getValidStates().filter(state => AUTO_INFERRED_PATH_CACHE[getInferenceCacheKey(leaderID, config, state)]);
+			console.log(`[Leader Portrait Resolver] Prewarmed ${leaderID}: ${foundStates.length > 0 ? foundStates.join(", ") : "no state portraits found"}`);
+		})
+		.catch(error => {
+			console.warn(`[Leader Portrait Resolver] Failed to prewarm ${leaderID}:`, error);
+		});
+}
+
+/**
+ * 预热注册表中所有领袖
+ * @param {object} registry - 领袖ID到配置的映射
+ * @returns {Promise<void>}
+ */
+function prewarmRegistry(registry) {
+	if (!registry) {
+		return Promise.resolve();
+	}
+	return Promise.all(Object.keys(registry).map(leaderID => prewarmLeader(leaderID, registry[leaderID]))).then(() => {});
+}
+
+/**
+ * 解析图片路径（支持状态回退机制 + 自动路径推断）
+ * @param {string} leaderID - 领袖ID
+ * @param {object} config - 领袖注册配置（registerImageLeader 的配置对象）
+ * @param {string} state - 可选，外交状态
+ * @returns {string|null} 图片路径，配置无效时返回null
+ *
+ * 查找优先级:
+ *   1. 首先检查 diplomacyStates 中是否有明确配置
+ *   2. 如果没有配置，使用已探测确认存在的自动推断路径（基于 AUTO_PORTRAIT_SUFFIX_TEMPLATES）
+ *   3. 按状态回退链重复以上步骤，最后使用基础图片 imagePath
+ */
+function resolveImagePath(leaderID, config, state = null) {
+	if (!config) {
+		return null;
+	}
+
+	// 应用当前时代和文明的变体配置
+	config = getVariantConfig(config, leaderID);
+
+	const basePath = config.imagePath || null;
+
+	// 如果没有提供 state，直接返回基础图片
+	if (!state) {
+		return basePath;
+	}
+
+	// 按顺序查找可用的状态图片
+	for (const fallbackState of getFallbackChain(state, config)) {
+		// 1. 首先检查是否有明确配置的 diplomacyStates
+		if (config.diplomacyStates && config.diplomacyStates[fallbackState]) {
+			return config.diplomacyStates[fallbackState];
+		}
+
+		// 2. 尝试自动推断路径
+		const inferredPath = tryInferStatePath(leaderID, config, fallbackState);
+		if (inferredPath) {
+			return inferredPath;
+		}
+	}
+
+	// 最后回退到基础图片路径
+	return basePath;
+}
+
+/**
+ * 解析分层立绘（身体 + 饰品 + 表情 + 特效）
+ * @param {string} leaderID - 领袖ID
+ * @param {object} config - 领袖注册配置（需包含 layers 字段）
+ * @param {string} state - 可选，外交状态（未提供时使用 neutral）
+ * @returns {object|null} { body, accessories, expression, effect }，不是分层立绘时返回null
+ *
+ * 表情层和特效层都按状态回退链查找，找不到时为 null（只显示身体层）
+ */
+function resolveLayers(leaderID, config, state = null) {
+	config = getVariantConfig(config, leaderID);
+	if (!config || !config.layers || typeof config.layers !== "object") {
+		return null;
+	}
+
+	const layers = config.layers;
+	const chain = getFallbackChain(state || "neutral", config);
+
+	const findStateLayer = (stateLayers) => {
+		if (!stateLayers || typeof stateLayers !== "object") {
+			return null;
+		}
+		for (const fallbackState of chain) {
+			if (stateLayers[fallbackState]) {
+				return stateLayers[fallbackState];
+			}
+		}
+		return null;
+	};
+
+	return {
+		body: layers.body || config.imagePath || null,
+		accessories: Array.isArray(layers.accessories) ? layers.accessories.slice() : [],
+		expression: findStateLayer(layers.expressions),
+		effect: findStateLayer(layers.effects)
+	};
+}
+
+// 帧动画默认帧率和最大帧率（立绘动画不需要更高的帧率）
+const DEFAULT_ANIMATION_FPS = 12;
+const MAX_ANIMATION_FPS = 30;
+
+// 帧动画播放模式：循环、播放一次后停在最后一帧、往返播放
+const ANIMATION_LOOP_MODES = ["loop", "once", "pingpong"];
+
+/**
+ * 规范化帧动画配置
+ * @param {object} animation - 动画配置，帧来源三选一：
+ *   - frames: {Array<string>} 逐帧图片路径
+ *   - framePattern: {string} 编号帧路径模板（"{frame}" 替换为帧号），配合 frameCount、frameStart（默认0）、framePadding（帧号补零位数，默认0）
+ *   - spriteSheet: {string} 精灵图路径，配合 frameCount、columns 和单帧尺寸 frameWidth / frameHeight（像素）
+ *   - fps: {number} 可选，帧率（默认12，最大30）
+ *   - loop: {string} 可选，"loop"（默认）、"once" 或 "pingpong"
+ * @returns {object|null} 规范化后的配置（type 为 "frames" 或 "spriteSheet"），无效时返回null
+ */
+function normalizeAnimation(animation) {
+	if (!animation || typeof animation !== "object") {
+		return null;
+	}
+
+	const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+	const isPositiveNumber = (value) => typeof value === "number" && isFinite(value) && value > 0;
+	const fps = isPositiveNumber(animation.fps) ? Math.min(animation.fps, MAX_ANIMATION_FPS) : DEFAULT_ANIMATION_FPS;
+	const loop = ANIMATION_LOOP_MODES.includes(animation.loop) ? animation.loop : "loop";
+
+	if (typeof animation.spriteSheet === "string" && animation.spriteSheet !== "") {
+		if (!isPositiveInteger(animation.frameCount) || !isPositiveInteger(animation.columns) ||
+			!isPositiveNumber(animation.frameWidth) || !isPositiveNumber(animation.frameHeight)) {
+			return null;
+		}
+		return {
+			type: "spriteSheet",
+			spriteSheet: animation.spriteSheet,
+			frameCount: animation.frameCount,
+			columns: animation.columns,
+			rows: Math.ceil(animation.frameCount / animation.columns),
+			frameWidth: animation.frameWidth,
+			frameHeight: animation.frameHeight,
+			fps,
+			loop
+		};
+	}
+
+	let frames = null;
+	if (Array.isArray(animation.frames)) {
+		frames = animation.frames.filter(framePath => typeof framePath === "string" && framePath !== "");
+	} else if (typeof animation.framePattern === "string" && animation.framePattern.includes("{frame}") &&
+		isPositiveInteger(animation.frameCount)) {
+		const frameStart = Number.isInteger(animation.frameStart) ? animation.frameStart : 0;
+		const framePadding = Number.isInteger(animation.framePadding) ? animation.framePadding : 0;
+		frames = [];
+		for (let frame = frameStart; frame < frameStart + animation.frameCount; frame++) {
+			frames.push(animation.framePattern.replace("{frame}", String(frame).padStart(framePadding, "0")));
+		}
+	}
+
+	if (!frames || frames.length === 0) {
+		return null;
+	}
+	return {
+		type: "frames",
+		frames,
+		frameCount: frames.length,
+		fps,
+		loop
+	};
+}
+
+// 说话帧默认帧率（口型开合速度）
+const DEFAULT_TALKING_FPS = 8;
+
+/**
+ * 规范化说话帧配置（口型闭合/张开的帧序列，循环播放）
+ * @param {Array<string>|object} talkingFrames - 帧路径数组（如 [闭口, 张口]），或包含 frames / framePattern / spriteSheet 和 fps 的对象
+ * @returns {object|null} 规范化后的动画配置（loop 固定为 "loop"），无效时返回null
+ */
+function normalizeTalkingFrames(talkingFrames) {
+	if (Array.isArray(talkingFrames)) {
+		return normalizeAnimation({ frames: talkingFrames, fps: DEFAULT_TALKING_FPS });
+	}
+	if (!talkingFrames || typeof talkingFrames !== "object") {
+		return null;
+	}
+	return normalizeAnimation({ fps: DEFAULT_TALKING_FPS, ...talkingFrames, loop: "loop" });
+}
+
+/**
+ * 按状态回退链查找帧动画类配置
+ * 回退链上先遇到静态立绘（diplomacyStates、已确认的推断路径或表情层）时返回null，
+ * 避免更具体状态的静态立绘被回退状态的动画覆盖
+ * @param {string} leaderID - 领袖ID
+ * @param {object} config - 领袖注册配置
+ * @param {string} state - 外交状态（未提供时使用 neutral）
+ * @param {string} entriesKey - 配置字段名（"animations" 或 "talkingFrames"）
+ * @param {Function} normalize - 规范化函数
+ * @returns {object|null} 规范化后的动画配置
+ */
+function resolveStateAnimation(leaderID, config, state, entriesKey, normalize) {
+	config = getVariantConfig(config, leaderID);
+	if (!config || !config[entriesKey] || typeof config[entriesKey] !== "object") {
+		return null;
+	}
+
+	for (const fallbackState of getFallbackChain(state || "neutral", config)) {
+		const animation = normalize(config[entriesKey][fallbackState]);
+		if (animation) {
+			return animation;
+		}
+		if (config.diplomacyStates?.[fallbackState] ||
+			config.layers?.expressions?.[fallbackState] ||
+			tryInferStatePath(leaderID, config, fallbackState)) {
+			return null;
+		}
+	}
+	return null;
+}
+
+/**
+ * 解析状态对应的帧动画
+ * @param {string} leaderID - 领袖ID
+ * @param {object} config - 领袖注册配置（需包含 animations 字段）
+ * @param {string} state - 可选，外交状态（未提供时使用 neutral）
+ * @returns {object|null} 规范化后的动画配置，没有动画时返回null
+ */
+function resolveAnimation(leaderID, config, state = null) {
+	return resolveStateAnimation(leaderID, config, state, "animations", normalizeAnimation);
+}
+
+/**
+ * 解析状态对应的说话帧（外交台词显示期间播放）
+ * @param {string} leaderID - 领袖ID
+ * @param {object} config - 领袖注册配置（需包含 talkingFrames 字段）
+ * @param {string} state - 可选，外交状态（未提供时使用 neutral）
+ * @returns {object|null} 规范化后的动画配置，没有说话帧时返回null
+ */
+function resolveTalkingFrames(leaderID, config, state = null) {
+	return resolveStateAnimation(leaderID, config, state, "talkingFrames", normalizeTalkingFrames);
+}
+
+/**
+ * 规范化音频提示配置
+ * UI 音频接口无法报告播放结束，VO以音频时长为准完成，因此 durationMs 是必填字段
+ * @param {object} cue - 音频提示，包含以下字段：
+ *   - event: {string} 通过游戏 UI 音频接口播放的事件名
+ *   - durationMs: {number} 音频时长（VO在音频结束时完成）
+ *   - group: {string} 可选，音频分组（提供时使用 Audio.playSound 播放）
+ *   - stopEvent: {string} 可选，序列被打断时发送的停止事件
+ * @returns {object|null} 规范化后的音频提示 { event, group, stopEvent, durationMs }，无效或缺少 durationMs 时返回null
+ */
+function normalizeAudioCue(cue) {
+	if (!cue || typeof cue !== "object" || typeof cue.event !== "string" || !cue.event) {
+		return null;
+	}
+	const durationMs = Number(cue.durationMs);
+	if (!isFinite(durationMs) || durationMs <= 0) {
+		return null;
+	}
+	return {
+		event: cue.event,
+		group: typeof cue.group === "string" && cue.group ? cue.group : null,
+		stopEvent: typeof cue.stopEvent === "string" && cue.stopEvent ? cue.stopEvent : null,
+		durationMs
+	};
+}
+
+/**
+ * 解析外交序列的音频提示
+ * 优先使用 audioCues.sequences 中的序列音频，其次按状态回退链查找 audioCues.states
+ * @param {string} leaderID - 领袖ID
+ * @param {object} config - 领袖注册配置（需包含 audioCues 字段）
+ * @param {string} sequenceType - 可选，序列类型（如 "MEET", "WAR", "DEFEAT"）
+ * @param {string} state - 可选，外交状态（未提供时使用 neutral）
+ * @returns {object|null} 规范化后的音频提示，没有音频时返回null
+ */
+function resolveAudioCue(leaderID, config, sequenceType = null, state = null) {
+	config = getVariantConfig(config, leaderID);
+	const audioCues = config && config.audioCues;
+	if (!audioCues || typeof audioCues !== "object") {
+		return null;
+	}
+
+	if (sequenceType && audioCues.sequences) {
+		const sequenceCue = normalizeAudioCue(audioCues.sequences[sequenceType]);
+		if (sequenceCue) {
+			return sequenceCue;
+		}
+	}
+	if (audioCues.states) {
+		for (const fallbackState of getFallbackChain(state || "neutral", config)) {
+			const stateCue = normalizeAudioCue(audioCues.states[fallbackState]);
+			if (stateCue) {
+				return stateCue;
+			}
+		}
+	}
+	return null;
+}
+
+/**
+ * 异步解析图片路径：等待回退链上所有状态探测完成后再解析
+ * @param {string} leaderID - 领袖ID
+ * @param {object} config - 领袖注册配置
+ * @param {string} state - 可选，外交状态
+ * @returns {Promise<string|null>} 图片路径
+ */
+async function resolveImagePathAsync(leaderID, config, state = null) {
+	if (config && state) {
+		const variantConfig = getVariantConfig(config, leaderID);
+		await Promise.all(getFallbackChain(state, variantConfig).map(fallbackState => probeStatePath(leaderID, variantConfig, fallbackState)));
+	}
+	return resolveImagePath(leaderID, config, state);
+}
+
+/**
+ * 清除自动推断缓存（注册信息变化时调用）
+ * @param {string} leaderID - 可选，只清除该领袖的缓存
+ */
+function clearInferenceCache(leaderID = null) {
+	for (const cacheKey of Object.keys(AUTO_INFERRED_PATH_CACHE)) {
+		if (!leaderID || cacheKey.startsWith(`${leaderID}|`)) {
+			delete AUTO_INFERRED_PATH_CACHE[cacheKey];
+		}
+	}
+}
+
+/**
+ * 注册自定义立绘状态
+ * @param {string} name - 状态名（小写字母、数字和下划线，如 "trade_accepted"）
+ * @param {object} options - 可选配置
+ *   - fallback: {Array<string>|string} 回退状态（链首自动补上 name，链尾自动补上 "neutral"）
+ *   - suffixes: {Array<string>|string} 自动推断后缀（如 ["_trade", "_happy"]）
+ * @returns {boolean} 是否注册成功
+ */
+function registerState(name, options = {}) {
+	if (typeof name !== "string" || !/^[a-z][a-z0-9_]*$/.test(name)) {
+		console.warn(`[Leader Portrait Resolver] Invalid portrait state name: ${name}`);
+		return false;
+	}
+
+	if (BUILTIN_STATES.includes(name)) {
+		console.warn(`[Leader Portrait Resolver] Cannot redefine built-in portrait state: ${name}`);
+		return false;
+	}
+
+	if (typeof options !== "object" || options === null) {
+		return false;
+	}
+
+	// 回退状态必须是已知状态（内置或已注册的自定义状态）
+	const fallback = typeof options.fallback === "string" ? [options.fallback] : (options.fallback || []);
+	if (!Array.isArray(fallback)) {
+		console.warn(`[Leader Portrait Resolver] Invalid fallback for portrait state ${name}`);
+		return false;
+	}
+	const validFallback = fallback.filter(fallbackState => fallbackState !== name && STATE_FALLBACK_CHAINS.hasOwnProperty(fallbackState));
+	if (validFallback.length !== fallback.length) {
+		console.warn(`[Leader Portrait Resolver] Dropped unknown fallback states for portrait state ${name}`);
+	}
+
+	const suffixes = typeof options.suffixes === "string" ? [options.suffixes] : (options.suffixes || []);
+	if (!Array.isArray(suffixes)) {
+		console.warn(`[Leader Portrait Resolver] Invalid suffixes for portrait state ${name}`);
+		return false;
+	}
+	const validSuffixes = suffixes.filter(suffix => typeof suffix === "string" && suffix !== "" && !suffix.includes("/"));
+
+	const chain = [];
+	for (const chainState of [name, ...validFallback, "neutral"]) {
+		if (!chain.includes(chainState)) {
+			chain.push(chainState);
+		}
+	}
+
+	STATE_FALLBACK_CHAINS[name] = chain;
+	AUTO_PORTRAIT_SUFFIX_TEMPLATES[name] = validSuffixes;
+	CUSTOM_STATE_DEFINITIONS[name] = { fallback: validFallback, suffixes: validSuffixes };
+
+	// 重新定义状态时旧的推断结果可能失效
+	clearInferenceCache();
+	persistCustomStates();
+
+	console.log(`[Leader Portrait Resolver] Registered portrait state ${name}: ${chain.join(" → ")}`);
+	return true;
+}
+
+/**
+ * 注册外交序列到立绘状态的映射
+ * @param {string} sequenceType - 序列类型（如 "MEET", "WAR", "ACKNOWLEDGE_PLAYER"）
+ * @param {string|Function} stateOrMapper - 状态名，或 (playerID, position, context) => 状态名 的映射函数
+ *   映射函数返回 null/undefined 时使用默认状态；函数映射不会持久化，需要在 game scope 中注册
+ * @returns {boolean} 是否注册成功
+ */
+function registerSequenceStateMapping(sequenceType, stateOrMapper) {
+	if (!sequenceType || typeof sequenceType !== "string") {
+		return false;
+	}
+
+	if (typeof stateOrMapper === "string") {
+		if (!STATE_FALLBACK_CHAINS.hasOwnProperty(stateOrMapper)) {
+			console.warn(`[Leader Portrait Resolver] Unknown portrait state ${stateOrMapper} for sequence ${sequenceType}`);
+			return false;
+		}
+	} else if (typeof stateOrMapper !== "function") {
+		return false;
+	}
+
+	SEQUENCE_STATE_MAPPINGS[sequenceType] = stateOrMapper;
+	persistCustomStates();
+	return true;
+}
+
+/**
+ * 获取外交序列映射的立绘状态
+ * @param {string} sequenceType - 序列类型
+ * @param {number} playerID - 可选，玩家ID
+ * @param {string} position - 可选，位置 ("left", "right")
+ * @param {object} context - 可选，外交模型管理器上下文
+ * @returns {string|null} 已注册映射给出的状态，没有映射或映射结果无效时返回null
+ */
+function mapSequenceToState(sequenceType, playerID = null, position = null, context = null) {
+	const mapping = SEQUENCE_STATE_MAPPINGS[sequenceType];
+	if (!mapping) {
+		return null;
+	}
+
+	let state = mapping;
+	if (typeof mapping === "function") {
+		try {
+			state = mapping(playerID, position, context);
+		} catch (error) {
+			console.warn(`[Leader Portrait Resolver] Sequence state mapper for ${sequenceType} failed:`, error);
+			return null;
+		}
+	}
+
+	if (typeof state !== "string" || !STATE_FALLBACK_CHAINS.hasOwnProperty(state)) {
+		return null;
+	}
+	return state;
+}
+
+// 持久化自定义状态与字符串序列映射（函数映射无法序列化，跳过）
+function persistCustomStates() {
+	if (isLoadingCustomStates) return;
+	try {
+		if (typeof localStorage === "undefined") return;
+		const sequenceMappings = {};
+		for (const sequenceType of Object.keys(SEQUENCE_STATE_MAPPINGS)) {
+			if (typeof SEQUENCE_STATE_MAPPINGS[sequenceType] === "string") {
+				sequenceMappings[sequenceType] = SEQUENCE_STATE_MAPPINGS[sequenceType];
+			}
+		}
+		localStorage.setItem(CUSTOM_STATE_STORAGE_KEY, JSON.stringify({
+			states: CUSTOM_STATE_DEFINITIONS,
+			sequenceMappings
+		}));
+	} catch (error) {
+		console.warn("[Leader Portrait Resolver] Failed to persist custom portrait states:", error);
+	}
+}
+
+// 读取另一个 scope 持久化的自定义状态与序列映射（不覆盖当前 scope 已注册的内容）
+function loadCustomStates() {
+	try {
+		if (typeof localStorage === "undefined") return;
+		const raw = localStorage.getItem(CUSTOM_STATE_STORAGE_KEY);
+		if (!raw) return;
+		const parsed = JSON.parse(raw);
+		if (!parsed || typeof parsed !== "object") return;
+
+		isLoadingCustomStates = true;
+		const states = parsed.states || {};
+		// 回退状态可能引用其他自定义状态，先登记全部名称再逐个注册
+		for (const name of Object.keys(states)) {
+			if (!STATE_FALLBACK_CHAINS.hasOwnProperty(name) && !BUILTIN_STATES.includes(name)) {
+				STATE_FALLBACK_CHAINS[name] = [name, "neutral"];
+			}
+		}
+		for (const name of Object.keys(states)) {
+			if (!CUSTOM_STATE_DEFINITIONS.hasOwnProperty(name) && !BUILTIN_STATES.includes(name)) {
+				registerState(name, states[name] || {});
+			}
+		}
+
+		const sequenceMappings = parsed.sequenceMappings || {};
+		for (const sequenceType of Object.keys(sequenceMappings)) {
+			if (!SEQUENCE_STATE_MAPPINGS.hasOwnProperty(sequenceType)) {
+				registerSequenceStateMapping(sequenceType, sequenceMappings[sequenceType]);
+			}
+		}
+	} catch (error) {
+		console.warn("[Leader Portrait Resolver] Failed to load custom portrait states:", error);
+	} finally {
+		isLoadingCustomStates = false;
+	}
+}
+
+/**
+ * 查询已安装的模组ID
+ * shell 中通过 Modding.getInstalledMods() 读取，game scope 中通过 Modding.getActiveMods()（如果可用）读取
+ * @param {boolean} enabledOnly - 是否只返回已启用的模组
+ * @returns {Set<string>|null} 模组ID集合，无法获取时返回null
+ */
+function queryModIDs(enabledOnly) {
+	try {
+		if (typeof Modding === "undefined" || !Modding) {
+			return null;
+		}
+		let mods = null;
+		if (typeof Modding.getInstalledMods === "function") {
+			mods = (Modding.getInstalledMods() || []).filter(mod => mod && (!enabledOnly || mod.enabled));
+		} else if (typeof Modding.getActiveMods === "function") {
+			mods = Modding.getActiveMods() || [];
+		}
+		if (!mods) {
+			return null;
+		}
+		const modIDs = new Set();
+		for (const mod of mods) {
+			const modID = typeof mod === "string" ? mod : mod?.id;
+			if (modID) {
+				modIDs.add(String(modID));
+			}
+		}
+		return modIDs.size > 0 ? modIDs : null;
+	} catch (error) {
+		console.warn("[Leader Portrait Resolver] Failed to query mods:", error);
+		return null;
+	}
+}
+
+/**
+ * 获取当前启用的模组ID
+ * @returns {Set<string>|null} 启用的模组ID集合，无法获取时返回null（此时不清理共享注册表）
+ */
+function getEnabledModIDs() {
+	return queryModIDs(true);
+}
+
+/**
+ * 判断当前是否在 shell scope 中（只有 shell 的启用模组列表代表玩家的模组设置）
+ * @returns {boolean} 是否在 shell scope 中
+ */
+function isShellScope() {
+	if (typeof UI !== "undefined" && UI && typeof UI.isInShell === "function") {
+		return !!UI.isInShell();
+	}
+	return typeof GameContext === "undefined";
+}
+
+/**
+ * 获取注册配置所属的模组ID（registerImageLeader 要求显式提供 modID，不再从 imagePath 推断）
+ * @param {object} config - 领袖注册配置
+ * @returns {string|null} 模组ID，没有提供时返回null（不会因模组禁用而被清理）
+ */
+function getOwningModID(config) {
+	if (!config || typeof config !== "object") {
+		return null;
+	}
+	return typeof config.modID === "string" && config.modID ? config.modID : null;
+}
+
+/**
+ * 将旧版共享注册表迁移到当前格式
+ * @param {object} legacyRegistry - V1 数据（领袖ID → 配置）
+ * @returns {object} 当前格式的数据 { version, leaders }
+ */
+function migrateSharedRegistry(legacyRegistry) {
+	const leaders = {};
+	for (const leaderID of Object.keys(legacyRegistry)) {
+		const config = legacyRegistry[leaderID];
+		if (config && typeof config === "object") {
+			leaders[leaderID] = { modID: getOwningModID(config), config };
+		}
+	}
+	return { version: SHARED_REGISTRY_SCHEMA_VERSION, leaders };
+}
+
+/**
+ * 读取共享存储中的注册表（shell scope 持久化的数据）
+ * 旧版数据会迁移到当前格式；所属模组已禁用的领袖会被清理，避免继续被当作图片领袖而跳过3D模型
+ * 清理、迁移和写回只在 shell scope 中进行：游戏/存档启用的模组与 shell 不同，game scope 只读取，不修改共享存储
+ * @returns {object|null} 领袖ID到配置的映射，读取失败时返回null
+ */
+function readSharedRegistry() {
+	try {
+		if (typeof localStorage === "undefined") return null;
+		const isShell = isShellScope();
+		const enabledModIDs = isShell ? getEnabledModIDs() : null;
+
+		let payload = null;
+		let needsWrite = false;
+		const raw = localStorage.getItem(SHARED_REGISTRY_STORAGE_KEY);
+		if (raw) {
+			payload = JSON.parse(raw);
+			if (!payload || typeof payload !== "object" || payload.version !== SHARED_REGISTRY_SCHEMA_VERSION || !payload.leaders) {
+				console.warn(`[Leader Portrait Resolver] Unsupported shared registry version ${payload?.version}, ignoring stored registry`);
+				return null;
+			}
+		} else {
+			for (const legacyKey of LEGACY_SHARED_REGISTRY_STORAGE_KEYS) {
+				const legacyRaw = localStorage.getItem(legacyKey);
+				if (!legacyRaw) continue;
+				const legacyRegistry = JSON.parse(legacyRaw);
+				if (isShell) {
+					localStorage.removeItem(legacyKey);
+				}
+				if (legacyRegistry && typeof legacyRegistry === "object") {
+					payload = migrateSharedRegistry(legacyRegistry);
+					needsWrite = true;
+					if (isShell) {
+						console.log(`[Leader Portrait Resolver] Migrated shared registry from ${legacyKey}`);
+					}
+				}
+				break;
+			}
+		}
+		if (!payload) return null;
+
+		const registry = {};
+		for (const leaderID of Object.keys(payload.leaders)) {
+			const entry = payload.leaders[leaderID];
+			if (!entry || !entry.config || typeof entry.config !== "object") {
+				needsWrite = true;
+				continue;
+			}
+			if (entry.modID && enabledModIDs && !enabledModIDs.has(entry.modID)) {
+				console.log(`[Leader Portrait Resolver] Pruned ${leaderID} from shared registry (mod ${entry.modID} is not enabled)`);
+				needsWrite = true;
+				continue;
+			}
+			registry[leaderID] = entry.config;
+		}
+
+		if (needsWrite && isShell) {
+			writeSharedRegistry(registry);
+		}
+		return registry;
+	} catch (error) {
+		console.warn("[Leader Portrait Resolver] Failed to read shared registry:", error);
+		return null;
+	}
+}
+
+/**
+ * 写入共享存储中的注册表（每个领袖附带所属模组ID，供读取时按启用的模组清理）
+ * 已保存的主菜单展示模式设置会被保留
+ * @param {object} registry - 领袖ID到配置的映射
+ */
+function writeSharedRegistry(registry) {
+	try {
+		if (typeof localStorage === "undefined") return;
+		const leaders = {};
+		for (const leaderID of Object.keys(registry || {})) {
+			leaders[leaderID] = { modID: getOwningModID(registry[leaderID]), config: registry[leaderID] };
+		}
+		const payload = { version: SHARED_REGISTRY_SCHEMA_VERSION, leaders };
+		const showcase = readStoredShowcase();
+		if (showcase) {
+			payload.showcase = showcase;
+		}
+		localStorage.setItem(SHARED_REGISTRY_STORAGE_KEY, JSON.stringify(payload));
+	} catch (error) {
+		console.warn("[Leader Portrait Resolver] Failed to write shared registry:", error);
+	}
+}
+
+// 读取共享注册表中保存的主菜单展示模式设置（未保存或格式不支持时返回null）
+function readStoredShowcase() {
+	try {
+		const raw = localStorage.getItem(SHARED_REGISTRY_STORAGE_KEY);
+		const payload = raw ? JSON.parse(raw) : null;
+		if (payload && payload.version === SHARED_REGISTRY_SCHEMA_VERSION && payload.showcase && typeof payload.showcase === "object") {
+			return payload.showcase;
+		}
+	} catch (error) {
+		console.warn("[Leader Portrait Resolver] Failed to read main menu showcase settings:", error);
+	}
+	return null;
+}
+
+// 校验主菜单展示模式设置，无效字段使用默认值
+function sanitizeShowcase(settings) {
+	const source = settings && typeof settings === "object" ? settings : {};
+	const intervalMs = Number(source.intervalMs);
+	return {
+		mode: MAIN_MENU_SHOWCASE_MODES.includes(source.mode) ? source.mode : DEFAULT_MAIN_MENU_SHOWCASE.mode,
+		pinnedLeaderID: typeof source.pinnedLeaderID === "string" && source.pinnedLeaderID ? source.pinnedLeaderID : null,
+		intervalMs: isFinite(intervalMs) && intervalMs > 0
+			? Math.min(MAX_SHOWCASE_INTERVAL_MS, Math.max(MIN_SHOWCASE_INTERVAL_MS, Math.round(intervalMs)))
+			: DEFAULT_MAIN_MENU_SHOWCASE.intervalMs
+	};
+}
+
+/**
+ * 读取主菜单展示模式设置
+ * @returns {object} { mode, pinnedLeaderID, intervalMs }，未保存时返回默认设置（mode 为 "off"）
+ */
+function readMainMenuShowcase() {
+	if (typeof localStorage === "undefined") {
+		return sanitizeShowcase(null);
+	}
+	return sanitizeShowcase(readStoredShowcase());
+}
+
+/**
+ * 保存主菜单展示模式设置（写入共享注册表的 showcase 字段，保留注册表数据）
+ * @param {object} settings - { mode, pinnedLeaderID, intervalMs }
+ * @returns {object|null} 保存后的设置，写入失败时返回null
+ */
+function writeMainMenuShowcase(settings) {
+	try {
+		if (typeof localStorage === "undefined") return null;
+		const showcase = sanitizeShowcase(settings);
+		const raw = localStorage.getItem(SHARED_REGISTRY_STORAGE_KEY);
+		let payload = raw ? JSON.parse(raw) : null;
+		if (!payload || typeof payload !== "object" || payload.version !== SHARED_REGISTRY_SCHEMA_VERSION || !payload.leaders) {
+			payload = { version: SHARED_REGISTRY_SCHEMA_VERSION, leaders: {} };
+		}
+		payload.showcase = showcase;
+		localStorage.setItem(SHARED_REGISTRY_STORAGE_KEY, JSON.stringify(payload));
+		return showcase;
+	} catch (error) {
+		console.warn("[Leader Portrait Resolver] Failed to write main menu showcase settings:", error);
+		return null;
+	}
+}
+
+// 导出解析器（shell 和 game scope 共用同一份实现）
+(function() {
+	const existingResolver = window.LeaderPortraitResolver;
+	// 已存在相同或更高版本时保留现有实现，避免重复加载时覆盖
+	if (existingResolver && existingResolver.API_VERSION >= RESOLVER_API_VERSION) {
+		return;
+	}
+
+	// 加载另一个 scope 注册的自定义状态
+	loadCustomStates();
+
+	window.LeaderPortraitResolver = {
+		API_VERSION: RESOLVER_API_VERSION,
+		SHARED_REGISTRY_STORAGE_KEY,
+		SHARED_REGISTRY_SCHEMA_VERSION,
+		BUILTIN_STATES,
+		STATE_FALLBACK_CHAINS,
+		AUTO_PORTRAIT_SUFFIX_TEMPLATES,
+		getValidStates,
+		getFallbackChain,
+		getSuffixTemplates,
+		parseImagePath,
+		getInferenceCandidates,
+		probeImagePath,
+		getProbeResult,
+		probeStatePath,
+		tryInferStatePath,
+		prewarmLeader,
+		prewarmRegistry,
+		resolveImagePath,
+		resolveImagePathAsync,
+		resolveLayers,
+		normalizeAnimation,
+		resolveAnimation,
+		normalizeTalkingFrames,
+		resolveTalkingFrames,
+		normalizeAudioCue,
+		resolveAudioCue,
+		setActiveAge,
+		getActiveAge,
+		setLeaderCivilization,
+		getLeaderCivilization,
+		getVariantConfig,
+		clearInferenceCache,
+		registerState,
+		registerSequenceStateMapping,
+		mapSequenceToState,
+		getEnabledModIDs,
+		getOwningModID,
+		isShellScope,
+		readSharedRegistry,
+		writeSharedRegistry,
+		readMainMenuShowcase,
+		writeMainMenuShowcase
+	};
+
+	console.log(`[Leader Portrait Resolver] Resolver initialized (API version ${RESOLVER_API_VERSION})`);
+})();
@@ -0,0 +1,209 @@
+/**
+ * @file lobby-portrait-check.js
+ * @description Lobby Portrait Check: Show image leader compatibility notes in the multiplayer lobby
+ */
+
+// 使用公共工具函数
+const waitForDependencies = window.PanelOverrideUtils?.waitForDependencies || (() => Promise.resolve());
+
+// 联机大厅面板名称
+const LOBBY_PANEL_NAME = "screen-mp-lobby";
+
+// 提示框类名
+const LOBBY_NOTICE_CLASS = "leader-fallback-lobby-notice";
+
+// 大厅中玩家选择会随时变化，定期重新检查（毫秒）
+const LOBBY_CHECK_INTERVAL = 2000;
+
+// 无法读取人类玩家列表时扫描的玩家槽位数量
+const MAX_LOBBY_PLAYER_SLOTS = 16;
+
+// 当前大厅的检查定时器
+let lobbyCheckInterval = null;
+
+// 本地化文本，文本不存在时使用原始键
+function composeText(key, ...args) {
+	try {
+		if (typeof Locale !== "undefined" && typeof Locale.compose === "function") {
+			return Locale.compose(key, ...args);
+		}
+	} catch (error) {
+		console.warn(`Lobby Portrait Check: Failed to compose ${key}`, error);
+	}
+	return key;
+}
+
+// 获取大厅中人类玩家的配置
+function getLobbyHumanPlayers() {
+	if (typeof Configuration === "undefined" || !Configuration || typeof Configuration.getPlayer !== "function") {
+		return [];
+	}
+
+	let playerIDs = Configuration.getGame?.()?.humanPlayerIDs;
+	if (!Array.isArray(playerIDs)) {
+		playerIDs = [];
+		for (let playerID = 0; playerID < MAX_LOBBY_PLAYER_SLOTS; playerID++) {
+			playerIDs.push(playerID);
+		}
+	}
+
+	const players = [];
+	for (const playerID of playerIDs) {
+		const playerConfig = Configuration.getPlayer(playerID);
+		if (playerConfig && playerConfig.isHuman && playerConfig.leaderTypeName) {
+			players.push({ playerID, playerConfig });
+		}
+	}
+	return players;
+}
+
+// 检查大厅中所有人类玩家的领袖，返回提示文本列表
+function collectLobbyPortraitIssues() {
+	const config = window.CustomLeaderConfig;
+	if (!config || typeof config.checkLeaderCompatibility !== "function") {
+		return [];
+	}
+
+	const lines = [];
+	const checkedLeaders = new Set();
+	for (const { playerConfig } of getLobbyHumanPlayers()) {
+		const leaderID = playerConfig.leaderTypeName;
+		if (checkedLeaders.has(leaderID) || leaderID === "RANDOM") {
+			continue;
+		}
+		checkedLeaders.add(leaderID);
+
+		const issue = config.checkLeaderCompatibility(leaderID);
+		if (!issue) {
+			continue;
+		}
+		const leaderName = playerConfig.leaderName ? composeText(playerConfig.leaderName) : leaderID;
+		if (issue.type === "missing-image") {
+			lines.push(composeText("LOC_LEADER_FALLBACK_LOBBY_MISSING_IMAGE", leaderName));
+		} else if (issue.type === "local-only") {
+			lines.push(composeText("LOC_LEADER_FALLBACK_LOBBY_LOCAL_ONLY", leaderName, issue.modID));
+		}
+	}
+	return lines;
+}
+
+// 移除大厅提示框
+function removeLobbyNotice() {
+	document.body.querySelector(`.${LOBBY_NOTICE_CLASS}`)?.remove();
+}
+
+// 更新大厅提示框（没有问题时移除）
+function updateLobbyNotice() {
+	try {
+		if (!window.CustomLeaderConfig?.isNetworkMultiplayerGame?.()) {
+			removeLobbyNotice();
+			return;
+		}
+
+		const lines = collectLobbyPortraitIssues();
+		if (lines.length === 0) {
+			removeLobbyNotice();
+			return;
+		}
+
+		let notice = document.body.querySelector(`.${LOBBY_NOTICE_CLASS}`);
+		if (!notice) {
+			notice = document.createElement("div");
+			notice.classList.add(LOBBY_NOTICE_CLASS);
+			notice.style.cssText = `
+				position: fixed;
+				top: 2vh;
+				right: 2vh;
+				max-width: 60vh;
+				padding: 1vh 1.5vh;
+				background-color: rgba(20, 20, 28, 0.85);
+				border: 0.2vh solid rgba(230, 193, 122, 0.8);
+				color: #e5d2ac;
+				font-size: 1.6vh;
+				pointer-events: none;
+				z-index: 100;
+			`;
+			document.body.appendChild(notice);
+		}
+
+		const text = [composeText("LOC_LEADER_FALLBACK_LOBBY_TITLE"), ...lines].join("\n");
+		if (notice.textContent !== text) {
+			notice.textContent = text;
+			notice.style.whiteSpace = "pre-line";
+			console.warn(`Lobby Portrait Check: ${lines.length} portrait compatibility issue(s) in lobby`);
+		}
+	} catch (error) {
+		console.error("Lobby Portrait Check: Failed to update lobby notice", error);
+	}
+}
+
+// 开始检查（大厅面板附加时）
+function startLobbyCheck() {
+	stopLobbyCheck();
+	updateLobbyNotice();
+	lobbyCheckInterval = setInterval(updateLobbyNotice, LOBBY_CHECK_INTERVAL);
+}
+
+// 停止检查（大厅面板移除时）
+function stopLobbyCheck() {
+	if (lobbyCheckInterval) {
+		clearInterval(lobbyCheckInterval);
+		lobbyCheckInterval = null;
+	}
+	removeLobbyNotice();
+}
+
+// 重写大厅面板的 onAttach / onDetach
+function overrideLobbyPanel() {
+	const definition = Controls?.getDefinition?.(LOBBY_PANEL_NAME);
+	if (!definition || !definition.createInstance || !definition.createInstance.prototype) {
+		return false;
+	}
+
+	const LobbyPanelClass = definition.createInstance;
+	const originalOnAttach = LobbyPanelClass.prototype.onAttach;
+	const originalOnDetach = LobbyPanelClass.prototype.onDetach;
+	if (originalOnAttach?._isOverriddenForPortraitCheck) {
+		return true;
+	}
+
+	LobbyPanelClass.prototype.onAttach = function(...args) {
+		const result = originalOnAttach ? originalOnAttach.apply(this, args) : undefined;
+		startLobbyCheck();
+		return result;
+	};
+	LobbyPanelClass.prototype.onAttach._isOverriddenForPortraitCheck = true;
+
+	LobbyPanelClass.prototype.onDetach = function(...args) {
+		stopLobbyCheck();
+		return originalOnDetach ? originalOnDetach.apply(this, args) : undefined;
+	};
+
+	console.log("Lobby Portrait Check: Lobby panel overridden");
+	return true;
+}
+
+// 初始化函数
+async function initializeLobbyPortraitCheck() {
+	// 等待依赖加载
+	await waitForDependencies();
+
+	// 等待 Controls 对象和大厅面板类可用
+	const checkControls = setInterval(() => {
+		if (typeof Controls !== "undefined" && Controls.getDefinition && overrideLobbyPanel()) {
+			clearInterval(checkControls);
+		}
+	}, 100);
+
+	// 最多等待10秒
+	setTimeout(() => {
+		clearInterval(checkControls);
+	}, 10000);
+}
+
+// 立即执行初始化
+if (document.readyState === "loading") {
+	document.addEventListener("DOMContentLoaded", initializeLobbyPortraitCheck);
+} else {
+	initializeLobbyPortraitCheck();
+}